@@ -5,13 +5,23 @@ import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import QRCode from 'qrcode';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json({ limit: '12mb' }));
+// Render fica na frente da API: sem isso req.ip é o do proxy e todos os clientes dividiriam o limite de holds
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+// Painéis antigos ainda mandam os comprovantes como data URL dentro do lançamento (convertidos em anexo na hora),
+// então essa rota mantém o limite antigo; o resto da API fica no menor
+app.use('/api/dre/lancamentos', express.json({ limit: process.env.DRE_JSON_BODY_LIMIT || '12mb' }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' }));
 
 const PORT = process.env.PORT || 3000;
 const TZ = process.env.BASE_TZ || 'America/Sao_Paulo';
@@ -84,20 +94,247 @@ if (SA_PRIVATE_KEY) {
 }
 
 function requireEnv(){
-  const missing = [];
-  if(!CALENDAR_ID) missing.push('GOOGLE_CALENDAR_ID');
-  if(!SA_EMAIL) missing.push('GOOGLE_SERVICE_ACCOUNT_EMAIL (ou GOOGLE_SERVICE_ACCOUNT_JSON_BASE64)');
-  if(!SA_PRIVATE_KEY) missing.push('GOOGLE_PRIVATE_KEY (ou GOOGLE_SERVICE_ACCOUNT_JSON_BASE64)');
-  return missing;
+  return calendarProvider.missingConfig();
 }
 
-const scopes = ['https://www.googleapis.com/auth/calendar'];
-const jwtClient = new google.auth.JWT({
-  email: SA_EMAIL,
-  key: SA_PRIVATE_KEY,
-  scopes
-});
-const calendar = google.calendar({ version:'v3', auth: jwtClient });
+// =========================
+// Agenda (provedor plugável)
+// =========================
+// CALENDAR_PROVIDER=google (padrão) usa o Google Calendar;
+// CALENDAR_PROVIDER=local guarda os eventos em LOCAL_CALENDAR_FILE (ou só em memória com ":memory:"),
+// para rodar e testar a API sem service account.
+// Interface: authorize(), list({ timeMin, timeMax, privateExtendedProperty }), get(id), insert(event),
+// update(id, patch), delete(id), sync({ syncToken, pageToken }) e, opcional, watch()/stopWatch().
+// Os eventos seguem o formato do Google Calendar.
+const CALENDAR_PROVIDER = String(process.env.CALENDAR_PROVIDER || 'google').trim().toLowerCase();
+
+function createGoogleCalendarProvider(){
+  const jwtClient = new google.auth.JWT({
+    email: SA_EMAIL,
+    key: SA_PRIVATE_KEY,
+    scopes: ['https://www.googleapis.com/auth/calendar']
+  });
+  const calendar = google.calendar({ version:'v3', auth: jwtClient });
+
+  return {
+    name: 'google',
+    missingConfig(){
+      const missing = [];
+      if(!CALENDAR_ID) missing.push('GOOGLE_CALENDAR_ID');
+      if(!SA_EMAIL) missing.push('GOOGLE_SERVICE_ACCOUNT_EMAIL (ou GOOGLE_SERVICE_ACCOUNT_JSON_BASE64)');
+      if(!SA_PRIVATE_KEY) missing.push('GOOGLE_PRIVATE_KEY (ou GOOGLE_SERVICE_ACCOUNT_JSON_BASE64)');
+      return missing;
+    },
+    async authorize(){
+      await jwtClient.authorize();
+    },
+    async list({ timeMin, timeMax, privateExtendedProperty } = {}){
+      const items = [];
+      let pageToken;
+      do{
+        const resp = await calendar.events.list({
+          calendarId: CALENDAR_ID,
+          timeMin,
+          timeMax,
+          timeZone: TZ,
+          privateExtendedProperty,
+          singleEvents: true,
+          orderBy: 'startTime',
+          maxResults: 2500,
+          pageToken
+        });
+        items.push(...(resp.data.items || []));
+        pageToken = resp.data.nextPageToken;
+      }while(pageToken);
+      return items;
+    },
+    async get(eventId){
+      const resp = await calendar.events.get({ calendarId: CALENDAR_ID, eventId });
+      return resp.data;
+    },
+    async insert(event){
+      const resp = await calendar.events.insert({ calendarId: CALENDAR_ID, requestBody: event });
+      return resp.data;
+    },
+    async update(eventId, patch){
+      const resp = await calendar.events.patch({ calendarId: CALENDAR_ID, eventId, requestBody: patch });
+      return resp.data;
+    },
+    async delete(eventId){
+      await calendar.events.delete({ calendarId: CALENDAR_ID, eventId });
+    },
+    // Sem syncToken: lista tudo a partir de timeMin e devolve o primeiro nextSyncToken. Com token: só o que mudou
+    // (excluídos vêm com status "cancelled"; o Google não aceita timeMin junto). Token expirado -> erro com code 410.
+    async sync({ syncToken, pageToken, timeMin } = {}){
+      const resp = await calendar.events.list({
+        calendarId: CALENDAR_ID,
+        timeZone: TZ,
+        singleEvents: true,
+        maxResults: 2500,
+        syncToken,
+        pageToken,
+        ...(syncToken ? {} : { timeMin })
+      });
+      return {
+        items: resp.data.items || [],
+        nextPageToken: resp.data.nextPageToken,
+        nextSyncToken: resp.data.nextSyncToken
+      };
+    },
+    async watch({ id, address, token, ttlSeconds }){
+      const resp = await calendar.events.watch({
+        calendarId: CALENDAR_ID,
+        requestBody: { id, type:'web_hook', address, token, params: { ttl: String(ttlSeconds) } }
+      });
+      return { id, resourceId: resp.data.resourceId, expiration: Number(resp.data.expiration) };
+    },
+    async stopWatch({ id, resourceId }){
+      await calendar.channels.stop({ requestBody: { id, resourceId } });
+    }
+  };
+}
+
+// Offset do fuso (ex.: "-03:00") para um horário local "YYYY-MM-DDTHH:MM:SS"
+function tzOffsetFor(localDateTime){
+  const probe = new Date(`${String(localDateTime).slice(0,19)}Z`);
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: TZ, timeZoneName:'longOffset' })
+    .formatToParts(probe)
+    .find(p => p.type === 'timeZoneName')?.value || '';
+  const m = name.match(/GMT([+-]\d{2}):?(\d{2})?/);
+  return m ? `${m[1]}:${m[2] || '00'}` : '+00:00';
+}
+
+// Igual ao Google: dateTime sem offset é interpretado no fuso da agenda
+function withTzOffset(dateTime){
+  const s = String(dateTime || '');
+  if(!s || /(Z|[+-]\d{2}:\d{2})$/.test(s)) return s;
+  const full = s.length === 16 ? `${s}:00` : s;
+  return `${full}${tzOffsetFor(full)}`;
+}
+
+function eventBoundMs(when){
+  if(!when) return NaN;
+  if(when.dateTime) return Date.parse(withTzOffset(when.dateTime));
+  return Date.parse(withTzOffset(`${when.date}T00:00:00`));
+}
+
+// Filtro usado pela agenda local e pelo espelho: eventos que cruzam [timeMin, timeMax), ordenados pelo início
+function filterCalendarEvents(events, { timeMin, timeMax, privateExtendedProperty } = {}){
+  const min = timeMin ? Date.parse(timeMin) : -Infinity;
+  const max = timeMax ? Date.parse(timeMax) : Infinity;
+  const filters = (Array.isArray(privateExtendedProperty) ? privateExtendedProperty : [privateExtendedProperty])
+    .filter(Boolean)
+    .map(f => String(f).split('='));
+
+  return events
+    .filter(ev => ev.status !== 'cancelled')
+    .filter(ev => eventBoundMs(ev.start) < max && eventBoundMs(ev.end) > min)
+    .filter(ev => filters.every(([k, v]) => ev.extendedProperties?.private?.[k] === v))
+    .sort((a, b) => eventBoundMs(a.start) - eventBoundMs(b.start));
+}
+
+function notFoundError(){
+  const err = new Error('Not Found');
+  err.code = 404;
+  return err;
+}
+
+// Excluídos ficam como status "cancelled" (igual ao Google) para o sync incremental enxergar;
+// o syncToken é um contador de versão.
+function createLocalCalendarProvider(filePath){
+  const inMemory = !filePath || filePath === ':memory:';
+  const events = new Map();
+  let version = 0;
+
+  if(!inMemory){
+    for(const ev of readJsonFile(filePath, [])){
+      events.set(ev.id, ev);
+      version = Math.max(version, Number(ev._v || 0));
+    }
+  }
+
+  function persist(){
+    if(!inMemory) writeJsonFile(filePath, [...events.values()]);
+  }
+
+  function save(ev){
+    ev._v = ++version;
+    events.set(ev.id, ev);
+    persist();
+  }
+
+  function normalizeWhen(when){
+    if(!when) return when;
+    return when.dateTime ? { ...when, dateTime: withTzOffset(when.dateTime) } : { ...when };
+  }
+
+  function clone(ev){
+    const { _v, ...rest } = JSON.parse(JSON.stringify(ev));
+    return rest;
+  }
+
+  function live(eventId){
+    const ev = events.get(String(eventId));
+    if(!ev || ev.status === 'cancelled') throw notFoundError();
+    return ev;
+  }
+
+  return {
+    name: 'local',
+    missingConfig(){
+      return [];
+    },
+    async authorize(){},
+    async list(params = {}){
+      return filterCalendarEvents([...events.values()], params).map(clone);
+    },
+    async get(eventId){
+      return clone(live(eventId));
+    },
+    async insert(event){
+      const now = new Date().toISOString();
+      const ev = {
+        ...clone(event),
+        id: crypto.randomUUID().replace(/-/g, ''),
+        status: 'confirmed',
+        start: normalizeWhen(event.start),
+        end: normalizeWhen(event.end),
+        created: now,
+        updated: now
+      };
+      save(ev);
+      return clone(ev);
+    },
+    async update(eventId, patch){
+      const current = live(eventId);
+      const ev = {
+        ...current,
+        ...clone(patch),
+        id: current.id,
+        start: normalizeWhen(patch.start || current.start),
+        end: normalizeWhen(patch.end || current.end),
+        updated: new Date().toISOString()
+      };
+      save(ev);
+      return clone(ev);
+    },
+    async delete(eventId){
+      const ev = live(eventId);
+      save({ ...ev, status:'cancelled', updated: new Date().toISOString() });
+    },
+    async sync({ syncToken, timeMin } = {}){
+      const since = syncToken ? Number(syncToken) : null;
+      const items = since === null
+        ? filterCalendarEvents([...events.values()], { timeMin })
+        : [...events.values()].filter(ev => ev._v > since);
+      return { items: items.map(clone), nextSyncToken: String(version) };
+    }
+  };
+}
+
+const calendarProvider = CALENDAR_PROVIDER === 'local'
+  ? createLocalCalendarProvider(process.env.LOCAL_CALENDAR_FILE || path.join(DATA_DIR, 'agenda-local.json'))
+  : createGoogleCalendarProvider();
 
 function pad(n){ return String(n).padStart(2,'0'); }
 function normalizePhone(s){ return String(s || '').replace(/\D+/g, ''); }
@@ -106,9 +343,17 @@ function normalizePhone(s){ return String(s || '').replace(/\D+/g, ''); }
 // Arquivos / Auth local
 // =========================
 const AUTH_SECRET = process.env.AUTH_SECRET || 'troque-essa-chave-no-render';
+// Arquivos JSON das versões anteriores: só são lidos uma vez pelo importador do banco (importLegacyJsonFiles)
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
 const CHAVEAMENTO_STATE_FILE = path.join(DATA_DIR, 'chaveamento-state.json');
 const DRE_LANCAMENTOS_FILE = path.join(DATA_DIR, 'dre-lancamentos.json');
+const SCHEDULE_FILE = path.join(DATA_DIR, 'horarios.json');
+const COURTS_FILE = path.join(DATA_DIR, 'quadras.json');
+const PRICING_FILE = path.join(DATA_DIR, 'precos.json');
+const WAITLIST_FILE = path.join(DATA_DIR, 'lista-espera.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessoes.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'auditoria.jsonl');
+const ADMINS_FILE = path.join(DATA_DIR, 'admins.json');
 
 function readJsonFile(filePath, fallback){
   try{
@@ -122,13 +367,291 @@ function readJsonFile(filePath, fallback){
   }
 }
 
+// Grava num temporário e renomeia: uma queda no meio não deixa o arquivo pela metade
 function writeJsonFile(filePath, data){
   ensureDirSync(path.dirname(filePath));
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+// =========================
+// Banco de dados (SQLite)
+// =========================
+// Usuários, admins, sessões, DRE, lista de espera, configurações e auditoria ficam num único arquivo SQLite
+// (transações de verdade; WAL aguenta leitura enquanto grava). A agenda local/espelho continuam em JSON.
+const DB_FILE = process.env.DB_FILE || path.join(DATA_DIR, 'republica.db');
+
+ensureDirSync(path.dirname(DB_FILE));
+const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+db.pragma('busy_timeout = 5000');
+
+// Só acrescente no fim; migração aplicada nunca é editada
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'tabelas iniciais',
+    sql: `
+      CREATE TABLE users (id TEXT PRIMARY KEY, email TEXT, phone TEXT, doc TEXT NOT NULL);
+      CREATE INDEX users_email ON users(email);
+      CREATE INDEX users_phone ON users(phone);
+
+      CREATE TABLE admins (id TEXT PRIMARY KEY, email TEXT, doc TEXT NOT NULL);
+      CREATE INDEX admins_email ON admins(email);
+
+      CREATE TABLE sessions (id TEXT PRIMARY KEY, user_id TEXT, expires_at TEXT, revoked_at TEXT, doc TEXT NOT NULL);
+      CREATE INDEX sessions_user ON sessions(user_id);
+
+      CREATE TABLE dre_lancamentos (id TEXT PRIMARY KEY, data_lancamento TEXT, competencia TEXT, doc TEXT NOT NULL);
+      CREATE INDEX dre_lancamentos_competencia ON dre_lancamentos(competencia);
+
+      CREATE TABLE waitlist (id TEXT PRIMARY KEY, date TEXT, status TEXT, phone TEXT, doc TEXT NOT NULL);
+      CREATE INDEX waitlist_date ON waitlist(date, status);
+
+      CREATE TABLE documents (key TEXT PRIMARY KEY, doc TEXT NOT NULL, updated_at TEXT NOT NULL);
+
+      CREATE TABLE audit_log (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        at TEXT NOT NULL,
+        actor_type TEXT, actor_id TEXT, actor_email TEXT, actor_phone TEXT, actor_ip TEXT,
+        action TEXT NOT NULL,
+        entity TEXT,
+        target_id TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX audit_log_at ON audit_log(at);
+      CREATE INDEX audit_log_entity ON audit_log(entity, target_id);
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'auditoria é somente acréscimo'); END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'auditoria é somente acréscimo'); END;
+
+      CREATE TABLE json_imports (file TEXT PRIMARY KEY, imported_at TEXT NOT NULL, rows INTEGER NOT NULL, status TEXT NOT NULL);
+    `
+  },
+  {
+    version: 2,
+    name: 'anexos do DRE',
+    sql: `
+      CREATE TABLE anexos (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+    `
+  },
+  {
+    version: 3,
+    name: 'orçamento do DRE',
+    sql: `
+      CREATE TABLE dre_orcamentos (id TEXT PRIMARY KEY, competencia TEXT, doc TEXT NOT NULL);
+      CREATE INDEX dre_orcamentos_competencia ON dre_orcamentos(competencia);
+    `
+  },
+  {
+    version: 4,
+    name: 'lançamentos recorrentes',
+    sql: `
+      CREATE TABLE dre_recorrencias (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+    `
+  },
+  {
+    version: 5,
+    name: 'torneios',
+    sql: `
+      CREATE TABLE torneios (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+      CREATE TABLE torneio_categorias (id TEXT PRIMARY KEY, torneio_id TEXT NOT NULL, doc TEXT NOT NULL);
+      CREATE INDEX torneio_categorias_torneio ON torneio_categorias(torneio_id);
+      CREATE TABLE torneio_equipes (id TEXT PRIMARY KEY, categoria_id TEXT NOT NULL, doc TEXT NOT NULL);
+      CREATE INDEX torneio_equipes_categoria ON torneio_equipes(categoria_id);
+      CREATE TABLE torneio_partidas (id TEXT PRIMARY KEY, categoria_id TEXT NOT NULL, doc TEXT NOT NULL);
+      CREATE INDEX torneio_partidas_categoria ON torneio_partidas(categoria_id);
+    `
+  },
+  {
+    version: 6,
+    name: 'espelho da agenda',
+    sql: `
+      CREATE TABLE agenda_espelho (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+    `
+  }
+];
+
+function runMigrations(){
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+
+  for(const m of MIGRATIONS){
+    if(applied.has(m.version)) continue;
+    db.transaction(() => {
+      db.exec(m.sql);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(m.version, m.name, new Date().toISOString());
+    })();
+    console.log(`Banco: migração ${m.version} (${m.name}) aplicada`);
+  }
+}
+
+runMigrations();
+
+function schemaVersion(){
+  return db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+}
+
+// Repositório de uma tabela de registros JSON (coluna doc) com id; `columns` são colunas indexadas
+// derivadas do registro. all()/replaceAll() mantêm a ordem de inserção.
+function createCollection(table, columns = {}){
+  const names = Object.keys(columns);
+  const cols = ['id', ...names, 'doc'];
+
+  const upsertStmt = db.prepare(
+    `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(c => `@${c}`).join(', ')})
+     ON CONFLICT(id) DO UPDATE SET ${[...names, 'doc'].map(c => `${c} = excluded.${c}`).join(', ')}`
+  );
+  const allStmt = db.prepare(`SELECT doc FROM ${table} ORDER BY rowid`);
+  const getStmt = db.prepare(`SELECT doc FROM ${table} WHERE id = ?`);
+  const deleteStmt = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+  const clearStmt = db.prepare(`DELETE FROM ${table}`);
+  const countStmt = db.prepare(`SELECT COUNT(*) AS n FROM ${table}`);
+
+  const parse = r => JSON.parse(r.doc);
+  const toRow = item => {
+    if(!item?.id) throw new Error(`Registro sem id em ${table}`);
+    const row = { id: String(item.id), doc: JSON.stringify(item) };
+    for(const [name, fn] of Object.entries(columns)) row[name] = fn(item) ?? null;
+    return row;
+  };
+
+  return {
+    table,
+    all: () => allStmt.all().map(parse),
+    get: id => {
+      const r = getStmt.get(String(id));
+      return r ? parse(r) : null;
+    },
+    where: (sql, ...params) => db.prepare(`SELECT doc FROM ${table} WHERE ${sql} ORDER BY rowid`).all(...params).map(parse),
+    count: () => countStmt.get().n,
+    upsert: item => {
+      upsertStmt.run(toRow(item));
+      return item;
+    },
+    remove: id => deleteStmt.run(String(id)).changes > 0,
+    replaceAll: db.transaction(items => {
+      clearStmt.run();
+      for(const item of items) upsertStmt.run(toRow(item));
+    })
+  };
+}
+
+const usersRepo = createCollection('users', {
+  email: u => String(u.email || '').toLowerCase(),
+  phone: u => normalizePhone(u.phone)
+});
+const adminsRepo = createCollection('admins', { email: a => String(a.email || '').toLowerCase() });
+const sessionsRepo = createCollection('sessions', {
+  user_id: s => s.userId,
+  expires_at: s => s.expiresAt,
+  revoked_at: s => s.revokedAt
+});
+const dreRepo = createCollection('dre_lancamentos', {
+  data_lancamento: l => l.data,
+  competencia: l => l.competencia
+});
+const waitlistRepo = createCollection('waitlist', {
+  date: e => e.date,
+  status: e => e.status,
+  phone: e => e.phone
+});
+// Metadados dos anexos do DRE (id = sha256 do conteúdo; o arquivo fica em ANEXOS_DIR)
+const anexosRepo = createCollection('anexos');
+const orcamentosRepo = createCollection('dre_orcamentos', { competencia: o => o.competencia });
+const recorrenciasRepo = createCollection('dre_recorrencias');
+const torneiosRepo = createCollection('torneios');
+const categoriasRepo = createCollection('torneio_categorias', { torneio_id: c => c.torneioId });
+const equipesRepo = createCollection('torneio_equipes', { categoria_id: e => e.categoriaId });
+const partidasRepo = createCollection('torneio_partidas', { categoria_id: p => p.categoriaId });
+// Cópia dos eventos da agenda (fora do backup: o sync reconstrói)
+const mirrorRepo = createCollection('agenda_espelho');
+
+// Documentos únicos (horários, quadras, preços, chaveamento)
+const getDocumentStmt = db.prepare('SELECT doc FROM documents WHERE key = ?');
+const setDocumentStmt = db.prepare(
+  `INSERT INTO documents (key, doc, updated_at) VALUES (?, ?, ?)
+   ON CONFLICT(key) DO UPDATE SET doc = excluded.doc, updated_at = excluded.updated_at`
+);
+
+function readDocument(key, fallback){
+  const r = getDocumentStmt.get(key);
+  return r ? JSON.parse(r.doc) : fallback;
+}
+
+function writeDocument(key, value){
+  setDocumentStmt.run(key, JSON.stringify(value), new Date().toISOString());
+}
+
+// Importa uma única vez os arquivos JSON das versões anteriores (registrado em json_imports).
+// Arquivo ilegível não é marcado como importado: o erro aparece no log e a próxima subida tenta de novo.
+// Os arquivos ficam onde estão (servem de cópia); podem ser apagados depois de conferir os dados.
+function importLegacyJsonFiles(){
+  const sources = [
+    { file: USERS_FILE, repo: usersRepo },
+    { file: ADMINS_FILE, repo: adminsRepo },
+    { file: SESSIONS_FILE, repo: sessionsRepo },
+    { file: DRE_LANCAMENTOS_FILE, repo: dreRepo },
+    { file: WAITLIST_FILE, repo: waitlistRepo },
+    { file: CHAVEAMENTO_STATE_FILE, doc: 'chaveamento' },
+    { file: SCHEDULE_FILE, doc: 'horarios' },
+    { file: COURTS_FILE, doc: 'quadras' },
+    { file: PRICING_FILE, doc: 'precos' },
+    { file: AUDIT_FILE, audit: true }
+  ];
+
+  const done = new Set(db.prepare('SELECT file FROM json_imports').all().map(r => r.file));
+  const record = db.prepare('INSERT INTO json_imports (file, imported_at, rows, status) VALUES (?, ?, ?, ?)');
+
+  for(const src of sources){
+    const name = path.basename(src.file);
+    if(done.has(name) || !fs.existsSync(src.file)) continue;
+
+    let parsed;
+    try{
+      const raw = fs.readFileSync(src.file, 'utf8');
+      parsed = src.audit
+        ? raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+        : (raw.trim() ? JSON.parse(raw) : null);
+    }catch(err){
+      console.error(`Importação: ${name} ilegível, nada foi importado dele:`, err.message);
+      continue;
+    }
+
+    db.transaction(() => {
+      let rows = 0;
+      let status = 'importado';
+
+      if(src.repo){
+        const items = (Array.isArray(parsed) ? parsed : []).filter(x => x?.id);
+        if(src.repo.count()) status = 'ignorado: tabela já tinha dados';
+        else{
+          src.repo.replaceAll(items);
+          rows = items.length;
+        }
+      }else if(src.doc){
+        if(readDocument(src.doc, null) !== null) status = 'ignorado: já havia dados';
+        else if(parsed !== null){
+          writeDocument(src.doc, parsed);
+          rows = 1;
+        }
+      }else{
+        for(const entry of parsed) insertAuditEntry(entry);
+        rows = parsed.length;
+      }
+
+      record.run(name, new Date().toISOString(), rows, status);
+      console.log(`Importação: ${name} -> ${status} (${rows})`);
+    })();
+  }
 }
 
 function readChaveamentoState(){
-  return readJsonFile(CHAVEAMENTO_STATE_FILE, null);
+  return readDocument('chaveamento', null);
 }
 
 function writeChaveamentoState(data){
@@ -136,777 +659,6717 @@ function writeChaveamentoState(data){
     savedAt: new Date().toISOString(),
     data
   };
-  writeJsonFile(CHAVEAMENTO_STATE_FILE, payload);
+  writeDocument('chaveamento', payload);
   return payload;
 }
 
 function readDreLancamentos(){
-  const data = readJsonFile(DRE_LANCAMENTOS_FILE, []);
-  return Array.isArray(data) ? data : [];
+  return dreRepo.all();
 }
 
 function writeDreLancamentos(items){
-  writeJsonFile(DRE_LANCAMENTOS_FILE, Array.isArray(items) ? items : []);
+  dreRepo.replaceAll(Array.isArray(items) ? items : []);
 }
 
 // =========================
-// Admin (somente e-mail + senha)
+// Admin (contas com papéis)
 // =========================
+// ADMIN_EMAIL/ADMIN_PASSWORD só criam o primeiro dono quando a tabela de admins está vazia.
+// Sem ADMIN_PASSWORD o dono não é criado (nada de senha padrão publicada no repositório)
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'napraiasjp@gmail.com';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admnapraia#1505';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
 const ADMIN_TOKEN_TTL_HOURS = 12;
+const ADMIN_INVITE_TTL_HOURS = 72;
 
-function makeAdminToken(){
-  const payload = {
-    email: ADMIN_EMAIL,
-    exp: Date.now() + ADMIN_TOKEN_TTL_HOURS * 60 * 60 * 1000
-  };
+// Permissões por papel: dono pode tudo; equipe cuida de reservas e torneios; financeiro do DRE
+const ADMIN_ROLES = {
+  owner: ['reservas', 'torneios', 'financeiro', 'config', 'equipe', 'auditoria', 'backup'],
+  staff: ['reservas', 'torneios'],
+  finance: ['financeiro']
+};
+
+// Token assinado (HMAC) com expiração: base64url de `json.assinatura`
+function signToken(payload){
   const json = JSON.stringify(payload);
   const sig = crypto.createHmac('sha256', AUTH_SECRET).update(json).digest('hex');
   return Buffer.from(`${json}.${sig}`).toString('base64url');
 }
 
-function verifyAdminToken(token){
+function readSignedToken(token){
   try{
-    if(!token) return false;
+    if(!token) return null;
     const raw = Buffer.from(String(token), 'base64url').toString('utf8');
     const idx = raw.lastIndexOf('.');
-    if(idx <= 0) return false;
+    if(idx <= 0) return null;
 
     const json = raw.slice(0, idx);
-    const sig = raw.slice(idx + 1);
+    const sig = Buffer.from(raw.slice(idx + 1));
 
-    const expected = crypto.createHmac('sha256', AUTH_SECRET).update(json).digest('hex');
-    if(sig !== expected) return false;
+    const expected = Buffer.from(crypto.createHmac('sha256', AUTH_SECRET).update(json).digest('hex'));
+    if(sig.length !== expected.length || !crypto.timingSafeEqual(sig, expected)) return null;
 
     const payload = JSON.parse(json);
-    if(!payload?.exp || Date.now() > payload.exp) return false;
-    if(String(payload.email).toLowerCase() !== String(ADMIN_EMAIL).toLowerCase()) return false;
+    if(!payload?.exp || Date.now() > payload.exp) return null;
 
-    return true;
+    return payload;
   }catch{
-    return false;
+    return null;
+  }
+}
+
+function readAdmins(){
+  return adminsRepo.all();
+}
+
+function publicAdmin(a){
+  return {
+    id: a.id,
+    name: a.name,
+    email: a.email,
+    role: a.role,
+    active: a.active,
+    pending: !a.passwordHash,
+    permissions: ADMIN_ROLES[a.role] || [],
+    createdAt: a.createdAt,
+    updatedAt: a.updatedAt
+  };
+}
+
+// Cria o dono a partir do env na primeira subida (depois do importador, que traz o admins.json antigo)
+function ensureOwnerAdmin(){
+  if(adminsRepo.count()) return;
+  if(!ADMIN_PASSWORD){
+    console.error('Nenhum admin cadastrado e ADMIN_PASSWORD não definido: defina ADMIN_EMAIL/ADMIN_PASSWORD e reinicie para criar o dono.');
+    return;
   }
+  const now = new Date().toISOString();
+  adminsRepo.replaceAll([{
+    id: crypto.randomUUID(),
+    name: 'Dono',
+    email: String(ADMIN_EMAIL).trim().toLowerCase(),
+    role: 'owner',
+    passwordHash: hashPassword(ADMIN_PASSWORD),
+    active: true,
+    tokenVersion: 1,
+    createdAt: now,
+    updatedAt: now
+  }]);
+  console.log(`Admin dono criado: ${ADMIN_EMAIL}`);
+}
+
+// O token carrega o id e a tokenVersion: desativar, resetar ou trocar a senha invalida os tokens antigos
+function makeAdminToken(admin){
+  return signToken({
+    typ: 'admin',
+    sub: admin.id,
+    tv: admin.tokenVersion,
+    exp: Date.now() + ADMIN_TOKEN_TTL_HOURS * 60 * 60 * 1000
+  });
+}
+
+// Convite/reset: link de uso único para o admin definir a senha
+function makeAdminSetupToken(admin){
+  return signToken({
+    typ: 'admin-setup',
+    sub: admin.id,
+    tv: admin.tokenVersion,
+    exp: Date.now() + ADMIN_INVITE_TTL_HOURS * 60 * 60 * 1000
+  });
+}
+
+// Retorna o admin ativo do token ou null
+function verifyAdminToken(token, typ = 'admin'){
+  const payload = readSignedToken(token);
+  if(payload?.typ !== typ) return null;
+  const admin = readAdmins().find(a => a.id === payload.sub);
+  if(!admin || !admin.active || admin.tokenVersion !== payload.tv) return null;
+  return admin;
 }
 
 function adminAuth(req, res, next){
   const auth = req.headers.authorization || '';
   const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
-  if(!verifyAdminToken(token)){
+  const admin = verifyAdminToken(token);
+  if(!admin){
     return res.status(401).json({ error: 'Não autorizado' });
   }
+  req.admin = admin;
   next();
 }
 
-function readUsers(){
-  const arr = readJsonFile(USERS_FILE, []);
-  return Array.isArray(arr) ? arr : [];
+// Usar depois do adminAuth: app.get(rota, adminAuth, adminCan('financeiro'), ...)
+// Com mais de uma permissão, basta ter qualquer uma delas
+function adminCan(...permissions){
+  return (req, res, next) => {
+    const granted = ADMIN_ROLES[req.admin?.role] || [];
+    if(!permissions.some(p => granted.includes(p))){
+      return res.status(403).json({ error: 'Sem permissão para essa área.' });
+    }
+    next();
+  };
 }
 
-function writeUsers(users){
-  writeJsonFile(USERS_FILE, users);
+// =========================
+// Auditoria (tabela audit_log, somente acréscimo: o banco recusa UPDATE/DELETE)
+// =========================
+const AUDIT_SECRET_KEYS = new Set(['passwordHash', 'refreshHash', 'password', 'newPassword', 'currentPassword', 'token', 'setupToken', 'phoneToken']);
+const AUDIT_MAX_STRING = 2000;
+
+// Cópia para o log sem senhas/tokens e sem strings gigantes (ex.: anexos em base64)
+function auditSnapshot(value){
+  if(value === undefined) return null;
+  if(typeof value === 'string'){
+    return value.length > AUDIT_MAX_STRING ? `[${value.length} caracteres]` : value;
+  }
+  if(Array.isArray(value)) return value.map(auditSnapshot);
+  if(value && typeof value === 'object'){
+    const out = {};
+    for(const [k, v] of Object.entries(value)){
+      out[k] = AUDIT_SECRET_KEYS.has(k) ? '[oculto]' : auditSnapshot(v);
+    }
+    return out;
+  }
+  return value;
 }
 
-function hashPassword(password){
-  return crypto
-    .createHash('sha256')
-    .update(String(password) + '|' + AUTH_SECRET)
-    .digest('hex');
+// Quem fez: admin, cliente logado, telefone verificado ou anônimo (sempre com IP)
+function auditActor(req){
+  const ip = req.ip || '';
+  if(req.admin) return { type: 'admin', id: req.admin.id, email: req.admin.email, ip };
+  if(req.user) return { type: 'user', id: req.user.id, email: req.user.email, ip };
+  if(req.verifiedPhone) return { type: 'phone', phone: req.verifiedPhone, ip };
+  return { type: 'anonymous', ip };
 }
 
-function makePublicUser(u){
-  return { id: u.id, name: u.name, email: u.email, phone: u.phone };
+// Falha ao gravar o log não derruba a operação (já feita); só vai para o console
+function audit(req, action, { entity, targetId = null, before = null, after = null, actor = null } = {}){
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    actor: actor || auditActor(req),
+    action,
+    entity,
+    targetId: targetId === null ? null : String(targetId),
+    before: auditSnapshot(before),
+    after: auditSnapshot(after)
+  };
+  try{
+    insertAuditEntry(entry);
+  }catch(err){
+    console.error('Erro ao gravar auditoria:', err, entry);
+  }
+  return entry;
 }
 
-function extractPhoneFromEvent(ev){
-  const hay = `${ev.summary || ''}\n${ev.description || ''}\n${ev.location || ''}`;
-  const m = hay.match(/WhatsApp:\s*([^\n]+)/i);
-  if(!m) return '';
-  return normalizePhone(m[1]);
+const insertAuditStmt = db.prepare(
+  `INSERT INTO audit_log (id, at, actor_type, actor_id, actor_email, actor_phone, actor_ip, action, entity, target_id, doc)
+   VALUES (@id, @at, @actorType, @actorId, @actorEmail, @actorPhone, @actorIp, @action, @entity, @targetId, @doc)`
+);
+
+function insertAuditEntry(entry){
+  insertAuditStmt.run({
+    id: entry.id,
+    at: entry.at,
+    actorType: entry.actor?.type || null,
+    actorId: entry.actor?.id || null,
+    actorEmail: entry.actor?.email ? String(entry.actor.email).toLowerCase() : null,
+    actorPhone: entry.actor?.phone || null,
+    actorIp: entry.actor?.ip || null,
+    action: entry.action,
+    entity: entry.entity || null,
+    targetId: entry.targetId ?? null,
+    doc: JSON.stringify(entry)
+  });
 }
 
-function extractCustomerFromEvent(ev){
-  const desc = String(ev.description || '');
-  const m = desc.match(/Cliente:\s*([^\n]+)/i);
-  return m ? m[1].trim() : '';
-}
+// Filtros opcionais; fromISO inclusivo e toISO exclusivo (UTC). Retorna { total, entries } do mais novo ao mais antigo
+function queryAuditLog({ fromISO, toISO, actor, entity, action, targetId, limit = 200 } = {}){
+  const where = [];
+  const params = {};
+  if(fromISO){ where.push('at >= @fromISO'); params.fromISO = fromISO; }
+  if(toISO){ where.push('at < @toISO'); params.toISO = toISO; }
+  if(entity){ where.push('entity = @entity'); params.entity = entity; }
+  if(targetId){ where.push('target_id = @targetId'); params.targetId = targetId; }
+  if(action){
+    where.push('(action = @action OR action LIKE @actionPrefix)');
+    params.action = action;
+    params.actionPrefix = `${action}.%`;
+  }
+  if(actor){
+    where.push('(actor_id = @actor OR actor_email = @actor OR actor_phone = @actor OR actor_ip = @actor OR actor_type = @actor)');
+    params.actor = actor;
+  }
 
-async function ensureAuth(){
-  await jwtClient.authorize();
-}
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM audit_log ${clause}`).get(params).n;
+  const entries = db.prepare(`SELECT doc FROM audit_log ${clause} ORDER BY seq DESC LIMIT @limit`)
+    .all({ ...params, limit })
+    .map(r => JSON.parse(r.doc));
 
-async function listUpcomingReservationsByPhone(phoneDigits){
-  await ensureAuth();
+  return { total, entries };
+}
 
-  const now = new Date();
-  const timeMin = now.toISOString();
-  const timeMax = new Date(now.getTime() + 1000 * 60 * 60 * 24 * 120).toISOString();
+// =========================
+// Backup / restauração
+// =========================
+// Um backup é um .tar.gz: uma entrada anexos/<sha256> por arquivo de anexo, copiada do disco em streaming, e por
+// último o backup.json com o retrato do banco (lido dentro de uma transação: nada gravado no meio aparece pela metade).
+// Os anexos nunca passam inteiros pela memória nem entram no JSON. Backups antigos (.json.gz, formatVersion 1,
+// anexos em base64 dentro do JSON) continuam sendo aceitos na restauração.
+// Sessões de clientes não entram (são descartáveis); a auditoria é mesclada na restauração, nunca substituída.
+// A agenda fica no Google e o espelho se refaz sozinho, então não faz parte do backup.
+const BACKUP_FORMAT = 'republica-backup';
+const BACKUP_FORMAT_VERSION = 2;
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 24);
+const BACKUP_KEEP = Math.max(Number(process.env.BACKUP_KEEP) || 14, 1);
+const BACKUP_MAX_UPLOAD_MB = Number(process.env.BACKUP_MAX_UPLOAD_MB) || 2048;
+const RESTORE_STAGE_TTL_MINUTES = 30;
+const BACKUP_NAME_RE = /^backup-[0-9TZ-]+-(auto|manual|antes-da-restauracao)\.(tar|json)\.gz$/;
+const BACKUP_JSON_ENTRY = 'backup.json';
+const BACKUP_ANEXO_ENTRY_RE = /^anexos\/([a-f0-9]{64})$/;
+
+// Tabelas de registros que entram no backup
+const BACKUP_COLLECTIONS = [
+  usersRepo, adminsRepo, dreRepo, waitlistRepo, anexosRepo, orcamentosRepo, recorrenciasRepo,
+  torneiosRepo, categoriasRepo, equipesRepo, partidasRepo
+];
 
-  const resp = await calendar.events.list({
-    calendarId: CALENDAR_ID,
-    timeMin,
-    timeMax,
-    singleEvents: true,
-    orderBy: 'startTime',
-    maxResults: 2500
-  });
+const backupStatus = { lastAt: null, lastFile: null, lastError: null, lastErrorAt: null, nextAt: null };
+let stagedRestore = null;
+
+const readAllDocumentsStmt = db.prepare('SELECT key, doc FROM documents ORDER BY key');
+const deleteAllDocumentsStmt = db.prepare('DELETE FROM documents');
+const readAllAuditStmt = db.prepare('SELECT doc FROM audit_log ORDER BY seq');
+const auditIdExistsStmt = db.prepare('SELECT 1 FROM audit_log WHERE id = ?');
+
+// Só o banco; os arquivos dos anexos são lidos do disco na hora de escrever o .tar
+const readBackupData = db.transaction(() => {
+  const data = {};
+  for(const repo of BACKUP_COLLECTIONS) data[repo.table] = repo.all();
+  data.documents = {};
+  for(const r of readAllDocumentsStmt.all()) data.documents[r.key] = JSON.parse(r.doc);
+  data.audit_log = readAllAuditStmt.all().map(r => JSON.parse(r.doc));
+  return data;
+});
 
-  const items = (resp.data.items || []).map(e => ({
-    id: e.id,
-    summary: e.summary || '',
-    description: e.description || '',
-    location: e.location || '',
-    start: e.start?.dateTime || e.start?.date || '',
-    end: e.end?.dateTime || e.end?.date || ''
-  }));
+function backupChecksum(data){
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
 
-  const out = [];
-  for(const ev of items){
-    if(!ev.start || String(ev.start).length <= 10) continue; // ignora dia inteiro
-    const ph = extractPhoneFromEvent(ev);
-    if(!ph) continue;
-    if(ph === phoneDigits){
-      out.push({
-        eventId: ev.id,
-        summary: ev.summary,
-        start: ev.start,
-        end: ev.end
-      });
-    }
-  }
-  return out;
+function backupCounts(data, arquivos){
+  const counts = {};
+  for(const repo of BACKUP_COLLECTIONS) counts[repo.table] = (data[repo.table] || []).length;
+  counts.documents = Object.keys(data.documents || {}).length;
+  counts.audit_log = (data.audit_log || []).length;
+  counts.arquivos = arquivos.length;
+  return counts;
 }
 
-// Converte "YYYY-MM-DD" + "HH:MM" para ISO sem offset (Google interpreta pelo timeZone)
-function toDateTimeISO(dateStr, timeStr){
-  return `${dateStr}T${timeStr}:00`;
+// ====== Tar (ustar) ======
+// Só o necessário para o backup: arquivos regulares com nome curto, escritos e lidos em blocos de 512 bytes.
+const TAR_BLOCK = 512;
+
+function tarHeader(name, size, mtime = new Date()){
+  const header = Buffer.alloc(TAR_BLOCK);
+  const field = (value, offset, length) => header.write(value, offset, length, 'ascii');
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+  field(name, 0, 100);
+  field(octal(0o644, 8), 100, 8);
+  field(octal(0, 8), 108, 8);
+  field(octal(0, 8), 116, 8);
+  field(octal(size, 12), 124, 12);
+  field(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12);
+  field('        ', 148, 8);
+  field('0', 156, 1);
+  field('ustar\0', 257, 6);
+  field('00', 263, 2);
+
+  let sum = 0;
+  for(const byte of header) sum += byte;
+  field(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
 }
 
-// ====== Regras de disponibilidade ======
-function isWeekend(dateStr){
-  const [y,m,d] = dateStr.split('-').map(Number);
-  const dt = new Date(Date.UTC(y, m - 1, d, 12, 0, 0));
-  const dow = dt.getUTCDay(); // 0=Dom, 6=Sáb
-  return dow === 0 || dow === 6;
+function tarPadding(size){
+  return Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
 }
 
-// Seg-Sex 17:00–23:00 | Sáb-Dom 09:00–19:00
-function generateSlots(dateISO, durationMinutes){
-  const weekend = isWeekend(String(dateISO || ''));
-  const startHour = weekend ? 9 : 17;
-  const endHour = weekend ? 19 : 23;
+// Índice das entradas de um .tar no disco: nome -> { offset, size }. Retorna null se não for um tar válido
+function readTarIndex(file){
+  const fd = fs.openSync(file, 'r');
+  try{
+    const total = fs.fstatSync(fd).size;
+    const header = Buffer.alloc(TAR_BLOCK);
+    const entries = new Map();
+    let pos = 0;
+    while(pos + TAR_BLOCK <= total){
+      fs.readSync(fd, header, 0, TAR_BLOCK, pos);
+      if(header.every(b => b === 0)) return entries;
+      if(header.toString('ascii', 257, 262) !== 'ustar') return null;
+
+      let sum = 0;
+      for(let i = 0; i < TAR_BLOCK; i++) sum += i >= 148 && i < 156 ? 32 : header[i];
+      if(parseInt(header.toString('ascii', 148, 156), 8) !== sum) return null;
+
+      const name = header.toString('ascii', 0, 100).replace(/\0.*$/s, '');
+      const size = parseInt(header.toString('ascii', 124, 136), 8) || 0;
+      if(pos + TAR_BLOCK + size > total) return null;
+      if(header.toString('ascii', 156, 157) === '0' || header[156] === 0) entries.set(name, { offset: pos + TAR_BLOCK, size });
+      pos += TAR_BLOCK + size + tarPadding(size).length;
+    }
+    return null;
+  }finally{
+    fs.closeSync(fd);
+  }
+}
 
-  const slots = [];
-  const lastStart = endHour * 60 - durationMinutes;
+// Lê um trecho do arquivo em pedaços, sem carregar tudo (onChunk recebe cada Buffer)
+function readFileRange(file, offset, size, onChunk){
+  const fd = fs.openSync(file, 'r');
+  try{
+    const chunk = Buffer.alloc(Math.min(size, 1024 * 1024) || 1);
+    let done = 0;
+    while(done < size){
+      const n = fs.readSync(fd, chunk, 0, Math.min(chunk.length, size - done), offset + done);
+      if(!n) throw new Error('Arquivo terminou antes do esperado.');
+      onChunk(chunk.subarray(0, n));
+      done += n;
+    }
+  }finally{
+    fs.closeSync(fd);
+  }
+}
 
-  for(let t = startHour * 60; t <= lastStart; t += 60){
-    const sh = Math.floor(t / 60), sm = t % 60;
-    const eh = Math.floor((t + durationMinutes) / 60), em = (t + durationMinutes) % 60;
-    slots.push({ start: `${pad(sh)}:${pad(sm)}`, end: `${pad(eh)}:${pad(em)}` });
+// Anexos primeiro (cada um aberto e lido do disco em streaming), backup.json por último com a lista dos que entraram
+async function* backupTarChunks(data, createdAt, done){
+  const arquivos = [];
+  for(const meta of data.anexos){
+    let fd;
+    try{
+      fd = fs.openSync(anexoPath(meta.id), 'r');
+    }catch(err){
+      continue;
+    }
+    try{
+      const size = fs.fstatSync(fd).size;
+      yield tarHeader(`anexos/${meta.id}`, size);
+      if(size) for await (const chunk of fs.createReadStream(null, { fd, autoClose: false, start: 0, end: size - 1 })) yield chunk;
+      yield tarPadding(size);
+      arquivos.push(meta.id);
+    }finally{
+      fs.closeSync(fd);
+    }
   }
-  return slots;
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: schemaVersion(),
+    createdAt,
+    counts: backupCounts(data, arquivos),
+    checksum: backupChecksum(data),
+    arquivos,
+    data
+  };
+  const json = Buffer.from(JSON.stringify(archive));
+  yield tarHeader(BACKUP_JSON_ENTRY, json.length);
+  yield json;
+  yield tarPadding(json.length);
+  yield Buffer.alloc(TAR_BLOCK * 2);
+  done(archive);
 }
 
-function overlaps(aStart, aEnd, bStart, bEnd){
-  return (aStart < bEnd) && (bStart < aEnd);
+// Escreve o backup (.tar.gz) em `out` (arquivo ou resposta HTTP). Retorna o cabeçalho do archive (sem os dados)
+async function writeBackupArchive(out){
+  const data = readBackupData();
+  const createdAt = new Date().toISOString();
+  let archive = null;
+  await pipeline(Readable.from(backupTarChunks(data, createdAt, a => { archive = a; })), zlib.createGzip(), out);
+  const { data: _data, ...info } = archive;
+  return info;
 }
 
-// ====== Classificação de eventos para quadras ======
-let DEFAULT_KEYWORD_MAP = [
-  { pattern: 'futevolei|futvolei|futev[oó]lei', court: 1 },
-  { pattern: 'v[oó]lei(?!.*fute)', court: 2 },
-  { pattern: 'beach\\s*tennis|\\bbt\\b', court: 2 }
-];
+function backupFileName(createdAt, reason){
+  return `backup-${createdAt.replace(/[:.]/g, '-')}-${reason}.tar.gz`;
+}
 
-try{
-  if(process.env.COURT_KEYWORDS_JSON){
-    const parsed = JSON.parse(process.env.COURT_KEYWORDS_JSON);
-    if(Array.isArray(parsed) && parsed.length) DEFAULT_KEYWORD_MAP = parsed;
+// Mais novos primeiro (o nome começa pela data)
+function listBackups(){
+  try{
+    if(!fs.existsSync(BACKUP_DIR)) return [];
+    return fs.readdirSync(BACKUP_DIR)
+      .filter(name => BACKUP_NAME_RE.test(name))
+      .sort((a, b) => b.localeCompare(a))
+      .map(name => {
+        const stat = fs.statSync(path.join(BACKUP_DIR, name));
+        return { name, reason: name.match(BACKUP_NAME_RE)[1], size: stat.size, createdAt: stat.mtime.toISOString() };
+      });
+  }catch(err){
+    console.error('Erro ao listar backups:', err);
+    return [];
   }
-}catch{
-  // ignora
 }
 
-function classifyEventToCourts(ev){
-  const text = `${ev.summary || ''} ${ev.description || ''} ${ev.location || ''}`.toLowerCase();
-
-  const q1 = text.includes('quadra 1') || text.includes('q1') || text.includes('quadra1');
-  const q2 = text.includes('quadra 2') || text.includes('q2') || text.includes('quadra2');
+// Grava em BACKUP_DIR (temporário + rename) e apaga os mais antigos além de BACKUP_KEEP
+async function saveBackupSnapshot(reason){
+  ensureDirSync(BACKUP_DIR);
+  const tmp = path.join(BACKUP_DIR, `.backup-${process.pid}-${crypto.randomUUID()}.tmp`);
+  let archive;
+  try{
+    archive = await writeBackupArchive(fs.createWriteStream(tmp));
+  }catch(err){
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+  const name = backupFileName(archive.createdAt, reason);
+  fs.renameSync(tmp, path.join(BACKUP_DIR, name));
 
-  if(q1 && !q2) return { kind:'known', courts:[1], blockBoth:false };
-  if(q2 && !q1) return { kind:'known', courts:[2], blockBoth:false };
-  if(q1 && q2) return { kind:'known', courts:[1,2], blockBoth:true };
+  backupStatus.lastAt = archive.createdAt;
+  backupStatus.lastFile = name;
+  backupStatus.lastError = null;
 
-  for(const rule of DEFAULT_KEYWORD_MAP){
+  for(const old of listBackups().slice(BACKUP_KEEP)){
     try{
-      const re = new RegExp(rule.pattern, 'i');
-      if(re.test(text)){
-        const c = Number(rule.court);
-        if(c === 1 || c === 2) return { kind:'known', courts:[c], blockBoth:false };
-      }
-    }catch{
-      // ignora regra inválida
+      fs.unlinkSync(path.join(BACKUP_DIR, old.name));
+    }catch(err){
+      console.error('Erro ao apagar backup antigo:', old.name, err);
     }
   }
-
-  return { kind:'unknownSingle', courts:[], blockBoth:false };
+  return { name, size: fs.statSync(path.join(BACKUP_DIR, name)).size, createdAt: archive.createdAt, counts: archive.counts };
 }
 
-async function listEventsForDay(dateStr){
-  const timeMin = `${dateStr}T00:00:00-03:00`;
-  const timeMax = `${dateStr}T23:59:59-03:00`;
-
-  const resp = await calendar.events.list({
-    calendarId: CALENDAR_ID,
-    timeMin,
-    timeMax,
-    timeZone: TZ,
-    singleEvents: true,
-    orderBy: 'startTime'
-  });
+function scheduleNextBackup(delayMs){
+  // setTimeout não aceita mais que ~24,8 dias
+  const ms = Math.min(delayMs, 2 ** 31 - 1);
+  backupStatus.nextAt = new Date(Date.now() + ms).toISOString();
+  setTimeout(runScheduledBackup, ms);
+}
 
-  return (resp.data.items || []).map(ev => ({
-    id: ev.id,
-    summary: ev.summary || '',
-    description: ev.description || '',
-    location: ev.location || '',
-    start: ev.start?.dateTime || ev.start?.date,
-    end: ev.end?.dateTime || ev.end?.date
-  }));
+async function runScheduledBackup(){
+  try{
+    const saved = await saveBackupSnapshot('auto');
+    console.log(`Backup automático: ${saved.name}`);
+  }catch(err){
+    console.error('Erro no backup automático:', err);
+    backupStatus.lastError = err.message;
+    backupStatus.lastErrorAt = new Date().toISOString();
+  }
+  scheduleNextBackup(BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
 }
 
-function isoToMinutes(iso){
-  const s = String(iso || '');
+// BACKUP_INTERVAL_HOURS=0 desliga. Retoma a contagem do último arquivo (reiniciar não atrasa nem adianta o backup)
+function startBackupSchedule(){
+  // sobras de uma gravação ou restauração interrompida
+  if(fs.existsSync(BACKUP_DIR)){
+    for(const name of fs.readdirSync(BACKUP_DIR).filter(n => /^\.(backup|restore)-/.test(n))){
+      fs.rmSync(path.join(BACKUP_DIR, name), { force: true });
+    }
+  }
 
-  const mOffset = s.match(/T(\d{2}):(\d{2}).*([+-]\d{2}:?\d{2})$/);
-  if(mOffset){
-    return Number(mOffset[1]) * 60 + Number(mOffset[2]);
+  const last = listBackups()[0];
+  if(last){
+    backupStatus.lastAt = last.createdAt;
+    backupStatus.lastFile = last.name;
   }
+  if(!(BACKUP_INTERVAL_HOURS > 0)) return;
 
-  try{
-    const d = new Date(s);
-    const parts = new Intl.DateTimeFormat('en-GB', {
+  const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+  const elapsed = last ? Date.now() - Date.parse(last.createdAt) : Infinity;
+  scheduleNextBackup(Math.max(intervalMs - elapsed, 60 * 1000));
+}
+
+function backupHealth(){
+  return {
+    dir: BACKUP_DIR,
+    intervalHours: BACKUP_INTERVAL_HOURS > 0 ? BACKUP_INTERVAL_HOURS : null,
+    keep: BACKUP_KEEP,
+    files: listBackups().length,
+    ...backupStatus
+  };
+}
+
+// Descompacta (se for .gz) para um arquivo temporário em BACKUP_DIR, sem passar tudo pela memória
+async function unpackBackupFile(file){
+  ensureDirSync(BACKUP_DIR);
+  const tmp = path.join(BACKUP_DIR, `.restore-${crypto.randomUUID()}`);
+  const magic = Buffer.alloc(2);
+  const fd = fs.openSync(file, 'r');
+  try{
+    fs.readSync(fd, magic, 0, 2, 0);
+  }finally{
+    fs.closeSync(fd);
+  }
+
+  try{
+    if(magic[0] === 0x1f && magic[1] === 0x8b){
+      await pipeline(fs.createReadStream(file), zlib.createGunzip(), fs.createWriteStream(tmp));
+    }else{
+      fs.copyFileSync(file, tmp);
+    }
+    return tmp;
+  }catch(err){
+    fs.rmSync(tmp, { force: true });
+    return null;
+  }
+}
+
+function sha256OfRange(file, offset, size){
+  const hash = crypto.createHash('sha256');
+  readFileRange(file, offset, size, chunk => hash.update(chunk));
+  return hash.digest('hex');
+}
+
+// Lê o backup descompactado (tar do formato 2, ou o JSON do formato 1).
+// Retorna { archive, arquivos } ou { status, error }; arquivos: hash -> { offset, size } dentro do tar
+// (formato 1: { base64 }).
+function parseBackupArchive(file){
+  const index = readTarIndex(file);
+  let archive;
+  try{
+    if(index){
+      const entry = index.get(BACKUP_JSON_ENTRY);
+      if(!entry) return { status: 400, error: 'O arquivo não é um backup desta API.' };
+      const chunks = [];
+      readFileRange(file, entry.offset, entry.size, chunk => chunks.push(Buffer.from(chunk)));
+      archive = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    }else{
+      archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  }catch(err){
+    return { status: 400, error: 'Arquivo de backup ilegível (esperado .tar.gz ou .json.gz).' };
+  }
+
+  if(archive?.format !== BACKUP_FORMAT) return { status: 400, error: 'O arquivo não é um backup desta API.' };
+  if(!(Number(archive.formatVersion) <= BACKUP_FORMAT_VERSION)){
+    return { status: 400, error: 'Backup num formato mais novo que esta versão da API; atualize antes de restaurar.' };
+  }
+  if(!(Number(archive.schemaVersion) <= schemaVersion())){
+    return { status: 400, error: `Backup de um banco mais novo (migração ${archive.schemaVersion}); atualize a API antes de restaurar.` };
+  }
+
+  const data = archive.data;
+  if(!data || typeof data !== 'object') return { status: 400, error: 'Backup sem dados.' };
+  if(backupChecksum(data) !== archive.checksum){
+    return { status: 400, error: 'Checksum não confere: arquivo corrompido ou alterado.' };
+  }
+  for(const repo of BACKUP_COLLECTIONS){
+    const items = data[repo.table];
+    if(items !== undefined && (!Array.isArray(items) || items.some(x => !x?.id))){
+      return { status: 400, error: `Tabela ${repo.table} inválida no backup.` };
+    }
+  }
+  if(data.documents !== undefined && (!data.documents || typeof data.documents !== 'object' || Array.isArray(data.documents))){
+    return { status: 400, error: 'Documentos inválidos no backup.' };
+  }
+  if(data.audit_log !== undefined && (!Array.isArray(data.audit_log) || data.audit_log.some(e => !e?.id || !e.at || !e.action))){
+    return { status: 400, error: 'Auditoria inválida no backup.' };
+  }
+
+  const arquivos = new Map();
+  const invalid = { status: 400, error: 'Arquivos de anexo inválidos no backup.' };
+  if(Number(archive.formatVersion) >= 2){
+    if(!index || !Array.isArray(archive.arquivos)) return invalid;
+    for(const hash of archive.arquivos){
+      const entry = BACKUP_ANEXO_ENTRY_RE.test(`anexos/${hash}`) ? index.get(`anexos/${hash}`) : null;
+      if(!entry || sha256OfRange(file, entry.offset, entry.size) !== hash) return invalid;
+      arquivos.set(hash, entry);
+    }
+  }else if(data.arquivos !== undefined){
+    if(!data.arquivos || typeof data.arquivos !== 'object') return invalid;
+    for(const [hash, b64] of Object.entries(data.arquivos)){
+      if(typeof b64 !== 'string' || crypto.createHash('sha256').update(Buffer.from(b64, 'base64')).digest('hex') !== hash) return invalid;
+      arquivos.set(hash, { base64: b64 });
+    }
+    delete data.arquivos;
+  }
+
+  return { archive, arquivos };
+}
+
+function diffById(current, incoming){
+  const remaining = new Map(current.map(x => [String(x.id), JSON.stringify(x)]));
+  let added = 0, changed = 0, unchanged = 0;
+  for(const item of incoming){
+    const before = remaining.get(String(item.id));
+    if(before === undefined) added++;
+    else if(before === JSON.stringify(item)) unchanged++;
+    else changed++;
+    remaining.delete(String(item.id));
+  }
+  return { current: current.length, backup: incoming.length, added, changed, unchanged, removed: remaining.size };
+}
+
+// Contagens por entidade do que muda se o backup for aplicado. Tabela ausente no backup (feito antes de ela existir) fica como está
+function restoreSummary(archive, arquivos){
+  const current = readBackupData();
+  const { data } = archive;
+  const entities = {};
+
+  for(const repo of BACKUP_COLLECTIONS){
+    entities[repo.table] = data[repo.table] === undefined
+      ? { current: current[repo.table].length, kept: true }
+      : diffById(current[repo.table], data[repo.table]);
+  }
+
+  const asList = docs => Object.entries(docs).map(([id, value]) => ({ id, value }));
+  entities.documents = data.documents === undefined
+    ? { current: Object.keys(current.documents).length, kept: true }
+    : diffById(asList(current.documents), asList(data.documents));
+
+  const known = new Set(current.audit_log.map(e => e.id));
+  entities.audit_log = {
+    current: current.audit_log.length,
+    backup: (data.audit_log || []).length,
+    added: (data.audit_log || []).filter(e => !known.has(e.id)).length
+  };
+
+  const onDisk = current.anexos.filter(meta => fs.existsSync(anexoPath(meta.id)));
+  entities.arquivos = {
+    current: onDisk.length,
+    backup: arquivos.size,
+    added: [...arquivos.keys()].filter(hash => !fs.existsSync(anexoPath(hash))).length
+  };
+
+  return {
+    createdAt: archive.createdAt,
+    formatVersion: archive.formatVersion,
+    schemaVersion: archive.schemaVersion,
+    entities
+  };
+}
+
+const applyBackupData = db.transaction(data => {
+  for(const repo of BACKUP_COLLECTIONS){
+    if(data[repo.table] !== undefined) repo.replaceAll(data[repo.table]);
+  }
+  if(data.documents !== undefined){
+    deleteAllDocumentsStmt.run();
+    for(const [key, value] of Object.entries(data.documents)) writeDocument(key, value);
+  }
+  for(const entry of data.audit_log || []){
+    if(!auditIdExistsStmt.get(entry.id)) insertAuditEntry(entry);
+  }
+});
+
+function discardStagedRestore(){
+  if(stagedRestore?.file) fs.rmSync(stagedRestore.file, { force: true });
+  stagedRestore = null;
+}
+
+// Prepara a restauração de um arquivo de backup (upload ou guardado). Um preparo por vez: o novo substitui
+// o anterior; vale RESTORE_STAGE_TTL_MINUTES. Retorna { restoreId, ... } ou { status, error }
+async function stageRestore(file, source, admin){
+  const unpacked = await unpackBackupFile(file);
+  if(!unpacked) return { status: 400, error: 'Arquivo de backup ilegível (esperado .tar.gz ou .json.gz).' };
+
+  const parsed = parseBackupArchive(unpacked);
+  if(parsed.error){
+    fs.rmSync(unpacked, { force: true });
+    return parsed;
+  }
+
+  discardStagedRestore();
+  stagedRestore = {
+    id: crypto.randomUUID(),
+    file: unpacked,
+    archive: parsed.archive,
+    arquivos: parsed.arquivos,
+    source,
+    adminId: admin.id,
+    expiresAt: Date.now() + RESTORE_STAGE_TTL_MINUTES * 60 * 1000
+  };
+  const timer = setTimeout(() => {
+    if(stagedRestore?.expiresAt <= Date.now()) discardStagedRestore();
+  }, RESTORE_STAGE_TTL_MINUTES * 60 * 1000 + 1000);
+  timer.unref();
+
+  return {
+    restoreId: stagedRestore.id,
+    source,
+    expiresAt: new Date(stagedRestore.expiresAt).toISOString(),
+    summary: restoreSummary(parsed.archive, parsed.arquivos)
+  };
+}
+
+// Copia um anexo do backup para ANEXOS_DIR (temporário + rename), em pedaços
+function restoreAnexoFile(staged, hash, entry){
+  const file = anexoPath(hash);
+  if(fs.existsSync(file)) return;
+  if(entry.base64 !== undefined){
+    storeAnexo(Buffer.from(entry.base64, 'base64'));
+    return;
+  }
+
+  ensureDirSync(path.dirname(file));
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try{
+    readFileRange(staged.file, entry.offset, entry.size, chunk => fs.writeSync(fd, chunk));
+  }finally{
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// Guarda um backup do estado atual antes de sobrescrever. Retorna { summary, safetyBackup } ou { status, error }
+async function applyStagedRestore(restoreId){
+  const staged = stagedRestore;
+  if(!staged || staged.id !== restoreId || staged.expiresAt < Date.now()){
+    return { status: 404, error: 'Restauração não encontrada ou expirada; envie o backup de novo.' };
+  }
+
+  const summary = restoreSummary(staged.archive, staged.arquivos);
+  const safetyBackup = await saveBackupSnapshot('antes-da-restauracao');
+  if(stagedRestore !== staged) return { status: 409, error: 'Outra restauração foi preparada no meio; confira e aplique de novo.' };
+
+  // Arquivos primeiro (endereçados pelo hash, não sobrescrevem nada); os que sobrarem sem registro saem no maintainAnexos
+  for(const [hash, entry] of staged.arquivos) restoreAnexoFile(staged, hash, entry);
+  applyBackupData(staged.archive.data);
+  maintainAnexos();
+  discardStagedRestore();
+  return { summary, safetyBackup, source: staged.source };
+}
+
+// =========================
+// Verificação do WhatsApp (código de uso único)
+// =========================
+const OTP_SENDER = String(process.env.OTP_SENDER || '').trim().toLowerCase();
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS || 60);
+const OTP_MAX_SENDS_PER_HOUR = Number(process.env.OTP_MAX_SENDS_PER_HOUR || 5);
+const PHONE_TOKEN_TTL_MINUTES = Number(process.env.PHONE_TOKEN_TTL_MINUTES || 30);
+
+// Números locais (DDD + número) ganham o DDI 55
+function toWhatsAppNumber(phoneDigits){
+  return phoneDigits.length <= 11 ? `55${phoneDigits}` : phoneDigits;
+}
+
+// Sem OTP_SENDER (ou com valor desconhecido) nada é enviado: /health e /api/otp/request acusam a falta
+function createMissingSender(){
+  return {
+    name: 'nenhum',
+    missingConfig(){ return ['OTP_SENDER']; },
+    async send(){
+      throw new Error('Envio de WhatsApp não configurado (OTP_SENDER).');
+    },
+    async sendCode(phoneDigits, code){
+      await this.send(phoneDigits, code);
+    }
+  };
+}
+
+// Stand-in local (OTP_SENDER=console, só para desenvolvimento): só escreve a mensagem no log
+function createConsoleSender(){
+  return {
+    name: 'console',
+    missingConfig(){ return []; },
+    async send(phoneDigits, text){
+      console.log(`[WhatsApp -> ${toWhatsAppNumber(phoneDigits)}] ${text}`);
+    },
+    async sendCode(phoneDigits, code){
+      await this.send(phoneDigits, `Seu código de verificação é ${code}`);
+    }
+  };
+}
+
+// WhatsApp Cloud API. Códigos saem pelo template de autenticação quando WHATSAPP_OTP_TEMPLATE
+// está definido; sem ele, vão como texto (só entrega dentro da janela de 24h da conversa).
+function createWhatsAppCloudSender(){
+  const token = process.env.WHATSAPP_TOKEN || '';
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID || '';
+  const apiVersion = process.env.WHATSAPP_API_VERSION || 'v20.0';
+  const otpTemplate = process.env.WHATSAPP_OTP_TEMPLATE || '';
+  const templateLang = process.env.WHATSAPP_TEMPLATE_LANG || 'pt_BR';
+
+  async function post(phoneDigits, message){
+    const r = await fetch(`https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messaging_product: 'whatsapp', to: toWhatsAppNumber(phoneDigits), ...message })
+    });
+    if(!r.ok){
+      const detail = await r.text().catch(() => '');
+      throw new Error(`WhatsApp Cloud API ${r.status}: ${detail.slice(0, 300)}`);
+    }
+  }
+
+  return {
+    name: 'whatsapp',
+    missingConfig(){
+      const miss = [];
+      if(!token) miss.push('WHATSAPP_TOKEN');
+      if(!phoneNumberId) miss.push('WHATSAPP_PHONE_NUMBER_ID');
+      return miss;
+    },
+    async send(phoneDigits, text){
+      await post(phoneDigits, { type: 'text', text: { body: text } });
+    },
+    async sendCode(phoneDigits, code){
+      if(!otpTemplate) return this.send(phoneDigits, `Seu código de verificação é ${code}`);
+      await post(phoneDigits, {
+        type: 'template',
+        template: {
+          name: otpTemplate,
+          language: { code: templateLang },
+          components: [
+            { type: 'body', parameters: [{ type: 'text', text: code }] },
+            { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: code }] }
+          ]
+        }
+      });
+    }
+  };
+}
+
+const MESSAGE_SENDERS = { whatsapp: createWhatsAppCloudSender, console: createConsoleSender };
+const messageSender = (MESSAGE_SENDERS[OTP_SENDER] || createMissingSender)();
+
+// telefone -> { hash, expiresAt, attempts, sends: [timestamps] }
+const otpCodes = new Map();
+
+function hashOtp(phoneDigits, code){
+  return crypto.createHmac('sha256', AUTH_SECRET).update(`otp|${phoneDigits}|${code}`).digest('hex');
+}
+
+function pruneOtpCodes(now){
+  for(const [phone, rec] of otpCodes){
+    rec.sends = rec.sends.filter(t => now - t < 60 * 60 * 1000);
+    if(!rec.sends.length && (!rec.hash || rec.expiresAt <= now)) otpCodes.delete(phone);
+  }
+}
+
+async function requestOtp(phoneDigits){
+  const now = Date.now();
+  pruneOtpCodes(now);
+
+  const rec = otpCodes.get(phoneDigits) || { hash: null, expiresAt: 0, attempts: 0, sends: [] };
+  const last = rec.sends[rec.sends.length - 1] || 0;
+  const resendAt = last + OTP_RESEND_SECONDS * 1000;
+  if(now < resendAt){
+    return { status: 429, error: 'Aguarde para pedir um novo código.', retryAfter: Math.ceil((resendAt - now) / 1000) };
+  }
+  if(rec.sends.length >= OTP_MAX_SENDS_PER_HOUR){
+    return { status: 429, error: 'Limite de códigos atingido. Tente mais tarde.', retryAfter: Math.ceil((rec.sends[0] + 60 * 60 * 1000 - now) / 1000) };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  rec.hash = hashOtp(phoneDigits, code);
+  rec.expiresAt = now + OTP_TTL_MINUTES * 60 * 1000;
+  rec.attempts = 0;
+  rec.sends.push(now);
+  otpCodes.set(phoneDigits, rec);
+
+  try{
+    await messageSender.sendCode(phoneDigits, code);
+  }catch(e){
+    console.error('Erro ao enviar código:', e);
+    rec.hash = null;
+    return { status: 502, error: 'Não foi possível enviar o código. Tente novamente.' };
+  }
+
+  return {
+    otp: {
+      expiresAt: new Date(rec.expiresAt).toISOString(),
+      resendIn: OTP_RESEND_SECONDS
+    }
+  };
+}
+
+function verifyOtp(phoneDigits, code){
+  const rec = otpCodes.get(phoneDigits);
+  if(!rec?.hash || rec.expiresAt <= Date.now()){
+    return { status: 410, error: 'Código expirado. Peça um novo.' };
+  }
+  if(rec.attempts >= OTP_MAX_ATTEMPTS){
+    rec.hash = null;
+    return { status: 429, error: 'Muitas tentativas. Peça um novo código.' };
+  }
+
+  const given = Buffer.from(hashOtp(phoneDigits, String(code || '').trim()));
+  if(!crypto.timingSafeEqual(given, Buffer.from(rec.hash))){
+    rec.attempts += 1;
+    const attemptsLeft = OTP_MAX_ATTEMPTS - rec.attempts;
+    if(!attemptsLeft) rec.hash = null;
+    return { status: 401, error: 'Código incorreto.', attemptsLeft };
+  }
+
+  rec.hash = null;
+  const exp = Date.now() + PHONE_TOKEN_TTL_MINUTES * 60 * 1000;
+  return {
+    phoneToken: signToken({ typ: 'phone', phone: phoneDigits, exp }),
+    expiresAt: new Date(exp).toISOString()
+  };
+}
+
+// O token de telefone (header X-Phone-Token ou phoneToken no body) confirma exatamente esse número?
+function hasPhoneToken(req, phoneDigits){
+  const payload = readSignedToken(req.get('x-phone-token') || req.body?.phoneToken || '');
+  return payload?.typ === 'phone' && Boolean(phoneDigits) && payload.phone === phoneDigits;
+}
+
+// Conta cujo WhatsApp foi confirmado por código (cadastro, reset de senha ou PATCH /api/me com o token)
+function isPhoneVerified(user){
+  return Boolean(user?.phoneVerifiedAt);
+}
+
+// Exige o token de telefone verificado (header X-Phone-Token, ou phoneToken no body/query).
+// Cliente logado vale como verificado para o WhatsApp da conta, se a conta já confirmou o número.
+function phoneAuth(req, res, next){
+  const found = readUserToken(req);
+  if(found && isPhoneVerified(found.user)){
+    req.user = found.user;
+    req.sessionId = found.session.id;
+    req.verifiedPhone = normalizePhone(found.user.phone);
+    return next();
+  }
+
+  const token = req.get('x-phone-token') || req.body?.phoneToken || req.query.phoneToken || '';
+  const payload = readSignedToken(token);
+  if(payload?.typ !== 'phone' || !payload.phone){
+    return res.status(401).json({ error: 'Confirme seu WhatsApp com o código enviado.', otpRequired: true });
+  }
+  req.verifiedPhone = payload.phone;
+  next();
+}
+
+function readUsers(){
+  return usersRepo.all();
+}
+
+// =========================
+// Senhas (scrypt com sal por usuário) e bloqueio de login
+// =========================
+const MIN_PASSWORD_LENGTH = 8;
+
+// Formato salvo: `scrypt$<versão>$<sal>$<hash>` (base64url). Nova versão = novos parâmetros;
+// hashes de versões antigas são refeitos no próximo login.
+const PASSWORD_HASH_VERSIONS = {
+  v1: { N: 16384, r: 8, p: 1, keylen: 64 }
+};
+const PASSWORD_HASH_VERSION = 'v1';
+
+function hashPassword(password){
+  const params = PASSWORD_HASH_VERSIONS[PASSWORD_HASH_VERSION];
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, params.keylen, { N: params.N, r: params.r, p: params.p });
+  return `scrypt$${PASSWORD_HASH_VERSION}$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+// Hash antigo: sha256(senha|AUTH_SECRET), sem sal
+function legacyPasswordHash(password){
+  return crypto
+    .createHash('sha256')
+    .update(String(password) + '|' + AUTH_SECRET)
+    .digest('hex');
+}
+
+function safeEqual(a, b){
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Retorna { ok, needsUpgrade } — needsUpgrade quando o hash salvo não está no formato atual
+function verifyPassword(password, stored){
+  const raw = String(stored || '');
+  const [scheme, version, salt, hash] = raw.split('$');
+
+  if(scheme === 'scrypt' && PASSWORD_HASH_VERSIONS[version] && salt && hash){
+    const params = PASSWORD_HASH_VERSIONS[version];
+    const expected = Buffer.from(hash, 'base64url');
+    const given = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length, { N: params.N, r: params.r, p: params.p });
+    const ok = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    return { ok, needsUpgrade: ok && version !== PASSWORD_HASH_VERSION };
+  }
+
+  if(/^[0-9a-f]{64}$/.test(raw)){
+    const ok = safeEqual(legacyPasswordHash(password), raw);
+    return { ok, needsUpgrade: ok };
+  }
+
+  return { ok: false, needsUpgrade: false };
+}
+
+const LOGIN_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD || 5);
+const LOGIN_LOCK_BASE_SECONDS = Number(process.env.LOGIN_LOCK_BASE_SECONDS || 30);
+const LOGIN_LOCK_MAX_MINUTES = Number(process.env.LOGIN_LOCK_MAX_MINUTES || 60);
+// por IP o limite é maior (várias contas atrás do mesmo wi-fi)
+const LOGIN_LOCK_IP_FACTOR = 4;
+
+// chave ('conta:...' ou 'ip:...') -> { failures, lockedUntil, lastFailureAt }
+const loginFailures = new Map();
+
+// Segundos até liberar (0 = liberado) considerando todas as chaves
+function loginLockRemaining(keys){
+  const now = Date.now();
+  let until = 0;
+  for(const key of keys){
+    const rec = loginFailures.get(key);
+    if(rec && rec.lockedUntil > until) until = rec.lockedUntil;
+  }
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+// A partir do limite, cada falha dobra a espera (30s, 1min, 2min... até LOGIN_LOCK_MAX_MINUTES)
+function registerLoginFailure(key, threshold = LOGIN_LOCK_THRESHOLD){
+  const now = Date.now();
+  for(const [k, rec] of loginFailures){
+    if(now - rec.lastFailureAt > 24 * 60 * 60 * 1000) loginFailures.delete(k);
+  }
+
+  const rec = loginFailures.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+  rec.failures += 1;
+  rec.lastFailureAt = now;
+  if(rec.failures >= threshold){
+    const seconds = Math.min(LOGIN_LOCK_BASE_SECONDS * 2 ** (rec.failures - threshold), LOGIN_LOCK_MAX_MINUTES * 60);
+    rec.lockedUntil = now + seconds * 1000;
+  }
+  loginFailures.set(key, rec);
+}
+
+function clearLoginFailures(key){
+  loginFailures.delete(key);
+}
+
+function lockedResponse(res, seconds){
+  res.set('Retry-After', String(seconds));
+  const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+  return res.status(429).json({ error:`Muitas tentativas. Tente novamente em ${wait}.`, retryAfter: seconds });
+}
+
+function makePublicUser(u){
+  return { id: u.id, name: u.name, email: u.email, phone: u.phone, phoneVerified: isPhoneVerified(u) };
+}
+
+// =========================
+// Sessão de clientes (access + refresh token)
+// =========================
+const USER_ACCESS_TTL_MINUTES = Number(process.env.USER_ACCESS_TTL_MINUTES || 30);
+const USER_REFRESH_TTL_DAYS = Number(process.env.USER_REFRESH_TTL_DAYS || 30);
+
+function readUserSessions(userId){
+  return sessionsRepo.where('user_id = ?', userId);
+}
+
+const purgeSessionsStmt = db.prepare('DELETE FROM sessions WHERE revoked_at IS NOT NULL OR expires_at <= ?');
+
+function hashRefreshSecret(secret){
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function isSessionActive(s){
+  return Boolean(s) && !s.revokedAt && Date.parse(s.expiresAt) > Date.now();
+}
+
+// Access token curto e assinado; refresh token `sessionId.segredo` (só o hash fica salvo)
+function issueUserTokens(session, secret){
+  const exp = Date.now() + USER_ACCESS_TTL_MINUTES * 60 * 1000;
+  return {
+    accessToken: signToken({ typ: 'user', sub: session.userId, sid: session.id, exp }),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: USER_ACCESS_TTL_MINUTES * 60,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+function createUserSession(user, req){
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    refreshHash: hashRefreshSecret(secret),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(Date.now() + USER_REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+    ip: req.ip || '',
+    userAgent: String(req.get('user-agent') || '').slice(0, 200)
+  };
+
+  // aproveita a escrita para descartar sessões vencidas/revogadas
+  purgeSessionsStmt.run(now);
+  sessionsRepo.upsert(session);
+
+  return issueUserTokens(session, secret);
+}
+
+// Troca o refresh token por um novo par. Reusar um refresh já trocado derruba a sessão.
+function refreshUserSession(refreshToken){
+  const [sid, secret] = String(refreshToken || '').split('.');
+  if(!sid || !secret) return { status: 401, error: 'Sessão inválida. Entre novamente.' };
+
+  const session = sessionsRepo.get(sid);
+  if(!isSessionActive(session)) return { status: 401, error: 'Sessão expirada. Entre novamente.' };
+
+  if(session.refreshHash !== hashRefreshSecret(secret)){
+    session.revokedAt = new Date().toISOString();
+    sessionsRepo.upsert(session);
+    return { status: 401, error: 'Sessão inválida. Entre novamente.' };
+  }
+
+  const user = usersRepo.get(session.userId);
+  if(!user) return { status: 401, error: 'Conta não encontrada.' };
+
+  const next = crypto.randomBytes(32).toString('base64url');
+  session.refreshHash = hashRefreshSecret(next);
+  session.lastUsedAt = new Date().toISOString();
+  sessionsRepo.upsert(session);
+
+  return { user, tokens: issueUserTokens(session, next) };
+}
+
+// Revoga as sessões do cliente (todas, ou só as de `ids`), menos `except`
+const revokeUserSessions = db.transaction((userId, { ids = null, except = null } = {}) => {
+  const now = new Date().toISOString();
+  let count = 0;
+  for(const s of readUserSessions(userId)){
+    if(s.revokedAt || s.id === except) continue;
+    if(ids && !ids.includes(s.id)) continue;
+    sessionsRepo.upsert({ ...s, revokedAt: now });
+    count++;
+  }
+  return count;
+});
+
+// Lê o access token do header Authorization. Retorna { user, session } ou null
+function readUserToken(req){
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  const payload = readSignedToken(token);
+  if(payload?.typ !== 'user') return null;
+
+  const session = sessionsRepo.get(payload.sid || '');
+  if(!isSessionActive(session) || session.userId !== payload.sub) return null;
+
+  const user = usersRepo.get(payload.sub);
+  return user ? { user, session } : null;
+}
+
+function userAuth(req, res, next){
+  const found = readUserToken(req);
+  if(!found){
+    return res.status(401).json({ error: 'Não autorizado' });
+  }
+  req.user = found.user;
+  req.sessionId = found.session.id;
+  next();
+}
+
+// Sem token segue anônimo; com token precisa ser válido (o site renova e tenta de novo)
+function optionalUserAuth(req, res, next){
+  const auth = req.headers.authorization || '';
+  if(!auth.startsWith('Bearer ')) return next();
+  return userAuth(req, res, next);
+}
+
+function extractPhoneFromEvent(ev){
+  const hay = `${ev.summary || ''}\n${ev.description || ''}\n${ev.location || ''}`;
+  const m = hay.match(/WhatsApp:\s*([^\n]+)/i);
+  if(!m) return '';
+  return normalizePhone(m[1]);
+}
+
+function extractCustomerFromEvent(ev){
+  const desc = String(ev.description || '');
+  const m = desc.match(/Cliente:\s*([^\n]+)/i);
+  return m ? m[1].trim() : '';
+}
+
+async function ensureAuth(){
+  await calendarProvider.authorize();
+}
+
+async function listUpcomingReservationsByPhone(phoneDigits){
+  await ensureAuth();
+
+  const now = new Date();
+  const timeMin = now.toISOString();
+  const timeMax = new Date(now.getTime() + 1000 * 60 * 60 * 24 * 120).toISOString();
+
+  const items = (await listCalendarEvents({ timeMin, timeMax })).map(e => ({
+    id: e.id,
+    summary: e.summary || '',
+    description: e.description || '',
+    location: e.location || '',
+    start: e.start?.dateTime || e.start?.date || '',
+    end: e.end?.dateTime || e.end?.date || '',
+    seriesId: e.extendedProperties?.private?.seriesId || ''
+  }));
+
+  const out = [];
+  for(const ev of items){
+    if(!ev.start || String(ev.start).length <= 10) continue; // ignora dia inteiro
+    const ph = extractPhoneFromEvent(ev);
+    if(!ph) continue;
+    if(ph === phoneDigits){
+      out.push({
+        eventId: ev.id,
+        summary: ev.summary,
+        start: ev.start,
+        end: ev.end,
+        seriesId: ev.seriesId
+      });
+    }
+  }
+  return out;
+}
+
+// Ocorrências futuras (a partir de fromDate) de uma série de mensalista
+async function listSeriesEvents(seriesId, fromDate){
+  await ensureAuth();
+
+  const timeMin = fromDate ? `${fromDate}T00:00:00-03:00` : new Date().toISOString();
+  const items = await listCalendarEvents({ timeMin, privateExtendedProperty: `seriesId=${seriesId}` });
+
+  return items.map(e => ({
+    id: e.id,
+    summary: e.summary || '',
+    description: e.description || '',
+    location: e.location || '',
+    start: e.start?.dateTime || e.start?.date || '',
+    end: e.end?.dateTime || e.end?.date || ''
+  }));
+}
+
+function formatReservation(r, courts = readCourts()){
+  return {
+    eventId: r.eventId,
+    date: String(r.start).slice(0,10),
+    start: String(r.start).slice(11,16),
+    end: String(r.end).slice(11,16),
+    court: courtLabelForEvent(r, courts),
+    summary: r.summary || '',
+    seriesId: r.seriesId || ''
+  };
+}
+
+// Converte "YYYY-MM-DD" + "HH:MM" para ISO sem offset (Google interpreta pelo timeZone)
+function toDateTimeISO(dateStr, timeStr){
+  return `${dateStr}T${timeStr}:00`;
+}
+
+// ====== Regras de disponibilidade ======
+function timeToMinutes(hhmm){
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return h * 60 + m;
+}
+
+function minutesToTime(min){
+  return `${pad(Math.floor(min / 60))}:${pad(min % 60)}`;
+}
+
+function isValidTime(hhmm){
+  const m = String(hhmm || '').match(/^(\d{2}):(\d{2})$/);
+  return !!m && Number(m[1]) <= 23 && Number(m[2]) <= 59;
+}
+
+function isValidDate(dateStr){
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || ''))) return false;
+  const [y,m,d] = dateStr.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function todayISO(){
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TZ, year:'numeric', month:'2-digit', day:'2-digit' }).format(new Date());
+}
+
+function addDays(dateStr, days){
+  const [y,m,d] = String(dateStr).split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return `${dt.getUTCFullYear()}-${pad(dt.getUTCMonth() + 1)}-${pad(dt.getUTCDate())}`;
+}
+
+function weekdayOf(dateStr){
+  const [y,m,d] = String(dateStr).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 12, 0, 0)).getUTCDay(); // 0=Dom, 6=Sáb
+}
+
+// Horário padrão: Seg-Sex 17:00–23:00 | Sáb-Dom 09:00–19:00
+// weekly: índice 0=Dom ... 6=Sáb -> { open, close } ou null (fechado)
+// specialDates: feriados / horário reduzido -> { date, open, close, label } ou { date, closed:true, label }
+// closures: fechamentos completos -> { from, to, reason } (datas inclusivas)
+const DEFAULT_SCHEDULE = {
+  slotStepMinutes: 60,
+  weekly: [
+    { open:'09:00', close:'19:00' },
+    { open:'17:00', close:'23:00' },
+    { open:'17:00', close:'23:00' },
+    { open:'17:00', close:'23:00' },
+    { open:'17:00', close:'23:00' },
+    { open:'17:00', close:'23:00' },
+    { open:'09:00', close:'19:00' }
+  ],
+  specialDates: [],
+  closures: []
+};
+
+function normalizeHours(raw, label){
+  if(!raw || raw.closed) return { value: null };
+  const open = String(raw.open || '').trim();
+  const close = String(raw.close || '').trim();
+  if(!isValidTime(open) || !isValidTime(close)){
+    return { error:`${label}: horários inválidos (use HH:MM).` };
+  }
+  if(timeToMinutes(open) >= timeToMinutes(close)){
+    return { error:`${label}: abertura deve ser antes do fechamento.` };
+  }
+  return { value: { open, close } };
+}
+
+// Retorna { schedule } ou { error }
+function normalizeSchedule(input){
+  const raw = input && typeof input === 'object' ? input : {};
+
+  const step = Number(raw.slotStepMinutes ?? DEFAULT_SCHEDULE.slotStepMinutes);
+  if(![30,60].includes(step)) return { error:'slotStepMinutes deve ser 30 ou 60.' };
+
+  if(!Array.isArray(raw.weekly) || raw.weekly.length !== 7){
+    return { error:'weekly deve ter 7 posições (0=Dom ... 6=Sáb).' };
+  }
+  const weekly = [];
+  for(let i = 0; i < 7; i++){
+    const r = normalizeHours(raw.weekly[i], `weekly[${i}]`);
+    if(r.error) return { error: r.error };
+    weekly.push(r.value);
+  }
+
+  const specialDates = [];
+  for(const item of Array.isArray(raw.specialDates) ? raw.specialDates : []){
+    const date = String(item?.date || '').trim();
+    if(!isValidDate(date)) return { error:`specialDates: data inválida (${date || 'vazia'}).` };
+    const r = normalizeHours(item, `specialDates ${date}`);
+    if(r.error) return { error: r.error };
+    specialDates.push({
+      date,
+      label: String(item.label || '').trim(),
+      closed: !r.value,
+      ...(r.value || {})
+    });
+  }
+
+  const closures = [];
+  for(const item of Array.isArray(raw.closures) ? raw.closures : []){
+    const from = String(item?.from || '').trim();
+    const to = String(item?.to || from).trim();
+    if(!isValidDate(from) || !isValidDate(to) || to < from){
+      return { error:`closures: período inválido (${from} a ${to}).` };
+    }
+    closures.push({ from, to, reason: String(item.reason || '').trim() });
+  }
+
+  specialDates.sort((a, b) => a.date.localeCompare(b.date));
+  closures.sort((a, b) => a.from.localeCompare(b.from));
+
+  return { schedule: { slotStepMinutes: step, weekly, specialDates, closures } };
+}
+
+function readSchedule(){
+  const data = readDocument('horarios', null);
+  if(!data) return DEFAULT_SCHEDULE;
+  const { schedule, error } = normalizeSchedule(data);
+  if(error){
+    console.error('Horários salvos inválidos, usando horário padrão:', error);
+    return DEFAULT_SCHEDULE;
+  }
+  return schedule;
+}
+
+function writeSchedule(schedule){
+  writeDocument('horarios', schedule);
+}
+
+// { closed:true, reason } ou { closed:false, open, close, label }
+function getDayHours(dateStr, schedule = readSchedule()){
+  const closure = schedule.closures.find(c => dateStr >= c.from && dateStr <= c.to);
+  if(closure) return { closed:true, reason: closure.reason || 'Fechado' };
+
+  const special = schedule.specialDates.find(s => s.date === dateStr);
+  if(special){
+    if(special.closed) return { closed:true, reason: special.label || 'Fechado' };
+    return { closed:false, open: special.open, close: special.close, label: special.label };
+  }
+
+  const hours = schedule.weekly[weekdayOf(dateStr)];
+  if(!hours) return { closed:true, reason:'Fechado' };
+  return { closed:false, open: hours.open, close: hours.close, label:'' };
+}
+
+function generateSlots(dateISO, durationMinutes, schedule = readSchedule()){
+  const day = getDayHours(String(dateISO || ''), schedule);
+  if(day.closed) return [];
+
+  const slots = [];
+  const lastStart = timeToMinutes(day.close) - durationMinutes;
+
+  for(let t = timeToMinutes(day.open); t <= lastStart; t += schedule.slotStepMinutes){
+    slots.push({ start: minutesToTime(t), end: minutesToTime(t + durationMinutes) });
+  }
+  return slots;
+}
+
+function overlaps(aStart, aEnd, bStart, bEnd){
+  return (aStart < bEnd) && (bStart < aEnd);
+}
+
+// ====== Classificação de eventos para quadras ======
+let DEFAULT_KEYWORD_MAP = [
+  { pattern: 'futevolei|futvolei|futev[oó]lei', court: 1 },
+  { pattern: 'v[oó]lei(?!.*fute)', court: 2 },
+  { pattern: 'beach\\s*tennis|\\bbt\\b', court: 2 }
+];
+
+try{
+  if(process.env.COURT_KEYWORDS_JSON){
+    const parsed = JSON.parse(process.env.COURT_KEYWORDS_JSON);
+    if(Array.isArray(parsed) && parsed.length) DEFAULT_KEYWORD_MAP = parsed;
+  }
+}catch{
+  // ignora
+}
+
+// ====== Cadastro de quadras ======
+// { id, name, aliases, active } — aliases são termos que identificam a quadra no título/descrição do evento
+const DEFAULT_COURTS = [
+  { id: 1, name: 'Quadra 1', aliases: [], active: true },
+  { id: 2, name: 'Quadra 2', aliases: [], active: true }
+];
+
+function normalizeCourt(input){
+  const raw = input && typeof input === 'object' ? input : {};
+  const id = Number(raw.id);
+  if(!Number.isInteger(id) || id <= 0) return { error:'id da quadra deve ser um inteiro positivo.' };
+
+  const name = String(raw.name || `Quadra ${id}`).trim();
+  const aliases = (Array.isArray(raw.aliases) ? raw.aliases : String(raw.aliases || '').split(','))
+    .map(a => String(a || '').trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    court: {
+      id,
+      name,
+      aliases: [...new Set(aliases)],
+      active: raw.active === undefined ? true : Boolean(raw.active)
+    }
+  };
+}
+
+function readCourts(){
+  const data = readDocument('quadras', null);
+  if(!Array.isArray(data) || !data.length) return DEFAULT_COURTS;
+  return data
+    .map(c => normalizeCourt(c).court)
+    .filter(Boolean)
+    .sort((a, b) => a.id - b.id);
+}
+
+function writeCourts(courts){
+  writeDocument('quadras', courts);
+}
+
+function activeCourts(courts = readCourts()){
+  return courts.filter(c => c.active);
+}
+
+function publicCourt(c){
+  return { id: c.id, name: c.name };
+}
+
+function escapeRegExp(s){
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Termos que identificam a quadra: nome, "quadra N", "qN" e aliases (q1 não casa com q10)
+function courtMatcher(court){
+  const terms = [court.name, `quadra ${court.id}`, `q${court.id}`, ...court.aliases]
+    .map(t => String(t || '').trim().toLowerCase())
+    .filter(Boolean)
+    .map(t => escapeRegExp(t).replace(/\s+/g, '\\s*'));
+  return new RegExp(`(^|[^a-z0-9])(${terms.join('|')})(?![a-z0-9])`, 'i');
+}
+
+function classifyEventToCourts(ev, courts = readCourts()){
+  const text = `${ev.summary || ''} ${ev.description || ''} ${ev.location || ''}`.toLowerCase();
+
+  if(/todas\s+as\s+quadras/.test(text)) return { kind:'known', courts: courts.map(c => c.id), blockAll:true };
+
+  const matched = courts.filter(c => courtMatcher(c).test(text)).map(c => c.id);
+  if(matched.length){
+    const active = activeCourts(courts);
+    const blockAll = active.length > 1 && active.every(c => matched.includes(c.id));
+    return { kind:'known', courts: matched, blockAll };
+  }
+
+  for(const rule of DEFAULT_KEYWORD_MAP){
+    try{
+      const re = new RegExp(rule.pattern, 'i');
+      if(re.test(text)){
+        const c = Number(rule.court);
+        if(courts.some(x => x.id === c)) return { kind:'known', courts:[c], blockAll:false };
+      }
+    }catch{
+      // ignora regra inválida
+    }
+  }
+
+  return { kind:'unknownSingle', courts:[], blockAll:false };
+}
+
+function courtLabelForEvent(ev, courts = readCourts()){
+  const cls = classifyEventToCourts(ev, courts);
+  return courts
+    .filter(c => cls.courts.includes(c.id))
+    .map(c => c.name)
+    .join(', ');
+}
+
+function mapCalendarEvent(ev){
+  return {
+    id: ev.id,
+    summary: ev.summary || '',
+    description: ev.description || '',
+    location: ev.location || '',
+    start: ev.start?.dateTime || ev.start?.date,
+    end: ev.end?.dateTime || ev.end?.date
+  };
+}
+
+// Uma única consulta para o período inteiro ({ fresh:true } ignora o espelho e lê direto da agenda)
+async function listEventsForRange(fromDate, toDate, { fresh = false } = {}){
+  const params = {
+    timeMin: `${fromDate}T00:00:00${tzOffsetFor(`${fromDate}T00:00:00`)}`,
+    timeMax: `${toDate}T23:59:59${tzOffsetFor(`${toDate}T23:59:59`)}`
+  };
+  const items = fresh ? await calendarProvider.list(params) : await listCalendarEvents(params);
+  return items.map(mapCalendarEvent);
+}
+
+// Separa os eventos por dia: cada evento entra em todos os dias que ele cobre (dia inteiro: end.date é exclusivo).
+// Evento com horário que passa da meia-noite entra em cada dia com o trecho daquele dia (dayStartMin/dayEndMin).
+function groupEventsByDay(events, fromDate, toDate){
+  const byDay = new Map();
+  for(let d = fromDate; d <= toDate; d = addDays(d, 1)) byDay.set(d, []);
+
+  for(const ev of events){
+    const start = String(ev.start || '');
+    if(start.length <= 10){
+      const end = String(ev.end || addDays(start, 1)).slice(0,10);
+      for(let d = start < fromDate ? fromDate : start; d < end && d <= toDate; d = addDays(d, 1)){
+        byDay.get(d)?.push(ev);
+      }
+      continue;
+    }
+
+    const end = String(ev.end || start);
+    const startDay = start.slice(0,10);
+    const endDay = end.slice(0,10);
+    if(endDay <= startDay){
+      byDay.get(startDay)?.push(ev);
+      continue;
+    }
+
+    const startMin = isoToMinutes(start);
+    const endMin = isoToMinutes(end);
+    for(let d = startDay < fromDate ? fromDate : startDay; d <= endDay && d <= toDate; d = addDays(d, 1)){
+      if(d === endDay && endMin === 0) break;
+      byDay.get(d)?.push({
+        ...ev,
+        dayStartMin: d === startDay ? startMin : 0,
+        dayEndMin: d === endDay ? endMin : 24 * 60
+      });
+    }
+  }
+  return byDay;
+}
+
+// ====== Cache de leitura da agenda ======
+// Por dia, com TTL curto; só é usado enquanto o espelho (abaixo) não está pronto.
+// Nossas gravações (reserva, remarcação, cancelamento) invalidam o dia.
+// A confirmação de reserva sempre lê direto da agenda ({ fresh:true }).
+const EVENTS_CACHE_TTL_MS = Number(process.env.EVENTS_CACHE_TTL_SECONDS || 30) * 1000;
+const eventsCache = new Map();
+
+function invalidateEventsCache(dateStr){
+  if(dateStr) eventsCache.delete(dateStr);
+  else eventsCache.clear();
+}
+
+function cachedDay(dateStr){
+  const hit = eventsCache.get(dateStr);
+  if(!hit || Date.now() - hit.fetchedAt > EVENTS_CACHE_TTL_MS) return null;
+  return hit.events;
+}
+
+async function getEventsForDays(fromDate, toDate){
+  if(isMirrorReady()) return groupEventsByDay(await listEventsForRange(fromDate, toDate), fromDate, toDate);
+
+  const byDay = new Map();
+  let allCached = true;
+  for(let d = fromDate; d <= toDate; d = addDays(d, 1)){
+    const events = cachedDay(d);
+    if(!events){
+      allCached = false;
+      break;
+    }
+    byDay.set(d, events);
+  }
+  if(allCached) return byDay;
+
+  const fetchedAt = Date.now();
+  const fresh = groupEventsByDay(await listEventsForRange(fromDate, toDate), fromDate, toDate);
+  for(const [d, events] of fresh) eventsCache.set(d, { events, fetchedAt });
+  return fresh;
+}
+
+async function listEventsForDay(dateStr, { fresh = false } = {}){
+  if(!fresh) return (await getEventsForDays(dateStr, dateStr)).get(dateStr) || [];
+
+  const byDay = groupEventsByDay(await listEventsForRange(dateStr, dateStr, { fresh:true }), dateStr, dateStr);
+  return byDay.get(dateStr) || [];
+}
+
+// ====== Espelho local da agenda ======
+// Cópia dos eventos a partir de CALENDAR_MIRROR_PAST_DAYS atrás (memória + tabela agenda_espelho) mantida por
+// sync incremental (syncToken); cada sync grava só os eventos que mudaram:
+// - o Google avisa mudanças no webhook (events.watch em CALENDAR_WEBHOOK_URL) -> sync incremental
+// - a cada CALENDAR_SYNC_SECONDS roda um incremental de segurança e a cada CALENDAR_FULL_RESYNC_MINUTES um completo
+// - nossas próprias gravações entram no espelho na hora
+// Com o espelho pronto, as leituras dentro da janela (horários, grade, minhas reservas, painel) saem dele;
+// consultas mais antigas vão direto na agenda.
+const CALENDAR_MIRROR_ENABLED = String(process.env.CALENDAR_MIRROR || 'on').toLowerCase() !== 'off';
+const LEGACY_CALENDAR_MIRROR_FILE = path.join(DATA_DIR, 'agenda-espelho.json');
+const CALENDAR_MIRROR_PAST_DAYS = Number(process.env.CALENDAR_MIRROR_PAST_DAYS || 90);
+const CALENDAR_SYNC_SECONDS = Number(process.env.CALENDAR_SYNC_SECONDS || 300);
+const CALENDAR_FULL_RESYNC_MINUTES = Number(process.env.CALENDAR_FULL_RESYNC_MINUTES || 360);
+const CALENDAR_WEBHOOK_URL = process.env.CALENDAR_WEBHOOK_URL || '';
+const CALENDAR_WEBHOOK_TOKEN = process.env.CALENDAR_WEBHOOK_TOKEN
+  || crypto.createHmac('sha256', AUTH_SECRET).update('calendar-webhook').digest('hex');
+const CALENDAR_WATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const calendarMirror = {
+  ready: false,
+  syncToken: null,
+  windowStart: null,
+  events: new Map(),
+  channel: null,
+  lastSyncAt: null,
+  lastFullSyncAt: null,
+  lastError: null
+};
+
+let mirrorQueue = Promise.resolve();
+let mirrorQueued = null;
+
+function isMirrorReady(){
+  return CALENDAR_MIRROR_ENABLED && calendarMirror.ready;
+}
+
+// Leitura para telas e consultas: espelho quando pronto e a consulta cabe na janela, senão direto na agenda
+async function listCalendarEvents(params){
+  if(isMirrorReady() && mirrorCovers(params)) return filterCalendarEvents([...calendarMirror.events.values()], params);
+  return calendarProvider.list(params);
+}
+
+function mirrorCovers({ timeMin } = {}){
+  if(!calendarMirror.windowStart) return true;
+  return Boolean(timeMin) && Date.parse(timeMin) >= Date.parse(calendarMirror.windowStart);
+}
+
+function mirrorPut(ev){
+  if(!calendarMirror.ready || !ev?.id) return;
+  calendarMirror.events.set(ev.id, ev);
+  mirrorRepo.upsert(ev);
+}
+
+function mirrorRemove(eventId){
+  calendarMirror.events.delete(String(eventId));
+  mirrorRepo.remove(eventId);
+}
+
+// Estado do sync (syncToken, janela, canal do webhook); os eventos ficam em agenda_espelho
+function saveMirrorState(){
+  writeDocument('agenda-espelho', {
+    syncToken: calendarMirror.syncToken,
+    windowStart: calendarMirror.windowStart,
+    channel: calendarMirror.channel,
+    lastSyncAt: calendarMirror.lastSyncAt,
+    lastFullSyncAt: calendarMirror.lastFullSyncAt
+  });
+}
+
+const applyMirrorChanges = db.transaction(items => {
+  for(const ev of items){
+    if(ev.status === 'cancelled') mirrorRepo.remove(ev.id);
+    else mirrorRepo.upsert(ev);
+  }
+});
+
+function loadMirror(){
+  // versões anteriores regravavam a agenda inteira nesse JSON; o primeiro sync completo refaz tudo na tabela
+  fs.rmSync(LEGACY_CALENDAR_MIRROR_FILE, { force:true });
+
+  const state = readDocument('agenda-espelho', null);
+  if(!state?.syncToken) return;
+
+  calendarMirror.syncToken = state.syncToken;
+  calendarMirror.windowStart = state.windowStart || null;
+  calendarMirror.channel = state.channel || null;
+  calendarMirror.lastSyncAt = state.lastSyncAt || null;
+  calendarMirror.lastFullSyncAt = state.lastFullSyncAt || null;
+  calendarMirror.events = new Map(mirrorRepo.all().map(ev => [ev.id, ev]));
+  calendarMirror.ready = true;
+}
+
+// Início da janela do espelho: meia-noite de CALENDAR_MIRROR_PAST_DAYS atrás (0 = agenda inteira)
+function mirrorWindowStart(){
+  if(!(CALENDAR_MIRROR_PAST_DAYS > 0)) return null;
+  const date = addDays(todayISO(), -CALENDAR_MIRROR_PAST_DAYS);
+  return `${date}T00:00:00${tzOffsetFor(`${date}T00:00:00`)}`;
+}
+
+async function pullCalendarChanges(syncToken, timeMin){
+  const items = [];
+  let pageToken;
+  let nextSyncToken;
+  do{
+    const page = await calendarProvider.sync({ syncToken, pageToken, timeMin });
+    items.push(...page.items);
+    pageToken = page.nextPageToken;
+    nextSyncToken = page.nextSyncToken || nextSyncToken;
+  }while(pageToken);
+  return { items, nextSyncToken };
+}
+
+async function runMirrorSync(full){
+  await ensureAuth();
+
+  if(full || !calendarMirror.syncToken){
+    const windowStart = mirrorWindowStart();
+    const { items, nextSyncToken } = await pullCalendarChanges(undefined, windowStart || undefined);
+    const live = items.filter(ev => ev.status !== 'cancelled');
+    mirrorRepo.replaceAll(live);
+    calendarMirror.events = new Map(live.map(ev => [ev.id, ev]));
+    calendarMirror.syncToken = nextSyncToken;
+    calendarMirror.windowStart = windowStart;
+    calendarMirror.lastFullSyncAt = new Date().toISOString();
+  }else{
+    let changes;
+    try{
+      changes = await pullCalendarChanges(calendarMirror.syncToken);
+    }catch(err){
+      if(err?.code === 410 || err?.response?.status === 410){
+        // syncToken expirado: o Google exige sincronizar tudo de novo
+        calendarMirror.syncToken = null;
+        return runMirrorSync(true);
+      }
+      throw err;
+    }
+    applyMirrorChanges(changes.items);
+    for(const ev of changes.items){
+      if(ev.status === 'cancelled') calendarMirror.events.delete(ev.id);
+      else calendarMirror.events.set(ev.id, ev);
+    }
+    calendarMirror.syncToken = changes.nextSyncToken || calendarMirror.syncToken;
+  }
+
+  calendarMirror.ready = true;
+  calendarMirror.lastSyncAt = new Date().toISOString();
+  calendarMirror.lastError = null;
+  invalidateEventsCache();
+  saveMirrorState();
+}
+
+// Um sync por vez; pedidos incrementais enquanto já existe um na fila aproveitam o mesmo
+function syncCalendarMirror({ full = false } = {}){
+  if(mirrorQueued && !full) return mirrorQueued;
+
+  const job = mirrorQueue
+    .then(() => {
+      if(mirrorQueued === job) mirrorQueued = null;
+      return runMirrorSync(full);
+    })
+    .catch(err => {
+      calendarMirror.lastError = String(err?.message || err);
+      console.error('Erro ao sincronizar espelho da agenda:', err);
+    });
+
+  mirrorQueued = job;
+  mirrorQueue = job;
+  return job;
+}
+
+// Canal de notificações do Google; renovado 1h antes de expirar
+async function startCalendarWatch(){
+  if(!CALENDAR_WEBHOOK_URL || !calendarProvider.watch) return;
+
+  const previous = calendarMirror.channel;
+  try{
+    calendarMirror.channel = await calendarProvider.watch({
+      id: crypto.randomUUID(),
+      address: CALENDAR_WEBHOOK_URL,
+      token: CALENDAR_WEBHOOK_TOKEN,
+      ttlSeconds: CALENDAR_WATCH_TTL_SECONDS
+    });
+    saveMirrorState();
+    if(previous?.resourceId) calendarProvider.stopWatch(previous).catch(() => {});
+
+    const renewIn = Math.max(60 * 1000, calendarMirror.channel.expiration - Date.now() - 60 * 60 * 1000);
+    setTimeout(startCalendarWatch, Math.min(renewIn, 2 ** 31 - 1)).unref();
+  }catch(err){
+    console.error('Erro ao registrar webhook da agenda:', err);
+    setTimeout(startCalendarWatch, 10 * 60 * 1000).unref();
+  }
+}
+
+function startCalendarMirror(){
+  if(!CALENDAR_MIRROR_ENABLED || requireEnv().length) return;
+
+  loadMirror();
+  syncCalendarMirror({ full: !calendarMirror.ready });
+  setInterval(() => syncCalendarMirror(), CALENDAR_SYNC_SECONDS * 1000).unref();
+  setInterval(() => syncCalendarMirror({ full:true }), CALENDAR_FULL_RESYNC_MINUTES * 60 * 1000).unref();
+  startCalendarWatch();
+}
+
+function isoToMinutes(iso){
+  const s = String(iso || '');
+
+  const mOffset = s.match(/T(\d{2}):(\d{2}).*([+-]\d{2}:?\d{2})$/);
+  if(mOffset){
+    return Number(mOffset[1]) * 60 + Number(mOffset[2]);
+  }
+
+  try{
+    const d = new Date(s);
+    const parts = new Intl.DateTimeFormat('en-GB', {
       timeZone: TZ,
       hour: '2-digit',
       minute: '2-digit',
       hour12: false
     }).formatToParts(d);
 
-    const hh = Number(parts.find(p => p.type === 'hour')?.value ?? '0');
-    const mm = Number(parts.find(p => p.type === 'minute')?.value ?? '0');
-    return hh * 60 + mm;
-  }catch{
-    const m = s.match(/T(\d{2}):(\d{2})/);
-    if(!m) return 0;
-    return Number(m[1]) * 60 + Number(m[2]);
+    const hh = Number(parts.find(p => p.type === 'hour')?.value ?? '0');
+    const mm = Number(parts.find(p => p.type === 'minute')?.value ?? '0');
+    return hh * 60 + mm;
+  }catch{
+    const m = s.match(/T(\d{2}):(\d{2})/);
+    if(!m) return 0;
+    return Number(m[1]) * 60 + Number(m[2]);
+  }
+}
+
+// Ocupação das quadras no intervalo [startMin, endMin) do dia.
+// Eventos sem quadra definida consomem uma quadra qualquer (reduzem available, sem fixar qual).
+// holds: pré-reservas ativas do dia, que ocupam a quadra como um evento.
+function computeOccupancy(events, startMin, endMin, courts = readCourts(), holds = []){
+  const active = activeCourts(courts);
+  const busyKnown = new Set();
+  let unknownCount = 0;
+
+  for(const h of holds){
+    if(overlaps(startMin, endMin, h.startMin, h.endMin)) busyKnown.add(h.courtId);
+  }
+
+  for(const ev of events){
+    if(String(ev.start).length <= 10){
+      return { blocked:true, busyKnown: new Set(active.map(c => c.id)), unknownCount:0, freeCourts:[], available:0 };
+    }
+
+    const evStartMin = ev.dayStartMin ?? isoToMinutes(ev.start);
+    const evEndMin = ev.dayEndMin ?? isoToMinutes(ev.end);
+    if(!overlaps(startMin, endMin, evStartMin, evEndMin)) continue;
+
+    const cls = classifyEventToCourts(ev, courts);
+    if(cls.blockAll){
+      return { blocked:true, busyKnown: new Set(active.map(c => c.id)), unknownCount:0, freeCourts:[], available:0 };
+    }
+
+    if(cls.kind === 'known'){
+      cls.courts.forEach(c => busyKnown.add(c));
+    }else if(cls.kind === 'unknownSingle'){
+      unknownCount += 1;
+    }
+  }
+
+  const freeCourts = active.filter(c => !busyKnown.has(c.id));
+  const available = Math.max(0, freeCourts.length - unknownCount);
+
+  return { blocked:false, busyKnown, unknownCount, freeCourts, available };
+}
+
+function computeAvailability(events, duration, date){
+  const courts = readCourts();
+  const holds = activeHoldsForDay(date);
+
+  return generateSlots(date, duration).map(slot => {
+    const occ = computeOccupancy(events, timeToMinutes(slot.start), timeToMinutes(slot.end), courts, holds);
+    return {
+      ...slot,
+      availableCourts: occ.available,
+      freeCourts: occ.available > 0 ? occ.freeCourts.map(publicCourt) : []
+    };
+  });
+}
+
+// Valida data/início/duração contra o horário de funcionamento.
+// Retorna { slot } ou { status, error }
+function validateSlotRequest({ date, start, duration }){
+  const cleanDate = String(date || '');
+  const cleanStart = String(start || '');
+  const dur = Number(duration || 60);
+
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(cleanDate)) return { status:400, error:'date inválida (YYYY-MM-DD)' };
+  if(!/^\d{2}:\d{2}$/.test(cleanStart)) return { status:400, error:'start inválido (HH:MM)' };
+  if(![60,120].includes(dur)) return { status:400, error:'duration inválida (60 ou 120)' };
+
+  const startMin = timeToMinutes(cleanStart);
+  const endMin = startMin + dur;
+  const end = minutesToTime(endMin);
+
+  const day = getDayHours(cleanDate);
+  if(day.closed){
+    return { status:400, error:`Arena fechada nesse dia${day.reason ? ` (${day.reason})` : ''}.` };
+  }
+
+  const isValidSlot = generateSlots(cleanDate, dur).some(s => s.start === cleanStart && s.end === end);
+  if(!isValidSlot) return { status:400, error:'Horário inválido para esse dia.' };
+
+  return { slot: { date: cleanDate, start: cleanStart, end, duration: dur, startMin, endMin } };
+}
+
+// Escolhe a quadra (a pedida, se livre, ou a primeira livre). Retorna { court } ou { status, error }
+function pickCourt(occ, courtId, courts = readCourts()){
+  if(occ.blocked) return { status:409, error:'Esse horário está indisponível.' };
+  if(occ.available <= 0){
+    return { status:409, error:`Esse horário está lotado (${activeCourts(courts).length} quadras ocupadas).` };
+  }
+  if(courtId === undefined || courtId === null || courtId === '') return { court: occ.freeCourts[0] };
+
+  const court = occ.freeCourts.find(c => c.id === Number(courtId));
+  if(!court) return { status:409, error:'Essa quadra não está disponível nesse horário.' };
+  return { court };
+}
+
+// ====== Preços ======
+// rules: avaliadas em ordem (a primeira que casa vence), por bloco de 30 min
+//   { label, weekdays:[0-6], dates:['YYYY-MM-DD'], from:'HH:MM', to:'HH:MM', durations:[60,120], courts:[ids], pricePerHour }
+//   listas vazias = vale para todos
+// promos: { code, percentOff | amountOff, validFrom, validTo, weekdays, active }
+const DEFAULT_PRICING = {
+  currency: 'BRL',
+  defaultPricePerHour: null,
+  rules: [],
+  promos: []
+};
+
+const PRICE_BLOCK_MINUTES = 30;
+
+function roundMoney(v){
+  return Math.round(Number(v) * 100) / 100;
+}
+
+function formatBRL(v){
+  return `R$ ${roundMoney(v).toFixed(2).replace('.', ',')}`;
+}
+
+function numberList(v){
+  return (Array.isArray(v) ? v : []).map(Number).filter(Number.isFinite);
+}
+
+// Retorna { pricing } ou { error }
+function normalizePricing(input){
+  const raw = input && typeof input === 'object' ? input : {};
+
+  const defaultPricePerHour = raw.defaultPricePerHour === null || raw.defaultPricePerHour === undefined || raw.defaultPricePerHour === ''
+    ? null
+    : Number(raw.defaultPricePerHour);
+  if(defaultPricePerHour !== null && !(defaultPricePerHour >= 0)){
+    return { error:'defaultPricePerHour inválido.' };
+  }
+
+  const rules = [];
+  for(const [i, r] of (Array.isArray(raw.rules) ? raw.rules : []).entries()){
+    const from = String(r?.from || '00:00').trim();
+    const to = String(r?.to || '23:59').trim();
+    const pricePerHour = Number(r?.pricePerHour);
+    if(!isValidTime(from) || !isValidTime(to) || timeToMinutes(from) >= timeToMinutes(to)){
+      return { error:`rules[${i}]: faixa de horário inválida.` };
+    }
+    if(!(pricePerHour >= 0)) return { error:`rules[${i}]: pricePerHour inválido.` };
+
+    const dates = (Array.isArray(r.dates) ? r.dates : []).map(d => String(d).trim());
+    if(dates.some(d => !isValidDate(d))) return { error:`rules[${i}]: datas inválidas.` };
+
+    rules.push({
+      label: String(r.label || '').trim(),
+      weekdays: numberList(r.weekdays).filter(d => d >= 0 && d <= 6),
+      dates,
+      from,
+      to,
+      durations: numberList(r.durations),
+      courts: numberList(r.courts),
+      pricePerHour
+    });
+  }
+
+  const promos = [];
+  for(const [i, p] of (Array.isArray(raw.promos) ? raw.promos : []).entries()){
+    const code = String(p?.code || '').trim().toUpperCase();
+    if(!code) return { error:`promos[${i}]: code é obrigatório.` };
+    if(promos.some(x => x.code === code)) return { error:`promos: código ${code} repetido.` };
+
+    const percentOff = Number(p.percentOff || 0);
+    const amountOff = Number(p.amountOff || 0);
+    if(!(percentOff >= 0 && percentOff <= 100) || !(amountOff >= 0) || (!percentOff && !amountOff)){
+      return { error:`promos[${i}]: informe percentOff (0-100) ou amountOff.` };
+    }
+
+    const validFrom = String(p.validFrom || '').trim();
+    const validTo = String(p.validTo || '').trim();
+    if((validFrom && !isValidDate(validFrom)) || (validTo && !isValidDate(validTo))){
+      return { error:`promos[${i}]: validade inválida.` };
+    }
+
+    promos.push({
+      code,
+      percentOff,
+      amountOff,
+      validFrom,
+      validTo,
+      weekdays: numberList(p.weekdays).filter(d => d >= 0 && d <= 6),
+      active: p.active === undefined ? true : Boolean(p.active)
+    });
+  }
+
+  return {
+    pricing: {
+      currency: String(raw.currency || 'BRL').trim() || 'BRL',
+      defaultPricePerHour,
+      rules,
+      promos
+    }
+  };
+}
+
+function readPricing(){
+  const data = readDocument('precos', null);
+  if(!data) return DEFAULT_PRICING;
+  const { pricing, error } = normalizePricing(data);
+  if(error){
+    console.error('Preços salvos inválidos, reservas ficarão sem preço:', error);
+    return DEFAULT_PRICING;
+  }
+  return pricing;
+}
+
+function writePricing(pricing){
+  writeDocument('precos', pricing);
+}
+
+function ruleMatches(rule, { date, weekday, blockStart, duration, courtId }){
+  if(rule.dates.length && !rule.dates.includes(date)) return false;
+  if(rule.weekdays.length && !rule.weekdays.includes(weekday)) return false;
+  if(rule.durations.length && !rule.durations.includes(duration)) return false;
+  if(rule.courts.length && !rule.courts.includes(courtId)) return false;
+  return blockStart >= timeToMinutes(rule.from) && blockStart < timeToMinutes(rule.to);
+}
+
+function findPromo(code, date, pricing){
+  const clean = String(code || '').trim().toUpperCase();
+  const promo = pricing.promos.find(p => p.code === clean);
+  if(!promo || !promo.active) return null;
+  if(promo.validFrom && date < promo.validFrom) return null;
+  if(promo.validTo && date > promo.validTo) return null;
+  if(promo.weekdays.length && !promo.weekdays.includes(weekdayOf(date))) return null;
+  return promo;
+}
+
+// Calcula o valor de uma locação. Retorna { quote } ou { error }.
+// quote.price é null quando não há regra nem preço padrão para algum trecho.
+function quotePrice({ date, start, duration, courtId, promoCode }, pricing = readPricing()){
+  const weekday = weekdayOf(date);
+  const startMin = timeToMinutes(start);
+  const breakdown = [];
+  let base = 0;
+  let unpriced = false;
+
+  for(let t = startMin; t < startMin + duration; t += PRICE_BLOCK_MINUTES){
+    const rule = pricing.rules.find(r => ruleMatches(r, { date, weekday, blockStart: t, duration, courtId }));
+    const perHour = rule ? rule.pricePerHour : pricing.defaultPricePerHour;
+    if(perHour === null){
+      unpriced = true;
+      continue;
+    }
+    const amount = perHour * PRICE_BLOCK_MINUTES / 60;
+    base += amount;
+
+    const last = breakdown[breakdown.length - 1];
+    const label = rule ? (rule.label || 'Regra') : 'Padrão';
+    if(last && last.label === label && last.to === minutesToTime(t)){
+      last.to = minutesToTime(t + PRICE_BLOCK_MINUTES);
+      last.amount = roundMoney(last.amount + amount);
+    }else{
+      breakdown.push({ label, from: minutesToTime(t), to: minutesToTime(t + PRICE_BLOCK_MINUTES), amount: roundMoney(amount) });
+    }
+  }
+
+  let promo = null;
+  if(String(promoCode || '').trim()){
+    promo = findPromo(promoCode, date, pricing);
+    if(!promo) return { error:'Cupom inválido ou expirado.' };
+  }
+
+  if(unpriced){
+    return { quote: { currency: pricing.currency, basePrice: null, discount: 0, price: null, promoCode: promo?.code || '', breakdown } };
+  }
+
+  const discount = promo
+    ? roundMoney(Math.min(base, base * promo.percentOff / 100 + promo.amountOff))
+    : 0;
+
+  return {
+    quote: {
+      currency: pricing.currency,
+      basePrice: roundMoney(base),
+      discount,
+      price: roundMoney(base - discount),
+      promoCode: promo?.code || '',
+      breakdown
+    }
+  };
+}
+
+function priceText(quote){
+  if(quote.price === null) return '';
+  const promo = quote.promoCode ? ` (cupom ${quote.promoCode}: -${formatBRL(quote.discount)})` : '';
+  return `${formatBRL(quote.price)}${promo}`;
+}
+
+function priceLine(quote){
+  const text = priceText(quote);
+  return text ? `Valor: ${text}\n` : '';
+}
+
+// Preço gravado no evento para consulta posterior (extendedProperties só aceita strings)
+function priceProperties(quote){
+  if(quote.price === null) return {};
+  return {
+    price: quote.price.toFixed(2),
+    currency: quote.currency,
+    ...(quote.promoCode ? { promoCode: quote.promoCode } : {})
+  };
+}
+
+// ====== Pré-reservas (holds) e confirmação ======
+// Holds ficam em memória: seguram a quadra enquanto o cliente preenche o formulário.
+// Criação e confirmação rodam dentro de withDayLock, então duas reservas do mesmo dia
+// nunca checam a ocupação ao mesmo tempo (a API roda em uma única instância).
+const HOLD_TTL_MINUTES = Number(process.env.HOLD_TTL_MINUTES || 5);
+// Cliente = conta logada ou IP (req.ip, que depende do trust proxy lá no topo)
+const MAX_HOLDS_PER_CLIENT = 3;
+
+const slotHolds = new Map();
+const dayLocks = new Map();
+
+async function withDayLock(date, fn){
+  const prev = dayLocks.get(date) || Promise.resolve();
+  let release;
+  const mine = new Promise(r => { release = r; });
+  const current = prev.then(() => mine);
+  dayLocks.set(date, current);
+
+  await prev;
+  try{
+    return await fn();
+  }finally{
+    release();
+    if(dayLocks.get(date) === current) dayLocks.delete(date);
+  }
+}
+
+function releaseExpiredHolds(now = Date.now()){
+  for(const [id, hold] of slotHolds){
+    if(hold.expiresAt <= now) slotHolds.delete(id);
+  }
+}
+
+function activeHoldsForDay(date, excludeHoldId){
+  releaseExpiredHolds();
+  return [...slotHolds.values()].filter(h => h.date === date && h.id !== excludeHoldId);
+}
+
+function publicHold(h){
+  return {
+    holdId: h.id,
+    date: h.date,
+    start: h.start,
+    end: h.end,
+    duration: h.duration,
+    courtId: h.courtId,
+    expiresAt: new Date(h.expiresAt).toISOString()
+  };
+}
+
+setInterval(() => releaseExpiredHolds(), 30 * 1000).unref();
+
+function buildBookingEvent({ slot, court, name, phone, quote, occ, kind = 'Locação Avulsa', origin = 'site', notes = '', privateProps = {} }){
+  const warning = (occ.unknownCount > 0 && occ.busyKnown.size === 0)
+    ? '\nObs: havia aula/evento sem quadra definida nesse horário. Confirme com a equipe para evitar conflito.\n'
+    : '';
+
+  return {
+    summary: `${kind} — ${court.name}`,
+    description: `Cliente: ${name}\nWhatsApp: ${phone}\nDuração: ${slot.duration === 120 ? '2h' : '1h'}\n${priceLine(quote)}${notes}Origem: ${origin}\n${warning}`,
+    start: { dateTime: toDateTimeISO(slot.date, slot.start), timeZone: TZ },
+    end: { dateTime: toDateTimeISO(slot.date, slot.end), timeZone: TZ },
+    extendedProperties: { private: { ...priceProperties(quote), ...privateProps } }
+  };
+}
+
+// Segura uma quadra por ttlMinutes. Retorna { hold } ou { status, error }
+async function createHold({ slot, courtId, owner = '', ttlMinutes = HOLD_TTL_MINUTES, meta = {} }){
+  return withDayLock(slot.date, async () => {
+    releaseExpiredHolds();
+    if(owner && [...slotHolds.values()].filter(h => h.owner === owner).length >= MAX_HOLDS_PER_CLIENT){
+      return { status:429, error:'Muitas pré-reservas abertas. Conclua ou cancele uma delas.' };
+    }
+
+    await ensureAuth();
+    const events = await listEventsForDay(slot.date, { fresh:true });
+    const courts = readCourts();
+    const occ = computeOccupancy(events, slot.startMin, slot.endMin, courts, activeHoldsForDay(slot.date));
+
+    const pick = pickCourt(occ, courtId, courts);
+    if(pick.error) return pick;
+
+    const hold = {
+      id: crypto.randomUUID(),
+      ...slot,
+      courtId: pick.court.id,
+      owner,
+      expiresAt: Date.now() + ttlMinutes * 60 * 1000,
+      ...meta
+    };
+    slotHolds.set(hold.id, hold);
+    return { hold, court: pick.court };
+  });
+}
+
+function releaseHold(holdId){
+  return slotHolds.delete(String(holdId || ''));
+}
+
+// Confere a ocupação de novo (direto na agenda) e cria o evento, tudo sob o lock do dia.
+// courtId exige aquela quadra; preferredCourtId tenta ela e cai para qualquer livre.
+// Com holdId, prefere a quadra segura pelo hold. Retorna { booking } ou { status, error, quote? }
+// requirePayment: reserva com preço fica aguardando Pix (ver cobrança Pix) e é liberada se não pagar no prazo
+async function confirmBooking({ slot, name, phone, courtId, preferredCourtId, promoCode, expectedPrice, holdId, kind, origin, notes, privateProps, requirePayment = false }){
+  return withDayLock(slot.date, async () => {
+    let hold = null;
+    if(holdId){
+      releaseExpiredHolds();
+      hold = slotHolds.get(String(holdId));
+      if(!hold) return { status:410, error:'Pré-reserva expirada. Escolha o horário novamente.' };
+      if(hold.date !== slot.date || hold.start !== slot.start || hold.duration !== slot.duration){
+        return { status:400, error:'Pré-reserva não confere com o horário informado.' };
+      }
+    }
+
+    await ensureAuth();
+    const events = await listEventsForDay(slot.date, { fresh:true });
+    const courts = readCourts();
+    const occ = computeOccupancy(events, slot.startMin, slot.endMin, courts, activeHoldsForDay(slot.date, hold?.id));
+
+    const preferred = hold ? hold.courtId : preferredCourtId;
+    let pick = pickCourt(occ, preferred ?? courtId, courts);
+    if(pick.error && preferred !== undefined && preferred !== null && !occ.blocked && occ.available > 0){
+      // a quadra preferida foi ocupada (ex.: evento manual); qualquer outra livre serve
+      pick = pickCourt(occ, undefined, courts);
+    }
+    if(pick.error) return pick;
+    const chosen = pick.court;
+
+    const priced = quotePrice({ ...slot, courtId: chosen.id, promoCode });
+    if(priced.error) return { status:400, error: priced.error };
+    const { quote } = priced;
+
+    const hasExpected = expectedPrice !== undefined && expectedPrice !== null && expectedPrice !== '';
+    if(hasExpected && quote.price !== null && roundMoney(expectedPrice) !== quote.price){
+      return { status:409, error:'O valor mudou. Confira o novo orçamento.', quote };
+    }
+
+    const pix = requirePayment && quote.price > 0 ? newPixCharge(slot) : null;
+    const event = buildBookingEvent({
+      slot, court: chosen, name, phone, quote, occ, kind, origin,
+      notes: pix ? `${notes || ''}Pagamento: Pix pendente até ${pixDeadlineText(pix.expiresAt)}\n` : notes,
+      privateProps: pix ? { ...privateProps, ...pix.props } : privateProps
+    });
+    const created = await calendarProvider.insert(event);
+    mirrorPut(created);
+
+    invalidateEventsCache(slot.date);
+    if(hold) slotHolds.delete(hold.id);
+
+    return {
+      booking: {
+        court: chosen.name,
+        courtId: chosen.id,
+        date: slot.date,
+        start: slot.start,
+        end: slot.end,
+        price: quote.price,
+        currency: quote.currency,
+        promoCode: quote.promoCode,
+        eventId: created.id,
+        ...(pix ? { payment: { status:'pendente', method:'pix', txid: pix.txid, expiresAt: pix.expiresAt } } : {})
+      }
+    };
+  });
+}
+
+// Troca (ou inclui antes de "Origem:") uma linha "Rótulo: valor" da descrição do evento
+function setDescriptionLine(description, label, value){
+  const re = new RegExp(`^${escapeRegExp(label)}:.*(\\n|$)`, 'mi');
+  const line = value ? `${label}: ${value}\n` : '';
+  const desc = String(description || '');
+  if(re.test(desc)) return desc.replace(re, line);
+  if(!line) return desc;
+  const origin = desc.search(/^Origem:/mi);
+  return origin >= 0 ? desc.slice(0, origin) + line + desc.slice(origin) : `${desc}${desc && !desc.endsWith('\n') ? '\n' : ''}${line}`;
+}
+
+// Move uma reserva existente para outro horário, atualizando o mesmo evento (mantém id e histórico).
+// Só reserva que ainda não começou. Paga ou com Pix pendente só vai para horário de mesmo valor (o que foi pago ou o
+// copia-e-cola já entregue continuam valendo); o prazo do Pix nunca passa do novo início.
+// Retorna { booking, previous } ou { status, error }
+async function rescheduleBooking({ ev, slot, courtId }){
+  if(Date.parse(withTzOffset(ev.start)) <= Date.now()){
+    return { status:400, error:'Essa reserva já começou ou passou; não pode ser remarcada.' };
+  }
+
+  return withDayLock(slot.date, async () => {
+    await ensureAuth();
+    const events = (await listEventsForDay(slot.date, { fresh:true })).filter(x => x.id !== ev.id);
+    const courts = readCourts();
+    const occ = computeOccupancy(events, slot.startMin, slot.endMin, courts, activeHoldsForDay(slot.date));
+
+    const current = classifyEventToCourts(ev, courts).courts[0];
+    let pick = pickCourt(occ, courtId ?? current, courts);
+    if(pick.error && (courtId === undefined || courtId === null || courtId === '') && !occ.blocked && occ.available > 0){
+      pick = pickCourt(occ, undefined, courts);
+    }
+    if(pick.error) return pick;
+    const chosen = pick.court;
+
+    const props = ev.extendedProperties?.private || {};
+    let priced = quotePrice({ ...slot, courtId: chosen.id, promoCode: props.promoCode });
+    if(priced.error) priced = quotePrice({ ...slot, courtId: chosen.id });
+    const { quote } = priced;
+
+    const payment = reservaPagamento(ev);
+    const pixPending = props.pixPending === '1' && payment.status === 'pendente';
+    if((payment.status === 'pago' || pixPending) && props.price !== undefined && quote.price !== Number(props.price)){
+      return {
+        status:409,
+        error:`Reserva ${payment.status === 'pago' ? 'já paga' : 'com Pix pendente'} só pode ir para um horário de mesmo valor (${formatBRL(Number(props.price))}).`,
+        quote
+      };
+    }
+
+    const previous = {
+      date: String(ev.start).slice(0,10),
+      start: String(ev.start).slice(11,16),
+      end: String(ev.end).slice(11,16)
+    };
+
+    const kind = String(ev.summary || '').split(' — ')[0].trim() || 'Locação Avulsa';
+    let description = setDescriptionLine(ev.description, 'Duração', slot.duration === 120 ? '2h' : '1h');
+    description = setDescriptionLine(description, 'Valor', priceText(quote));
+    description = `${description}${description.endsWith('\n') ? '' : '\n'}Remarcada: ${previous.date} ${previous.start} → ${slot.date} ${slot.start}\n`;
+
+    const nextProps = { ...props };
+    delete nextProps.price;
+    delete nextProps.currency;
+    delete nextProps.promoCode;
+
+    const newStart = toDateTimeISO(slot.date, slot.start);
+    const newStartMs = Date.parse(`${newStart}${tzOffsetFor(newStart)}`);
+    if(pixPending && !(Date.parse(props.pixDeadline) <= newStartMs)){
+      nextProps.pixDeadline = new Date(newStartMs).toISOString();
+      description = setDescriptionLine(description, 'Pagamento', `Pix pendente até ${pixDeadlineText(nextProps.pixDeadline)}`);
+    }
+
+    const updated = await calendarProvider.update(ev.id, {
+      summary: `${kind} — ${chosen.name}`,
+      description,
+      start: { dateTime: toDateTimeISO(slot.date, slot.start), timeZone: TZ },
+      end: { dateTime: toDateTimeISO(slot.date, slot.end), timeZone: TZ },
+      extendedProperties: { private: { ...nextProps, ...priceProperties(quote) } }
+    });
+    mirrorPut(updated);
+    invalidateEventsCache(slot.date);
+    invalidateEventsCache(previous.date);
+
+    return {
+      previous,
+      booking: {
+        eventId: ev.id,
+        court: chosen.name,
+        courtId: chosen.id,
+        date: slot.date,
+        start: slot.start,
+        end: slot.end,
+        price: quote.price,
+        currency: quote.currency,
+        promoCode: quote.promoCode
+      }
+    };
+  });
+}
+
+// ====== Lista de espera ======
+// status: waiting -> offered -> booked | expired | canceled
+// Quando uma quadra libera, o primeiro da fila recebe um hold de WAITLIST_OFFER_MINUTES para confirmar.
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 30);
+
+function readWaitlist(){
+  return waitlistRepo.all();
+}
+
+function isWaitlistActive(e){
+  return e.status === 'waiting' || e.status === 'offered';
+}
+
+// Atualiza a inscrição só se ela ainda estiver no status esperado (evita corrida entre oferta e cancelamento)
+function transitionWaitlistEntry(id, fromStatus, patch){
+  const current = waitlistRepo.get(id);
+  if(!current || current.status !== fromStatus) return null;
+
+  return waitlistRepo.upsert({ ...current, ...patch, updatedAt: new Date().toISOString() });
+}
+
+function waitlistPosition(entry, items = readWaitlist()){
+  if(entry.status !== 'waiting') return null;
+  return items.filter(x =>
+    x.status === 'waiting' &&
+    x.date === entry.date &&
+    x.start === entry.start &&
+    x.duration === entry.duration &&
+    x.createdAt <= entry.createdAt
+  ).length;
+}
+
+function publicWaitlistEntry(e, items){
+  return {
+    id: e.id,
+    date: e.date,
+    start: e.start,
+    end: e.end,
+    duration: e.duration,
+    name: e.name,
+    status: e.status,
+    position: waitlistPosition(e, items),
+    offer: e.status === 'offered' ? e.offer : null,
+    eventId: e.eventId || null,
+    createdAt: e.createdAt
+  };
+}
+
+function notifyWaitlistOffer(entry, court){
+  const until = new Date(entry.offer.expiresAt).toLocaleTimeString('pt-BR', { timeZone: TZ, hour:'2-digit', minute:'2-digit' });
+  const text = `Olá, ${entry.name}! A ${court.name} ficou livre em ${entry.date} às ${entry.start}. Confirme até ${until} para garantir o horário.`;
+  messageSender.send(entry.phone, text)
+    .catch(e => console.error('Erro ao avisar lista de espera:', e));
+}
+
+// Oferece as quadras livres do dia para a fila, por ordem de chegada
+async function processWaitlist(date){
+  const waiting = readWaitlist()
+    .filter(e => e.date === date && e.status === 'waiting')
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  for(const entry of waiting){
+    const { slot, error } = validateSlotRequest(entry);
+    if(error){
+      transitionWaitlistEntry(entry.id, 'waiting', { status:'expired', reason: error });
+      continue;
+    }
+
+    const result = await createHold({ slot, ttlMinutes: WAITLIST_OFFER_MINUTES, meta: { waitlistId: entry.id } });
+    if(result.error) continue;
+
+    const offered = transitionWaitlistEntry(entry.id, 'waiting', {
+      status: 'offered',
+      offer: {
+        holdId: result.hold.id,
+        courtId: result.hold.courtId,
+        court: result.court.name,
+        expiresAt: new Date(result.hold.expiresAt).toISOString()
+      }
+    });
+
+    if(!offered){
+      releaseHold(result.hold.id);
+      continue;
+    }
+    notifyWaitlistOffer(offered, result.court);
+  }
+}
+
+// Os holds ficam em memória, mas a oferta fica salva na fila: na subida da API as ofertas ainda
+// válidas voltam a segurar a quadra com o mesmo holdId
+function restoreWaitlistOfferHolds(){
+  const now = Date.now();
+  for(const e of readWaitlist()){
+    if(e.status !== 'offered' || !e.offer?.holdId || slotHolds.has(e.offer.holdId)) continue;
+    const expiresAt = Date.parse(e.offer.expiresAt);
+    if(!(expiresAt > now)) continue;
+
+    const { slot, error } = validateSlotRequest(e);
+    if(error) continue;
+    slotHolds.set(e.offer.holdId, { id: e.offer.holdId, ...slot, courtId: e.offer.courtId, owner: '', expiresAt, waitlistId: e.id });
+  }
+}
+
+// Remove a reserva da agenda, invalida o cache do dia e oferece a quadra para a fila
+async function deleteBookingEvent(eventId, dateStr){
+  await calendarProvider.delete(eventId);
+  mirrorRemove(eventId);
+  invalidateEventsCache(dateStr);
+  onCourtFreed(dateStr);
+}
+
+// Chamado quando uma reserva é cancelada/liberada por esta API
+function onCourtFreed(date){
+  if(!date || !readWaitlist().some(e => e.date === date && e.status === 'waiting')) return;
+  processWaitlist(date).catch(err => console.error('Erro ao processar lista de espera:', err));
+}
+
+// Expira ofertas vencidas e datas passadas; depois tenta a fila de novo em todas as datas
+// (cobre cancelamentos feitos direto na agenda do Google)
+async function sweepWaitlist(){
+  const now = Date.now();
+  const today = todayISO();
+
+  for(const e of readWaitlist()){
+    if(!isWaitlistActive(e)) continue;
+    if(e.date < today){
+      transitionWaitlistEntry(e.id, e.status, { status:'expired', reason:'Data passou.' });
+    }else if(e.status === 'offered' && Date.parse(e.offer?.expiresAt) <= now){
+      releaseHold(e.offer?.holdId);
+      transitionWaitlistEntry(e.id, 'offered', { status:'expired', reason:'Oferta não confirmada a tempo.' });
+    }
+  }
+
+  if(requireEnv().length) return;
+  const dates = [...new Set(readWaitlist().filter(e => e.status === 'waiting').map(e => e.date))];
+  for(const date of dates){
+    await processWaitlist(date);
+  }
+}
+
+setInterval(() => {
+  sweepWaitlist().catch(err => console.error('Erro ao processar lista de espera:', err));
+}, 2 * 60 * 1000).unref();
+
+function sortLancamentosDesc(items){
+  return [...items].sort((a, b) => {
+    const ad = String(a?.data || '');
+    const bd = String(b?.data || '');
+    if(ad !== bd) return bd.localeCompare(ad);
+    return String(b?.createdAt || '').localeCompare(String(a?.createdAt || ''));
+  });
+}
+
+// Só monta o objeto: anexos vêm como foram enviados e viram referência (storeLancamentoAnexos) na hora de gravar
+function normalizeLancamento(input){
+  const raw = input && typeof input === 'object' ? input : {};
+  const tipo = String(raw.tipo || raw.grupo || '').trim();
+  const secao = String(raw.secao || raw.subcategoria || '').trim();
+  const observacoes = String(raw.observacoes || raw.obs || '').trim();
+  const pagamento = String(raw.pagamento || '').trim();
+  const destino = String(raw.destino || 'gerencial').trim() || 'gerencial';
+
+  return {
+    id: raw.id || crypto.randomUUID(),
+    data: String(raw.data || '').trim(),
+    tipo,
+    grupo: tipo,
+    secao,
+    categoria: String(raw.categoria || '').trim(),
+    subcategoria: secao,
+    descricao: String(raw.descricao || '').trim(),
+    valor: Number(raw.valor || 0),
+    unidade: String(raw.unidade || '').trim(),
+    painel: String(raw.painel || '').trim(),
+    competencia: String(raw.competencia || '').trim(),
+    observacoes,
+    obs: observacoes,
+    pagamento,
+    anexos: Array.isArray(raw.anexos) ? raw.anexos : [],
+    destino,
+    importRef: String(raw.importRef || '').trim(),
+    recorrenciaId: String(raw.recorrenciaId || '').trim(),
+    reservaEventId: String(raw.reservaEventId || '').trim(),
+    competenciaManual: Boolean(raw.competenciaManual),
+    createdAt: raw.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// ====== Anexos do DRE ======
+// Arquivos em ANEXOS_DIR/<2 primeiros do hash>/<sha256>: o mesmo comprovante enviado duas vezes ocupa um arquivo só.
+// O lançamento guarda só a referência { hash, nome, tipo, tamanho, url }; o arquivo sai quando nenhum lançamento usa mais.
+const ANEXOS_DIR = process.env.ANEXOS_DIR || path.join(DATA_DIR, 'anexos');
+const ANEXO_MAX_MB = Number(process.env.ANEXO_MAX_MB) || 10;
+const ANEXO_ORPHAN_HOURS = 24;
+const ANEXO_HASH_RE = /^[a-f0-9]{64}$/;
+
+function anexoPath(hash){
+  return path.join(ANEXOS_DIR, hash.slice(0, 2), hash);
+}
+
+function readAnexoFile(hash){
+  try{
+    return fs.readFileSync(anexoPath(hash));
+  }catch(err){
+    return null;
+  }
+}
+
+function storeAnexo(buffer, mime){
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = anexoPath(hash);
+  if(!fs.existsSync(file)){
+    ensureDirSync(path.dirname(file));
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, file);
+  }
+
+  const existing = anexosRepo.get(hash);
+  if(existing) return existing;
+  return anexosRepo.upsert({
+    id: hash,
+    size: buffer.length,
+    mime: String(mime || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+    createdAt: new Date().toISOString()
+  });
+}
+
+function anexoRef(meta, nome){
+  return { hash: meta.id, nome: String(nome || meta.id.slice(0, 12)), tipo: meta.mime, tamanho: meta.size, url: `/api/dre/anexos/${meta.id}` };
+}
+
+// Formato antigo: data URL ("data:image/png;base64,...") solta ou num campo do anexo (dataUrl, url, base64, conteudo...)
+function parseInlineAnexo(anexo){
+  const obj = typeof anexo === 'string' ? { dataUrl: anexo } : anexo;
+  if(!obj || typeof obj !== 'object') return null;
+
+  const nome = obj.nome || obj.name || obj.filename || '';
+  let mime = obj.tipo || obj.type || obj.mime || '';
+  let base64 = '';
+  for(const key of ['dataUrl', 'dataURL', 'url', 'src', 'data', 'base64', 'conteudo', 'content']){
+    const v = obj[key];
+    if(typeof v !== 'string' || !v) continue;
+    const m = v.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if(m){
+      mime = mime || m[1];
+      base64 = m[2] ? m[3] : Buffer.from(decodeURIComponent(m[3])).toString('base64');
+      break;
+    }
+    if(['base64', 'conteudo', 'content', 'data'].includes(key) && /^[A-Za-z0-9+/=\s]+$/.test(v)){
+      base64 = v;
+      break;
+    }
+  }
+  if(!base64) return null;
+  return { nome, mime, buffer: Buffer.from(base64.replace(/\s+/g, ''), 'base64') };
+}
+
+// Na gravação do lançamento: referências conhecidas são mantidas; anexos inline viram arquivo (e registro em anexos);
+// o resto (hash inexistente) é descartado
+function storeLancamentoAnexos(anexos){
+  if(!Array.isArray(anexos)) return [];
+  const out = [];
+  for(const anexo of anexos){
+    if(ANEXO_HASH_RE.test(String(anexo?.hash || ''))){
+      const meta = anexosRepo.get(anexo.hash);
+      if(meta) out.push(anexoRef(meta, anexo.nome));
+      continue;
+    }
+    const inline = parseInlineAnexo(anexo);
+    if(inline?.buffer.length) out.push(anexoRef(storeAnexo(inline.buffer, inline.mime), inline.nome));
+  }
+  return out;
+}
+
+const anexoInUseStmt = db.prepare(
+  `SELECT 1 FROM dre_lancamentos, json_each(dre_lancamentos.doc, '$.anexos') AS a
+   WHERE json_extract(a.value, '$.hash') = ? LIMIT 1`
+);
+
+function deleteAnexo(hash){
+  anexosRepo.remove(hash);
+  try{
+    fs.rmSync(anexoPath(hash), { force: true });
+  }catch(err){
+    console.error('Erro ao apagar anexo:', hash, err);
+  }
+}
+
+// Depois de excluir/alterar lançamentos: apaga os anexos que ficaram sem nenhum lançamento
+function releaseAnexos(anexos){
+  for(const hash of new Set((anexos || []).map(a => a?.hash).filter(Boolean))){
+    if(!anexoInUseStmt.get(hash)) deleteAnexo(hash);
+  }
+}
+
+// Na subida e depois de restaurar: tira anexos inline dos lançamentos, apaga envios nunca usados
+// (mais de ANEXO_ORPHAN_HOURS) e arquivos sem registro
+function maintainAnexos(){
+  let extracted = 0;
+  db.transaction(() => {
+    for(const item of readDreLancamentos()){
+      if(!(item.anexos || []).some(a => !ANEXO_HASH_RE.test(String(a?.hash || '')))) continue;
+      dreRepo.upsert({ ...item, anexos: storeLancamentoAnexos(item.anexos) });
+      extracted++;
+    }
+  })();
+
+  const cutoff = new Date(Date.now() - ANEXO_ORPHAN_HOURS * 60 * 60 * 1000).toISOString();
+  let removed = 0;
+  for(const meta of anexosRepo.all()){
+    if(meta.createdAt < cutoff && !anexoInUseStmt.get(meta.id)){
+      deleteAnexo(meta.id);
+      removed++;
+    }
+  }
+
+  if(fs.existsSync(ANEXOS_DIR)){
+    for(const dir of fs.readdirSync(ANEXOS_DIR)){
+      const full = path.join(ANEXOS_DIR, dir);
+      if(!fs.statSync(full).isDirectory()) continue;
+      for(const name of fs.readdirSync(full)){
+        if(ANEXO_HASH_RE.test(name) && anexosRepo.get(name)) continue;
+        fs.rmSync(path.join(full, name), { force: true });
+        removed++;
+      }
+    }
+  }
+
+  if(extracted || removed) console.log(`Anexos: ${extracted} lançamento(s) com anexo inline convertidos, ${removed} arquivo(s) sem uso apagados`);
+}
+
+// ====== Relatório DRE ======
+// A linha vem do grupo/tipo do lançamento (sem acento, minúsculo). Valor positivo soma na linha; negativo é estorno.
+// Grupo que não casa com nenhuma linha vai para naoClassificados e fica fora do resultado.
+const DRE_LINHAS = [
+  { id: 'receitaBruta', nome: 'Receita bruta', match: /^receita/ },
+  { id: 'deducoes', nome: 'Deduções', match: /^(deduc|imposto)/ },
+  { id: 'custos', nome: 'Custos', match: /^(custo|cmv|csp)/ },
+  { id: 'despesas', nome: 'Despesas', match: /^despesa/ }
+];
+const DRE_MAX_PERIODOS = 24;
+
+function foldText(s){
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function dreLinhaOf(item){
+  const grupo = foldText(item.grupo || item.tipo);
+  return DRE_LINHAS.find(l => l.match.test(grupo)) || null;
+}
+
+// Competência "YYYY-MM" (aceita "MM/YYYY"); sem competência vale o mês da data
+function lancamentoCompetencia(item){
+  const c = String(item.competencia || '').trim();
+  if(isValidMonth(c)) return c;
+  const br = c.match(/^(\d{2})\/(\d{4})$/);
+  if(br && isValidMonth(`${br[2]}-${br[1]}`)) return `${br[2]}-${br[1]}`;
+  return isValidDate(String(item.data || '')) ? item.data.slice(0, 7) : '';
+}
+
+function isValidMonth(s){
+  const m = String(s || '').match(/^(\d{4})-(\d{2})$/);
+  return !!m && Number(m[2]) >= 1 && Number(m[2]) <= 12;
+}
+
+function addMonths(month, n){
+  const [y, m] = month.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1 + n, 1));
+  return `${dt.getUTCFullYear()}-${pad(dt.getUTCMonth() + 1)}`;
+}
+
+// periodos=2026-09,2026-10 (meses) ou 2025,2026 (anos); sem isso, from/to (YYYY-MM) mês a mês ou por=ano.
+// Padrão: de janeiro até o mês atual. Retorna { periodos } ou { status, error }
+function parseDrePeriodos(query){
+  if(query.periodos){
+    const periodos = [...new Set(String(query.periodos).split(',').map(s => s.trim()).filter(Boolean))];
+    const years = periodos.every(p => /^\d{4}$/.test(p));
+    if(!years && !periodos.every(isValidMonth)){
+      return { status: 400, error: 'periodos inválidos: use só meses (YYYY-MM) ou só anos (YYYY).' };
+    }
+    if(periodos.length > DRE_MAX_PERIODOS) return { status: 400, error: `No máximo ${DRE_MAX_PERIODOS} períodos.` };
+    return { periodos };
+  }
+
+  const current = todayISO().slice(0, 7);
+  const from = String(query.from || `${current.slice(0, 4)}-01`);
+  const to = String(query.to || current);
+  if(!isValidMonth(from) || !isValidMonth(to)) return { status: 400, error: 'from/to inválidos (YYYY-MM).' };
+  if(from > to) return { status: 400, error: 'from deve ser antes de to.' };
+
+  if(String(query.por || 'mes') === 'ano'){
+    const periodos = [];
+    for(let y = Number(from.slice(0, 4)); y <= Number(to.slice(0, 4)); y++) periodos.push(String(y));
+    if(periodos.length > DRE_MAX_PERIODOS) return { status: 400, error: `No máximo ${DRE_MAX_PERIODOS} períodos.` };
+    return { periodos, from, to };
+  }
+
+  const periodos = [];
+  for(let m = from; m <= to && periodos.length <= DRE_MAX_PERIODOS; m = addMonths(m, 1)) periodos.push(m);
+  if(periodos.length > DRE_MAX_PERIODOS) return { status: 400, error: `No máximo ${DRE_MAX_PERIODOS} períodos.` };
+  return { periodos, from, to };
+}
+
+// Variação % de cada coluna contra a anterior (null na primeira ou quando a anterior é zero)
+function dreVariacao(valores){
+  return valores.map((v, i) => {
+    if(i === 0 || !valores[i - 1]) return null;
+    return Math.round(((v - valores[i - 1]) / Math.abs(valores[i - 1])) * 1000) / 10;
+  });
+}
+
+function dreRow(fields, valores){
+  const rounded = valores.map(roundMoney);
+  return { ...fields, valores: rounded, variacao: dreVariacao(rounded) };
+}
+
+// Linhas do DRE (com subtotais) a partir dos totais por linha; margem em % e sua variação em pontos percentuais
+function dreResumo(totais){
+  const sub = (a, b) => a.map((v, i) => v - b[i]);
+  const receitaLiquida = sub(totais.receitaBruta, totais.deducoes);
+  const lucroBruto = sub(receitaLiquida, totais.custos);
+  const resultado = sub(lucroBruto, totais.despesas);
+  const margem = resultado.map((v, i) => totais.receitaBruta[i] ? Math.round((v / totais.receitaBruta[i]) * 1000) / 10 : null);
+
+  return [
+    dreRow({ id: 'receitaBruta', nome: 'Receita bruta' }, totais.receitaBruta),
+    dreRow({ id: 'deducoes', nome: '(-) Deduções' }, totais.deducoes),
+    dreRow({ id: 'receitaLiquida', nome: 'Receita líquida', subtotal: true }, receitaLiquida),
+    dreRow({ id: 'custos', nome: '(-) Custos' }, totais.custos),
+    dreRow({ id: 'lucroBruto', nome: 'Lucro bruto', subtotal: true }, lucroBruto),
+    dreRow({ id: 'despesas', nome: '(-) Despesas' }, totais.despesas),
+    dreRow({ id: 'resultado', nome: 'Resultado', subtotal: true }, resultado),
+    {
+      id: 'margem',
+      nome: 'Margem (%)',
+      valores: margem,
+      variacao: margem.map((v, i) => i === 0 || v === null || margem[i - 1] === null ? null : Math.round((v - margem[i - 1]) * 10) / 10)
+    }
+  ];
+}
+
+function buildDreReport(items, periodos){
+  const zeros = () => periodos.map(() => 0);
+  const emptyTotais = () => Object.fromEntries(DRE_LINHAS.map(l => [l.id, zeros()]));
+  const child = (map, nome, make) => {
+    if(!map.has(nome)) map.set(nome, make());
+    return map.get(nome);
+  };
+
+  const totais = emptyTotais();
+  const detalhes = new Map(DRE_LINHAS.map(l => [l.id, new Map()]));
+  const porUnidade = new Map();
+  const porPainel = new Map();
+  const naoClassificados = new Map();
+
+  for(const item of items){
+    const competencia = lancamentoCompetencia(item);
+    const i = periodos.findIndex(p => competencia.startsWith(p));
+    if(!competencia || i === -1) continue;
+
+    const valor = Number(item.valor) || 0;
+    const linha = dreLinhaOf(item);
+    if(!linha){
+      const bucket = child(naoClassificados, item.grupo || item.tipo || '(sem grupo)', () => ({ valores: zeros(), quantidade: 0 }));
+      bucket.valores[i] += valor;
+      bucket.quantidade++;
+      continue;
+    }
+
+    totais[linha.id][i] += valor;
+    const secao = child(detalhes.get(linha.id), item.secao || '(sem seção)', () => ({ valores: zeros(), categorias: new Map() }));
+    secao.valores[i] += valor;
+    child(secao.categorias, item.categoria || '(sem categoria)', zeros)[i] += valor;
+    child(porUnidade, item.unidade || '(sem unidade)', emptyTotais)[linha.id][i] += valor;
+    child(porPainel, item.painel || '(sem painel)', emptyTotais)[linha.id][i] += valor;
+  }
+
+  const byName = ([a], [b]) => a.localeCompare(b, 'pt-BR');
+  const dimension = map => [...map].sort(byName).map(([nome, t]) => ({ nome, resumo: dreResumo(t) }));
+
+  return {
+    periodos,
+    resumo: dreResumo(totais),
+    detalhes: DRE_LINHAS.map(l => ({
+      id: l.id,
+      nome: l.nome,
+      secoes: [...detalhes.get(l.id)].sort(byName).map(([nome, s]) => ({
+        ...dreRow({ nome }, s.valores),
+        categorias: [...s.categorias].sort(byName).map(([cat, valores]) => dreRow({ nome: cat }, valores))
+      }))
+    })),
+    porUnidade: dimension(porUnidade),
+    porPainel: dimension(porPainel),
+    naoClassificados: [...naoClassificados].sort(byName).map(([grupo, b]) => ({ ...dreRow({ grupo }, b.valores), quantidade: b.quantidade }))
+  };
+}
+
+// ====== Orçamento (meta por competência) ======
+// Uma meta por competência + grupo (+ categoria e unidade, opcionais). Sem categoria, vale para o grupo inteiro.
+function normalizeOrcamento(input){
+  const raw = input && typeof input === 'object' ? input : {};
+  const now = new Date().toISOString();
+  return {
+    id: raw.id || crypto.randomUUID(),
+    competencia: lancamentoCompetencia({ competencia: raw.competencia }),
+    grupo: String(raw.grupo || raw.tipo || '').trim(),
+    categoria: String(raw.categoria || '').trim(),
+    unidade: String(raw.unidade || '').trim(),
+    valor: Number(raw.valor),
+    observacoes: String(raw.observacoes || '').trim(),
+    createdAt: raw.createdAt || now,
+    updatedAt: now
+  };
+}
+
+function orcamentoKey(o){
+  return [o.competencia, foldText(o.grupo), foldText(o.categoria), foldText(o.unidade)].join('|');
+}
+
+// Retorna a mensagem de erro ou null
+function validateOrcamento(item, existing){
+  if(!item.competencia) return 'competencia inválida (YYYY-MM).';
+  if(!item.grupo) return 'Campo grupo é obrigatório.';
+  if(!Number.isFinite(item.valor) || item.valor < 0) return 'Campo valor inválido.';
+  const clash = existing.find(o => o.id !== item.id && orcamentoKey(o) === orcamentoKey(item));
+  if(clash) return `Já existe meta para ${item.competencia} / ${[item.grupo, item.categoria, item.unidade].filter(Boolean).join(' / ')}.`;
+  return null;
+}
+
+// Estourado: despesa/custo acima da meta ou receita abaixo dela
+function orcadoVsRealizado(orcado, realizado, receita){
+  const o = roundMoney(orcado);
+  const r = roundMoney(realizado);
+  return {
+    orcado: o,
+    realizado: r,
+    variacao: roundMoney(r - o),
+    variacaoPct: o ? Math.round(((r - o) / Math.abs(o)) * 1000) / 10 : null,
+    estourado: receita ? r < o : r > o
+  };
+}
+
+// Linhas = grupo/categoria/unidade com meta no ano; realizado vem dos lançamentos que casam (categoria/unidade vazias casam tudo).
+// Cada lançamento entra numa linha só, a mais específica (categoria pesa mais que unidade): meta do grupo inteiro fica
+// com o que as metas de categoria não cobrem. acumulado vai de janeiro até `ate`; semOrcamento lista o realizado no
+// acumulado que nenhuma meta cobre
+function buildOrcamentoReport(orcamentos, lancamentos, ano, ate){
+  const meses = Array.from({ length: 12 }, (_, i) => `${ano}-${pad(i + 1)}`);
+  const ytd = meses.filter(m => m <= ate).length;
+  const linhas = new Map();
+
+  for(const o of orcamentos){
+    const i = meses.indexOf(o.competencia);
+    if(i === -1) continue;
+    const key = [foldText(o.grupo), foldText(o.categoria), foldText(o.unidade)].join('|');
+    if(!linhas.has(key)){
+      linhas.set(key, {
+        grupo: o.grupo,
+        categoria: o.categoria,
+        unidade: o.unidade,
+        receita: dreLinhaOf({ grupo: o.grupo })?.id === 'receitaBruta',
+        orcado: meses.map(() => 0),
+        realizado: meses.map(() => 0)
+      });
+    }
+    linhas.get(key).orcado[i] += Number(o.valor) || 0;
+  }
+
+  const semOrcamento = new Map();
+  const realizadoTotal = { receitas: 0, despesas: 0 };
+  for(const l of lancamentos){
+    const i = meses.indexOf(lancamentoCompetencia(l));
+    if(i === -1) continue;
+    const valor = Number(l.valor) || 0;
+    let match = null;
+    let matchRank = -1;
+    for(const line of linhas.values()){
+      if(foldText(l.grupo || l.tipo) !== foldText(line.grupo)) continue;
+      if(line.categoria && foldText(l.categoria) !== foldText(line.categoria)) continue;
+      if(line.unidade && foldText(l.unidade) !== foldText(line.unidade)) continue;
+      const rank = (line.categoria ? 2 : 0) + (line.unidade ? 1 : 0);
+      if(rank > matchRank){
+        match = line;
+        matchRank = rank;
+      }
+    }
+    if(match){
+      match.realizado[i] += valor;
+      if(i < ytd) realizadoTotal[match.receita ? 'receitas' : 'despesas'] += valor;
+    }else if(i < ytd){
+      const key = `${l.grupo || l.tipo}|${l.categoria || ''}`;
+      const bucket = semOrcamento.get(key) || { grupo: l.grupo || l.tipo || '', categoria: l.categoria || '', realizado: 0 };
+      bucket.realizado += valor;
+      semOrcamento.set(key, bucket);
+    }
+  }
+
+  const sum = (arr, n = 12) => arr.slice(0, n).reduce((a, b) => a + b, 0);
+  const out = [...linhas.values()]
+    .sort((a, b) => `${a.grupo}|${a.categoria}|${a.unidade}`.localeCompare(`${b.grupo}|${b.categoria}|${b.unidade}`, 'pt-BR'))
+    .map(line => ({
+      grupo: line.grupo,
+      categoria: line.categoria,
+      unidade: line.unidade,
+      tipo: line.receita ? 'receita' : 'despesa',
+      meses: meses.map((competencia, i) => ({ competencia, ...orcadoVsRealizado(line.orcado[i], line.realizado[i], line.receita) })),
+      acumulado: orcadoVsRealizado(sum(line.orcado, ytd), sum(line.realizado, ytd), line.receita),
+      orcadoAnual: roundMoney(sum(line.orcado))
+    }));
+
+  // O realizado dos totais sai dos lançamentos (cada um uma vez), não da soma das linhas
+  const total = receita => orcadoVsRealizado(
+    out.filter(l => (l.tipo === 'receita') === receita).reduce((n, l) => n + l.acumulado.orcado, 0),
+    realizadoTotal[receita ? 'receitas' : 'despesas'],
+    receita
+  );
+
+  return {
+    ano: String(ano),
+    ate,
+    linhas: out,
+    totais: { receitas: total(true), despesas: total(false) },
+    estourados: out.filter(l => l.acumulado.estourado).length,
+    semOrcamento: [...semOrcamento.values()].map(b => ({ ...b, realizado: roundMoney(b.realizado) }))
+  };
+}
+
+// ====== Lançamentos recorrentes ======
+// Modelo (aluguel, salários, energia...) que vira lançamento quando vence: competência do mês, data no `dia`
+// (ou no último dia do mês). O lançamento gerado tem id fixo (rec-<modelo>-<competência>) e o modelo guarda
+// `geradoAte` na mesma transação: reiniciar nunca duplica, e lançamento gerado que foi excluído não volta.
+const DRE_FREQUENCIAS = { mensal: 1, bimestral: 2, trimestral: 3, semestral: 6, anual: 12 };
+const RECORRENCIA_ACTOR = { type: 'system', id: 'recorrencias' };
+
+function normalizeRecorrencia(input, existing){
+  const raw = input && typeof input === 'object' ? input : {};
+  const now = new Date().toISOString();
+  return {
+    id: raw.id || crypto.randomUUID(),
+    descricao: String(raw.descricao || '').trim(),
+    grupo: String(raw.grupo || raw.tipo || '').trim(),
+    secao: String(raw.secao || '').trim(),
+    categoria: String(raw.categoria || '').trim(),
+    unidade: String(raw.unidade || '').trim(),
+    painel: String(raw.painel || '').trim(),
+    destino: String(raw.destino || 'gerencial').trim() || 'gerencial',
+    valor: Number(raw.valor),
+    frequencia: String(raw.frequencia || 'mensal').trim().toLowerCase(),
+    inicio: String(raw.inicio || '').trim(),
+    fim: String(raw.fim || '').trim(),
+    dia: Number(raw.dia || 1),
+    // % aplicado a cada 12 meses contados do início (composto)
+    reajusteAnual: Number(raw.reajusteAnual || 0),
+    ativo: raw.ativo !== false,
+    geradoAte: existing?.geradoAte || '',
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+}
+
+function validateRecorrencia(t){
+  if(!t.descricao) return 'Campo descricao é obrigatório.';
+  if(!t.grupo) return 'Campo grupo é obrigatório.';
+  if(!Number.isFinite(t.valor) || t.valor < 0) return 'Campo valor inválido.';
+  if(!DRE_FREQUENCIAS[t.frequencia]) return `frequencia deve ser ${Object.keys(DRE_FREQUENCIAS).join(', ')}.`;
+  if(!isValidMonth(t.inicio)) return 'inicio inválido (YYYY-MM).';
+  if(t.fim && (!isValidMonth(t.fim) || t.fim < t.inicio)) return 'fim inválido (YYYY-MM, depois do início).';
+  if(!Number.isInteger(t.dia) || t.dia < 1 || t.dia > 31) return 'dia deve ser de 1 a 31.';
+  if(!Number.isFinite(t.reajusteAnual) || t.reajusteAnual <= -100) return 'reajusteAnual inválido.';
+  return null;
+}
+
+function monthsBetween(from, to){
+  const [fy, fm] = from.split('-').map(Number);
+  const [ty, tm] = to.split('-').map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+}
+
+// Ocorrências ainda não geradas, do início até `ate` (YYYY-MM)
+function recorrenciaOcorrencias(t, ate){
+  const out = [];
+  const step = DRE_FREQUENCIAS[t.frequencia] || 1;
+  for(let c = t.inicio; c <= ate && (!t.fim || c <= t.fim); c = addMonths(c, step)){
+    if(t.geradoAte && c <= t.geradoAte) continue;
+    const [y, m] = c.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const anos = Math.floor(monthsBetween(t.inicio, c) / 12);
+    out.push({
+      competencia: c,
+      data: `${c}-${pad(Math.min(t.dia, lastDay))}`,
+      valor: roundMoney(t.valor * (1 + t.reajusteAnual / 100) ** anos)
+    });
+  }
+  return out;
+}
+
+function recorrenciaLancamento(t, o){
+  return normalizeLancamento({
+    id: `rec-${t.id}-${o.competencia}`,
+    data: o.data,
+    tipo: t.grupo,
+    secao: t.secao,
+    categoria: t.categoria,
+    descricao: t.descricao,
+    valor: o.valor,
+    unidade: t.unidade,
+    painel: t.painel,
+    destino: t.destino,
+    competencia: o.competencia,
+    competenciaManual: true,
+    recorrenciaId: t.id
+  });
+}
+
+// Gera o que já venceu (data <= hoje). Retorna os lançamentos criados
+function generateRecurringLancamentos(){
+  const today = todayISO();
+  const created = [];
+
+  db.transaction(() => {
+    for(const t of recorrenciasRepo.all()){
+      if(!t.ativo) continue;
+      const due = recorrenciaOcorrencias(t, today.slice(0, 7)).filter(o => o.data <= today);
+      if(!due.length) continue;
+
+      for(const o of due){
+        const item = recorrenciaLancamento(t, o);
+        if(dreRepo.get(item.id)) continue;
+        dreRepo.upsert(item);
+        created.push(item);
+      }
+      recorrenciasRepo.upsert({ ...t, geradoAte: due[due.length - 1].competencia });
+    }
+  })();
+
+  for(const item of created){
+    audit(null, 'lancamento.create', { entity:'lancamento', targetId: item.id, after: item, actor: RECORRENCIA_ACTOR });
+  }
+  if(created.length) console.log(`Recorrências: ${created.length} lançamento(s) gerado(s)`);
+  return created;
+}
+
+setInterval(() => {
+  try{
+    generateRecurringLancamentos();
+  }catch(err){
+    console.error('Erro ao gerar lançamentos recorrentes:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
+// ====== Receita das reservas ======
+// Situação do pagamento fica no próprio evento da agenda (extendedProperties.private), junto do preço.
+// A conciliação transforma reservas já encerradas em lançamentos de receita com id fixo "reserva-<eventId>",
+// então rodar de novo para o mesmo período não duplica nada. Reserva isenta ou sem preço não gera receita.
+const PAGAMENTO_STATUS = ['pendente', 'pago', 'isento'];
+const PAGAMENTO_METODOS = ['pix', 'dinheiro', 'cartao', 'transferencia', 'outro'];
+const RESERVA_RECEITA_GRUPO = process.env.RESERVA_RECEITA_GRUPO || 'Receita';
+const RESERVA_RECEITA_SECAO = process.env.RESERVA_RECEITA_SECAO || 'Quadras';
+const RESERVA_CONCILIACAO_DIAS = Number(process.env.RESERVA_CONCILIACAO_DIAS ?? 0); // 0 desliga a conciliação automática
+const CONCILIACAO_ACTOR = { type: 'system', id: 'conciliacao-reservas' };
+
+// Reserva = evento com horário feito pelo sistema (tem preço gravado) ou com WhatsApp na descrição
+function isBookingEvent(ev){
+  if(!ev?.start?.dateTime || ev.status === 'cancelled') return false;
+  return ev.extendedProperties?.private?.price !== undefined || !!extractPhoneFromEvent(ev);
+}
+
+function reservaPagamento(ev){
+  const props = ev.extendedProperties?.private || {};
+  return {
+    status: PAGAMENTO_STATUS.includes(props.paymentStatus) ? props.paymentStatus : 'pendente',
+    method: props.paymentMethod || '',
+    paidAt: props.paidAt || '',
+    ...(props.pixPending === '1' ? { txid: props.pixTxid, expiresAt: props.pixDeadline } : {})
+  };
+}
+
+function reservaFromEvent(ev, courts = readCourts()){
+  const props = ev.extendedProperties?.private || {};
+  const start = ev.start?.dateTime || '';
+  const price = props.price === undefined ? null : Number(props.price);
+  return {
+    eventId: ev.id,
+    kind: String(ev.summary || '').split(' — ')[0].trim() || 'Locação Avulsa',
+    customer: extractCustomerFromEvent(ev),
+    phone: extractPhoneFromEvent(ev),
+    court: courtLabelForEvent(ev, courts),
+    date: start.slice(0, 10),
+    start,
+    end: ev.end?.dateTime || '',
+    price: Number.isFinite(price) ? price : null,
+    currency: props.currency || 'BRL',
+    seriesId: props.seriesId || '',
+    payment: reservaPagamento(ev)
+  };
+}
+
+// Reservas com início entre fromDate e toDate (inclusive), direto dos eventos brutos (precisa das extendedProperties)
+async function listReservas(fromDate, toDate){
+  await ensureAuth();
+  const items = await listCalendarEvents({
+    timeMin: `${fromDate}T00:00:00${tzOffsetFor(`${fromDate}T00:00:00`)}`,
+    timeMax: `${toDate}T23:59:59${tzOffsetFor(`${toDate}T23:59:59`)}`
+  });
+  const courts = readCourts();
+  return items
+    .filter(isBookingEvent)
+    .map(ev => reservaFromEvent(ev, courts))
+    .filter(r => r.date >= fromDate && r.date <= toDate)
+    .sort((a, b) => String(a.start).localeCompare(String(b.start)));
+}
+
+function isReservaEncerrada(r, now = Date.now()){
+  return new Date(r.end).getTime() <= now;
+}
+
+function pagamentoText(payment){
+  return payment.method ? `${payment.method} (${payment.status})` : payment.status;
+}
+
+function reservaLancamentoId(eventId){
+  return `reserva-${eventId}`;
+}
+
+function reservaLancamento(r){
+  return normalizeLancamento({
+    id: reservaLancamentoId(r.eventId),
+    data: r.date,
+    tipo: RESERVA_RECEITA_GRUPO,
+    secao: RESERVA_RECEITA_SECAO,
+    categoria: r.kind,
+    descricao: `${r.kind} — ${r.court} — ${r.customer || r.phone} (${r.date} ${r.start.slice(11, 16)})`,
+    valor: r.price,
+    competencia: r.date.slice(0, 7),
+    competenciaManual: true,
+    pagamento: pagamentoText(r.payment),
+    reservaEventId: r.eventId
+  });
+}
+
+// Valida { status, method } vindo do painel. Retorna { payment } ou { status, error }
+function validatePagamentoInput(body, current){
+  const status = body.status === undefined ? current.status : String(body.status).trim();
+  if(!PAGAMENTO_STATUS.includes(status)) return { status:400, error:`status inválido (${PAGAMENTO_STATUS.join(', ')}).` };
+
+  const method = body.method === undefined ? current.method : String(body.method || '').trim();
+  if(method && !PAGAMENTO_METODOS.includes(method)) return { status:400, error:`method inválido (${PAGAMENTO_METODOS.join(', ')}).` };
+  if(status === 'pago' && !method) return { status:400, error:'Informe o method do pagamento.' };
+
+  const paidAt = status !== 'pago' ? '' : (current.status === 'pago' && current.paidAt ? current.paidAt : new Date().toISOString());
+  return { payment: { status, method: status === 'isento' ? '' : method, paidAt } };
+}
+
+// Grava a situação no evento e, se a reserva já virou receita, atualiza a forma de pagamento do lançamento;
+// isenta deixa de ser receita, então o lançamento sai (a conciliação lança de novo se voltar a ser cobrada).
+// extra.props / extra.description: outros campos do evento que mudam junto (ex.: dados do Pix);
+// extra.req / extra.actor: quem fez, para a auditoria do lançamento
+async function setReservaPagamento(ev, payment, extra = {}){
+  const current = ev.extendedProperties?.private || {};
+  const props = { ...current, paymentStatus: payment.status, paymentMethod: payment.method, paidAt: payment.paidAt, ...extra.props };
+  let description = extra.description;
+  if(current.pixPending === '1' && payment.status !== 'pendente'){
+    props.pixPending = '0'; // pago/isento no painel não expira mais
+    if(description === undefined) description = setDescriptionLine(ev.description, 'Pagamento', pagamentoText(payment));
+  }
+  const updated = await calendarProvider.update(ev.id, {
+    extendedProperties: { private: props },
+    ...(description !== undefined ? { description } : {})
+  });
+  mirrorPut(updated);
+  invalidateEventsCache(String(updated.start?.dateTime || '').slice(0, 10));
+
+  const lancamento = dreRepo.get(reservaLancamentoId(ev.id));
+  const auditInfo = { entity:'lancamento', targetId: lancamento?.id, before: lancamento, actor: extra.actor || null };
+  if(lancamento && payment.status === 'isento'){
+    dreRepo.remove(lancamento.id);
+    releaseAnexos(lancamento.anexos);
+    audit(extra.req || null, 'lancamento.delete', auditInfo);
+  }else if(lancamento){
+    const after = dreRepo.upsert({ ...lancamento, pagamento: pagamentoText(payment), updatedAt: new Date().toISOString() });
+    audit(extra.req || null, 'lancamento.update', { ...auditInfo, after });
+  }
+  return updated;
+}
+
+// Lança como receita as reservas encerradas do período. dryRun só devolve o que seria feito.
+// orfaos: lançamentos de reserva do período cujo evento não existe mais (cancelado depois de conciliado)
+async function conciliarReservas(fromDate, toDate, { dryRun = false, actor = null, req = null } = {}){
+  const now = Date.now();
+  const reservas = (await listReservas(fromDate, toDate)).filter(r => isReservaEncerrada(r, now));
+  const criados = [];
+  const jaLancados = [];
+  const ignorados = [];
+
+  for(const r of reservas){
+    if(r.payment.status === 'isento') ignorados.push({ eventId: r.eventId, motivo: 'isento' });
+    else if(!(r.price > 0)) ignorados.push({ eventId: r.eventId, motivo: 'sem preço' });
+    else if(dreRepo.get(reservaLancamentoId(r.eventId))) jaLancados.push(r.eventId);
+    else criados.push(reservaLancamento(r));
+  }
+
+  const eventIds = new Set(reservas.map(r => r.eventId));
+  const orfaos = dreRepo.all()
+    .filter(l => l.reservaEventId && l.data >= fromDate && l.data <= toDate && !eventIds.has(l.reservaEventId))
+    .map(l => ({ id: l.id, eventId: l.reservaEventId, data: l.data, valor: l.valor }));
+
+  if(!dryRun && criados.length){
+    db.transaction(() => {
+      for(const item of criados) dreRepo.upsert(item);
+    })();
+    for(const item of criados){
+      audit(req, 'lancamento.create', { entity:'lancamento', targetId: item.id, after: item, actor });
+    }
+  }
+
+  return {
+    from: fromDate,
+    to: toDate,
+    dryRun,
+    reservas: reservas.length,
+    criados,
+    total: roundMoney(criados.reduce((sum, l) => sum + l.valor, 0)),
+    jaLancados,
+    ignorados,
+    orfaos
+  };
+}
+
+// Reservas encerradas ainda não pagas, agrupadas por cliente (telefone)
+async function reservasEmAberto(fromDate, toDate){
+  const reservas = (await listReservas(fromDate, toDate))
+    .filter(r => isReservaEncerrada(r) && r.payment.status === 'pendente');
+
+  const byCliente = new Map();
+  for(const r of reservas){
+    const key = normalizePhone(r.phone) || r.customer || r.eventId;
+    const c = byCliente.get(key) || { phone: r.phone, customer: r.customer, reservas: 0, total: 0 };
+    c.reservas++;
+    c.total = roundMoney(c.total + (r.price || 0));
+    byCliente.set(key, c);
+  }
+
+  return {
+    from: fromDate,
+    to: toDate,
+    reservas,
+    total: roundMoney(reservas.reduce((sum, r) => sum + (r.price || 0), 0)),
+    semPreco: reservas.filter(r => r.price === null).length,
+    porCliente: [...byCliente.values()].sort((a, b) => b.total - a.total)
+  };
+}
+
+// Período das consultas: from/to (YYYY-MM-DD); padrão são os últimos `days` dias até hoje
+function parseReservaPeriodo(query, days = 30){
+  const to = String(query.to || todayISO());
+  const from = String(query.from || addDays(to, -days));
+  if(!isValidDate(from) || !isValidDate(to)) return { status:400, error:'from/to inválidos (YYYY-MM-DD).' };
+  if(from > to) return { status:400, error:'from deve ser anterior a to.' };
+  if(addDays(from, 366) < to) return { status:400, error:'Período máximo de 1 ano.' };
+  return { from, to };
+}
+
+if(RESERVA_CONCILIACAO_DIAS > 0){
+  setInterval(async () => {
+    try{
+      if(requireEnv().length) return;
+      const today = todayISO();
+      const r = await conciliarReservas(addDays(today, -RESERVA_CONCILIACAO_DIAS), today, { actor: CONCILIACAO_ACTOR });
+      if(r.criados.length) console.log(`Conciliação: ${r.criados.length} reserva(s) lançada(s) como receita`);
+    }catch(err){
+      console.error('Erro na conciliação das reservas:', err);
+    }
+  }, 60 * 60 * 1000).unref();
+}
+
+// ====== Importação de extrato (OFX/CSV) ======
+// Prévia primeiro (nada é gravado): cada linha vira um lançamento normalizado, marcado como novo, duplicado
+// (mesmo importRef já importado) ou possível duplicado (mesma data, valor e descrição digitados à mão), com
+// sugestão de grupo/seção/categoria a partir dos lançamentos antigos. O commit grava só o que foi escolhido.
+const DRE_IMPORT_TTL_MINUTES = 30;
+const dreImports = new Map();
+
+// Layout padrão do CSV: acha as colunas pelo nome do cabeçalho
+const DRE_CSV_DEFAULT_COLUMNS = {
+  data: ['data', 'date', 'data lancamento', 'data movimento'],
+  descricao: ['descricao', 'historico', 'lancamento', 'memo', 'description'],
+  valor: ['valor', 'amount', 'valor (r$)'],
+  credito: ['credito', 'entrada', 'entradas'],
+  debito: ['debito', 'saida', 'saidas'],
+  documento: ['documento', 'doc', 'id', 'nr documento', 'numero documento']
+};
+
+// Buffer do arquivo em texto: UTF-8 ou, se não for, Latin-1 (comum nos extratos de banco)
+function decodeImportText(buffer){
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+function parseCsv(text, delimiter){
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for(let i = 0; i < text.length; i++){
+    const ch = text[i];
+    if(quoted){
+      if(ch === '"' && text[i + 1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+    }else if(ch === '"') quoted = true;
+    else if(ch === delimiter){ row.push(field); field = ''; }
+    else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    }else field += ch;
+  }
+  if(field || row.length){
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// "1.234,56", "-1234.56", "(1.234,56)", "1.234,56 D"
+function parseImportAmount(raw, decimal = ','){
+  let s = String(raw || '').trim();
+  if(!s) return null;
+  let negative = false;
+  if(/^\(.*\)$/.test(s)){ negative = true; s = s.slice(1, -1); }
+  if(/\s*D$/i.test(s)){ negative = true; s = s.replace(/\s*D$/i, ''); }
+  s = s.replace(/\s*C$/i, '').replace(/[R$\s]/g, '');
+  if(s.startsWith('-')){ negative = !negative; s = s.slice(1); }
+  s = decimal === ',' ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  const n = Number(s);
+  if(!s || !Number.isFinite(n)) return null;
+  return negative ? -n : n;
+}
+
+function parseImportDate(raw, format = 'DD/MM/YYYY'){
+  const s = String(raw || '').trim();
+  let y, m, d;
+  if(format === 'YYYY-MM-DD'){
+    [y, m, d] = s.slice(0, 10).split('-');
+  }else{
+    const parts = s.split(/[\/.-]/);
+    [d, m, y] = format === 'MM/DD/YYYY' ? [parts[1], parts[0], parts[2]] : parts;
+  }
+  if(String(y || '').length === 2) y = `20${y}`;
+  const date = `${y}-${String(m || '').padStart(2, '0')}-${String(d || '').padStart(2, '0')}`;
+  return isValidDate(date) ? date : '';
+}
+
+// Retorna { rows: [{ linha, data, descricao, valor, documento, ref }], erros } ou { error }
+function parseOfxStatement(text){
+  const field = (block, tag) => (block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))?.[1] || '').trim();
+  const account = field(text, 'ACCTID');
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(b => b.split(/<\/STMTTRN>/i)[0]);
+  if(!blocks.length) return { error: 'Nenhuma transação (<STMTTRN>) no arquivo OFX.' };
+
+  const rows = [];
+  const erros = [];
+  blocks.forEach((block, i) => {
+    const posted = field(block, 'DTPOSTED');
+    const data = parseImportDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'YYYY-MM-DD');
+    const valor = parseImportAmount(field(block, 'TRNAMT'), '.');
+    if(!data || valor === null) return erros.push({ linha: i + 1, erro: 'Transação sem data ou valor.' });
+
+    const fitid = field(block, 'FITID');
+    rows.push({
+      linha: i + 1,
+      data,
+      descricao: [field(block, 'NAME'), field(block, 'MEMO')].filter(Boolean).join(' - '),
+      valor,
+      documento: field(block, 'CHECKNUM'),
+      ref: fitid ? `ofx:${account}:${fitid}` : ''
+    });
+  });
+  return { rows, erros };
+}
+
+function resolveCsvColumn(header, spec, fallbackNames){
+  if(typeof spec === 'number') return spec;
+  const names = spec ? [spec] : (fallbackNames || []);
+  const folded = header.map(foldText);
+  for(const name of names){
+    const idx = folded.indexOf(foldText(name));
+    if(idx !== -1) return idx;
+  }
+  return -1;
+}
+
+// layout: { delimitador, cabecalho, pularLinhas, formatoData, decimal, inverterSinal,
+//           colunas: { data, descricao, valor | credito/debito, documento } } (nome do cabeçalho ou índice a partir de 0)
+function parseCsvStatement(text, layout = {}){
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = layout.delimitador
+    || ((firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',');
+  const all = parseCsv(text, delimiter).slice(Number(layout.pularLinhas) || 0);
+  const hasHeader = layout.cabecalho !== false;
+  const header = hasHeader ? (all[0] || []) : [];
+  const body = hasHeader ? all.slice(1) : all;
+  const offset = (Number(layout.pularLinhas) || 0) + (hasHeader ? 2 : 1);
+
+  const spec = layout.colunas || {};
+  const col = {};
+  for(const key of Object.keys(DRE_CSV_DEFAULT_COLUMNS)){
+    col[key] = resolveCsvColumn(header, spec[key], hasHeader && !layout.colunas ? DRE_CSV_DEFAULT_COLUMNS[key] : null);
+  }
+  if(col.data === -1) return { error: 'Coluna de data não encontrada no CSV; informe o layout.' };
+  if(col.valor === -1 && col.credito === -1 && col.debito === -1){
+    return { error: 'Coluna de valor (ou crédito/débito) não encontrada no CSV; informe o layout.' };
+  }
+
+  const decimal = layout.decimal || ',';
+  const rows = [];
+  const erros = [];
+  const seen = new Map();
+  body.forEach((cells, i) => {
+    const cell = idx => idx === -1 ? '' : String(cells[idx] ?? '').trim();
+    const data = parseImportDate(cell(col.data), layout.formatoData);
+    let valor = parseImportAmount(cell(col.valor), decimal);
+    if(valor === null && (col.credito !== -1 || col.debito !== -1)){
+      const credito = parseImportAmount(cell(col.credito), decimal);
+      const debito = parseImportAmount(cell(col.debito), decimal);
+      if(credito !== null || debito !== null) valor = Math.abs(credito || 0) - Math.abs(debito || 0);
+    }
+    if(!data || valor === null) return erros.push({ linha: offset + i, erro: 'Linha sem data ou valor reconhecível.' });
+    if(layout.inverterSinal) valor = -valor;
+
+    const descricao = cell(col.descricao);
+    const documento = cell(col.documento);
+    // Duas linhas idênticas no mesmo extrato são dois lançamentos: a ocorrência entra na referência
+    const key = `${data}|${valor}|${foldText(descricao)}|${documento}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    rows.push({
+      linha: offset + i,
+      data,
+      descricao,
+      valor,
+      documento,
+      ref: `csv:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}:${n}`
+    });
+  });
+  return { rows, erros };
+}
+
+function importWords(text){
+  return foldText(text).split(/[^a-z]+/).filter(w => w.length >= 3);
+}
+
+// Sugere grupo/seção/categoria pela descrição: igual a um lançamento antigo ou com mais palavras em comum (mesmo sinal)
+function buildCategorySuggester(history){
+  const samples = history
+    .filter(l => l.descricao && (l.grupo || l.tipo))
+    .map(l => ({ item: l, descricao: foldText(l.descricao), words: new Set(importWords(l.descricao)), receita: dreLinhaOf(l)?.id === 'receitaBruta' }));
+
+  return (descricao, receita) => {
+    const folded = foldText(descricao);
+    const words = importWords(descricao);
+    const votes = new Map();
+    for(const s of samples){
+      if(s.receita !== receita) continue;
+      let score = s.descricao === folded ? 1 : 0;
+      if(!score && words.length){
+        const common = words.filter(w => s.words.has(w)).length;
+        score = common / new Set([...words, ...s.words]).size;
+      }
+      if(score < 0.5) continue;
+      const l = s.item;
+      const key = [l.grupo || l.tipo, l.secao, l.categoria, l.unidade, l.painel].join('|');
+      const vote = votes.get(key) || { grupo: l.grupo || l.tipo, secao: l.secao, categoria: l.categoria, unidade: l.unidade, painel: l.painel, score: 0, ocorrencias: 0 };
+      vote.score += score;
+      vote.ocorrencias++;
+      votes.set(key, vote);
+    }
+    const best = [...votes.values()].sort((a, b) => b.score - a.score)[0];
+    if(!best) return null;
+    const { score, ...sugestao } = best;
+    return { ...sugestao, confianca: Math.round(Math.min(score / best.ocorrencias, 1) * 100) };
+  };
+}
+
+// Monta a prévia. Retorna { importId, ... } ou { status, error }
+function prepareDreImport({ formato, texto, layout, destino, unidade, painel, arquivo }, admin){
+  const kind = formato || (/<OFX>|OFXHEADER/i.test(texto) ? 'ofx' : 'csv');
+  if(!['ofx', 'csv'].includes(kind)) return { status: 400, error: 'formato deve ser ofx ou csv.' };
+
+  const parsed = kind === 'ofx' ? parseOfxStatement(texto) : parseCsvStatement(texto, layout || {});
+  if(parsed.error) return { status: 400, error: parsed.error };
+
+  const existing = readDreLancamentos();
+  const byRef = new Map(existing.filter(l => l.importRef).map(l => [l.importRef, l]));
+  const manual = new Map();
+  for(const l of existing){
+    const key = `${l.data}|${roundMoney(Math.abs(Number(l.valor) || 0))}|${foldText(l.descricao)}`;
+    if(!manual.has(key)) manual.set(key, l);
+  }
+  const suggest = buildCategorySuggester(existing);
+
+  const itens = parsed.rows.map(row => {
+    const receita = row.valor >= 0;
+    const sugestao = suggest(row.descricao, receita);
+    const lancamento = normalizeLancamento({
+      data: row.data,
+      tipo: sugestao?.grupo || (receita ? 'Receita' : 'Despesa'),
+      secao: sugestao?.secao || '',
+      categoria: sugestao?.categoria || '',
+      descricao: row.descricao,
+      valor: roundMoney(Math.abs(row.valor)),
+      unidade: unidade || sugestao?.unidade || '',
+      painel: painel || sugestao?.painel || '',
+      destino,
+      observacoes: row.documento ? `Doc. ${row.documento}` : '',
+      importRef: row.ref
+    });
+
+    const dupe = (row.ref && byRef.get(row.ref))
+      || manual.get(`${row.data}|${lancamento.valor}|${foldText(row.descricao)}`);
+    const status = !dupe ? 'novo' : (dupe.importRef && dupe.importRef === row.ref ? 'duplicado' : 'possivel-duplicado');
+    return { ref: row.ref || lancamento.id, linha: row.linha, status, duplicadoDe: dupe?.id || null, sugestao, lancamento };
+  });
+
+  for(const [id, staged] of dreImports){
+    if(staged.expiresAt < Date.now()) dreImports.delete(id);
+  }
+  const importId = crypto.randomUUID();
+  const expiresAt = Date.now() + DRE_IMPORT_TTL_MINUTES * 60 * 1000;
+  dreImports.set(importId, { itens, arquivo, formato: kind, adminId: admin.id, expiresAt });
+
+  const count = status => itens.filter(x => x.status === status).length;
+  return {
+    importId,
+    expiresAt: new Date(expiresAt).toISOString(),
+    arquivo,
+    formato: kind,
+    totais: {
+      linhas: itens.length,
+      novos: count('novo'),
+      duplicados: count('duplicado'),
+      possiveisDuplicados: count('possivel-duplicado'),
+      erros: parsed.erros.length
+    },
+    itens,
+    erros: parsed.erros
+  };
+}
+
+// escolhas: [{ ref, incluir, grupo?, secao?, categoria?, descricao?, unidade?, painel?, competencia?, destino? }].
+// Sem escolhas, entram só os "novo". O importRef é conferido de novo dentro da transação: duas prévias do mesmo
+// extrato confirmadas em sequência não duplicam nada. Retorna { importados, ignorados, arquivo } ou { status, error }
+function commitDreImport(importId, escolhas, admin){
+  const staged = dreImports.get(importId);
+  if(!staged || staged.expiresAt < Date.now() || staged.adminId !== admin.id){
+    return { status: 404, error: 'Importação não encontrada ou expirada; gere a prévia de novo.' };
+  }
+
+  const byRef = new Map((Array.isArray(escolhas) ? escolhas : []).map(e => [String(e?.ref), e]));
+  const editable = ['grupo', 'secao', 'categoria', 'descricao', 'unidade', 'painel', 'competencia', 'destino', 'observacoes'];
+  const importados = [];
+
+  for(const item of staged.itens){
+    const escolha = byRef.get(item.ref);
+    const incluir = escolha ? escolha.incluir !== false : (!byRef.size && item.status === 'novo');
+    if(!incluir) continue;
+
+    const overrides = {};
+    for(const key of editable){
+      if(escolha?.[key] !== undefined) overrides[key] = escolha[key];
+    }
+    if(overrides.grupo !== undefined) overrides.tipo = overrides.grupo;
+    if(overrides.competencia !== undefined) overrides.competenciaManual = true;
+    importados.push(normalizeLancamento({ ...item.lancamento, ...overrides }));
+  }
+
+  const gravados = db.transaction(() => {
+    const out = [];
+    for(const item of importados){
+      if(item.importRef && dreRepo.where("json_extract(doc, '$.importRef') = ?", item.importRef).length) continue;
+      dreRepo.upsert(item);
+      out.push(item);
+    }
+    return out;
+  })();
+  dreImports.delete(importId);
+  return { importados: gravados, ignorados: importados.length - gravados.length, arquivo: staged.arquivo, formato: staged.formato };
+}
+
+// ====== Exportação (CSV / XLSX) ======
+// from/to (YYYY-MM-DD, pela data), competencia (YYYY-MM), destino, grupo, unidade, painel
+function filterLancamentos(items, query){
+  const list = key => String(query[key] || '').split(',').map(foldText).filter(Boolean);
+  const destinos = list('destino');
+  const grupos = list('grupo');
+  const unidades = list('unidade');
+  const paineis = list('painel');
+  const from = String(query.from || '');
+  const to = String(query.to || '');
+  const competencia = String(query.competencia || '');
+
+  return items.filter(l =>
+    (!from || String(l.data) >= from)
+    && (!to || String(l.data) <= to)
+    && (!competencia || lancamentoCompetencia(l).startsWith(competencia))
+    && (!destinos.length || destinos.includes(foldText(l.destino || 'gerencial')))
+    && (!grupos.length || grupos.includes(foldText(l.grupo || l.tipo)))
+    && (!unidades.length || unidades.includes(foldText(l.unidade)))
+    && (!paineis.length || paineis.includes(foldText(l.painel)))
+  );
+}
+
+const DRE_EXPORT_COLUMNS = [
+  ['data', 'Data'], ['competencia', 'Competência'], ['grupo', 'Grupo'], ['secao', 'Seção'], ['categoria', 'Categoria'],
+  ['descricao', 'Descrição'], ['valor', 'Valor'], ['unidade', 'Unidade'], ['painel', 'Painel'], ['destino', 'Destino'],
+  ['pagamento', 'Pagamento'], ['observacoes', 'Observações'], ['id', 'ID']
+];
+
+function lancamentosSheetRows(items){
+  return [
+    DRE_EXPORT_COLUMNS.map(([, label]) => label),
+    ...items.map(l => DRE_EXPORT_COLUMNS.map(([key]) => {
+      if(key === 'valor') return roundMoney(Number(l.valor) || 0);
+      if(key === 'competencia') return lancamentoCompetencia(l);
+      return String(l[key] ?? '');
+    }))
+  ];
+}
+
+function relatorioSheetRows(report){
+  const header = ['Linha', ...report.periodos, ...report.periodos.slice(1).map(p => `Var. % ${p}`)];
+  const line = (label, row) => [label, ...row.valores.map(v => v ?? ''), ...row.variacao.slice(1).map(v => v ?? '')];
+  const rows = [header, ...report.resumo.map(r => line(r.nome, r))];
+
+  for(const d of report.detalhes){
+    if(!d.secoes.length) continue;
+    rows.push([], [d.nome]);
+    for(const s of d.secoes){
+      rows.push(line(`  ${s.nome}`, s));
+      for(const c of s.categorias) rows.push(line(`    ${c.nome}`, c));
+    }
+  }
+  for(const [title, dim] of [['Por unidade', report.porUnidade], ['Por painel', report.porPainel]]){
+    if(!dim.length) continue;
+    rows.push([], [title]);
+    for(const u of dim) rows.push(line(`  ${u.nome} — resultado`, u.resumo.find(r => r.id === 'resultado')));
+  }
+  if(report.naoClassificados.length){
+    rows.push([], ['Não classificados (fora do resultado)']);
+    for(const n of report.naoClassificados) rows.push(line(`  ${n.grupo}`, n));
+  }
+  return rows;
+}
+
+// CSV no padrão do Excel em português: ";" e vírgula decimal, com BOM para abrir acentuado.
+// Texto que começa com = + - @ (ou tab/CR) viraria fórmula na planilha (a descrição vem do extrato do banco),
+// então ganha um ' na frente; número não passa por isso (valor negativo continua número)
+function toCsv(rows){
+  const cell = v => {
+    let s = typeof v === 'number' ? String(v).replace('.', ',') : String(v ?? '');
+    if(typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return `\uFEFF${rows.map(r => r.map(cell).join(';')).join('\r\n')}\r\n`;
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for(let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf){
+  let c = 0xFFFFFFFF;
+  for(const byte of buf) c = CRC32_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip mínimo (deflate, sem pastas) para o XLSX
+function buildZip(files){
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for(const { name, data } of files){
+    const nameBuf = Buffer.from(name, 'utf8');
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(0x00210000, 10); // 1980-01-01 00:00
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuf, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0x00210000, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + packed.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function xmlEscape(s){
+  return String(s).replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[ch]))
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function xlsxColumn(i){
+  let s = '';
+  for(let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  return s;
+}
+
+// sheets: [{ name, rows: [[texto | número]] }]; primeira linha em negrito
+function buildXlsx(sheets){
+  const sheetXml = rows => {
+    const body = rows.map((row, r) => `<row r="${r + 1}">${row.map((v, c) => {
+      const ref = `${xlsxColumn(c)}${r + 1}`;
+      const style = r === 0 ? ' s="1"' : '';
+      if(typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"${style}><v>${v}</v></c>`;
+      if(v === '' || v === null || v === undefined) return '';
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+  };
+  const names = sheets.map(s => xmlEscape(String(s.name).replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31)));
+
+  return buildZip([
+    { name: '[Content_Types].xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>` },
+    { name: '_rels/.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>` },
+    { name: 'xl/styles.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>` },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s.rows) }))
+  ]);
+}
+
+function sendSpreadsheet(res, formato, fileBase, sheets){
+  if(formato === 'xlsx'){
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${fileBase}.xlsx"`);
+    return res.send(buildXlsx(sheets));
+  }
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+  return res.send(toCsv(sheets[0].rows));
+}
+
+// =========================
+// Health
+// =========================
+app.get('/health', async (req, res) => {
+  const missing = [...requireEnv(), ...messageSender.missingConfig()];
+  if(missing.length){
+    return res.status(500).json({ ok:false, error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+  }
+  return res.json({
+    ok: true,
+    dataDir: DATA_DIR,
+    calendar: calendarProvider.name,
+    messages: messageSender.name,
+    mirror: { ready: isMirrorReady(), lastSyncAt: calendarMirror.lastSyncAt },
+    pix: { mode: PIX_MODE, provider: PIX_PROVIDER },
+    backup: backupHealth()
+  });
+});
+
+// =========================
+// Agenda: webhook do Google e espelho
+// =========================
+// O Google só precisa de um 2xx; o sync roda em segundo plano
+app.post('/api/calendar/webhook', (req, res) => {
+  if(!safeEqual(req.get('x-goog-channel-token') || '', CALENDAR_WEBHOOK_TOKEN)){
+    return res.status(401).json({ error:'Não autorizado' });
+  }
+  if(req.get('x-goog-resource-state') !== 'sync') syncCalendarMirror();
+  return res.status(204).end();
+});
+
+app.get('/api/admin/calendar/sync', adminAuth, adminCan('reservas'), (req, res) => {
+  return res.json({
+    ok: true,
+    enabled: CALENDAR_MIRROR_ENABLED,
+    ready: calendarMirror.ready,
+    events: calendarMirror.events.size,
+    windowStart: calendarMirror.windowStart,
+    lastSyncAt: calendarMirror.lastSyncAt,
+    lastFullSyncAt: calendarMirror.lastFullSyncAt,
+    lastError: calendarMirror.lastError,
+    webhook: calendarMirror.channel
+      ? { expiresAt: new Date(calendarMirror.channel.expiration).toISOString() }
+      : null
+  });
+});
+
+app.post('/api/admin/calendar/sync', adminAuth, adminCan('reservas'), async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+    if(!CALENDAR_MIRROR_ENABLED) return res.status(400).json({ error:'Espelho da agenda desativado (CALENDAR_MIRROR=off).' });
+
+    await syncCalendarMirror({ full: Boolean(req.body?.full) });
+    audit(req, 'agenda.sync', { entity:'agenda', after: { full: Boolean(req.body?.full), error: calendarMirror.lastError || null } });
+    if(calendarMirror.lastError) return res.status(502).json({ error:`Falha ao sincronizar: ${calendarMirror.lastError}` });
+
+    return res.json({ ok:true, events: calendarMirror.events.size, lastSyncAt: calendarMirror.lastSyncAt });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao sincronizar agenda.' });
+  }
+});
+
+// =========================
+// Horário de funcionamento
+// =========================
+app.get('/api/schedule', (req, res) => {
+  try{
+    const schedule = readSchedule();
+    const date = String(req.query.date || '');
+    if(date){
+      if(!isValidDate(date)) return res.status(400).json({ error:'date inválida (use YYYY-MM-DD)' });
+      return res.json({ ok:true, date, day: getDayHours(date, schedule), schedule });
+    }
+    return res.json({ ok:true, schedule });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar horários.' });
+  }
+});
+
+app.put('/api/admin/schedule', adminAuth, adminCan('config'), (req, res) => {
+  try{
+    const { schedule, error } = normalizeSchedule(req.body);
+    if(error) return res.status(400).json({ error });
+
+    const before = readSchedule();
+    writeSchedule(schedule);
+    audit(req, 'horarios.update', { entity:'horarios', before, after: schedule });
+    return res.json({ ok:true, schedule });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar horários.' });
+  }
+});
+
+// =========================
+// Quadras
+// =========================
+app.get('/api/courts', (req, res) => {
+  try{
+    return res.json({ ok:true, courts: activeCourts().map(publicCourt) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar quadras.' });
+  }
+});
+
+app.get('/api/admin/courts', adminAuth, adminCan('config'), (req, res) => {
+  try{
+    return res.json({ ok:true, courts: readCourts() });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar quadras.' });
+  }
+});
+
+// Cria ou atualiza uma quadra (desative com active:false em vez de excluir)
+app.post('/api/admin/courts', adminAuth, adminCan('config'), (req, res) => {
+  try{
+    const { court, error } = normalizeCourt(req.body);
+    if(error) return res.status(400).json({ error });
+
+    const current = readCourts();
+    const others = current.filter(c => c.id !== court.id);
+
+    if(others.some(c => c.name.toLowerCase() === court.name.toLowerCase())){
+      return res.status(409).json({ error:`Já existe uma quadra com o nome "${court.name}".` });
+    }
+    const clash = others.find(c => c.aliases.some(a => court.aliases.includes(a)));
+    if(clash){
+      return res.status(409).json({ error:`Alias já usado pela ${clash.name}.` });
+    }
+
+    const items = [...others, court].sort((a, b) => a.id - b.id);
+    writeCourts(items);
+    const before = current.find(c => c.id === court.id) || null;
+    audit(req, before ? 'quadra.update' : 'quadra.create', { entity:'quadra', targetId: court.id, before, after: court });
+    return res.json({ ok:true, court, courts: items });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar quadra.' });
+  }
+});
+
+// =========================
+// Preços
+// =========================
+app.get('/api/admin/pricing', adminAuth, adminCan('config'), (req, res) => {
+  try{
+    return res.json({ ok:true, pricing: readPricing() });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar preços.' });
+  }
+});
+
+app.put('/api/admin/pricing', adminAuth, adminCan('config'), (req, res) => {
+  try{
+    const { pricing, error } = normalizePricing(req.body);
+    if(error) return res.status(400).json({ error });
+
+    const before = readPricing();
+    writePricing(pricing);
+    audit(req, 'precos.update', { entity:'precos', before, after: pricing });
+    return res.json({ ok:true, pricing });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar preços.' });
+  }
+});
+
+// =========================
+// Horários / Reservas
+// =========================
+app.get('/api/slots', async (req,res)=>{
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const date = String(req.query.date || '');
+    const duration = Number(req.query.duration || 60);
+
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error:'date inválida (use YYYY-MM-DD)' });
+    if(![60,120].includes(duration)) return res.status(400).json({ error:'duration inválida (60 ou 120)' });
+
+    const day = getDayHours(date);
+    if(day.closed){
+      return res.json({ date, duration, closed:true, reason: day.reason, slots: [] });
+    }
+
+    await ensureAuth();
+    const events = await listEventsForDay(date);
+    const slots = computeAvailability(events, duration, date);
+
+    res.json({ date, duration, closed:false, label: day.label, slots });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao buscar horários.' });
+  }
+});
+
+// Grade de vários dias (até MAX_AVAILABILITY_DAYS) com uma única leitura da agenda.
+// status por dia: free (nada reservado), partial, full, closed ou past
+const MAX_AVAILABILITY_DAYS = 62;
+
+app.get('/api/availability', async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const from = String(req.query.from || '');
+    const to = String(req.query.to || from);
+    const duration = Number(req.query.duration || 60);
+    const withSlots = ['1', 'true'].includes(String(req.query.slots || ''));
+
+    if(!isValidDate(from) || !isValidDate(to)) return res.status(400).json({ error:'from/to inválidos (use YYYY-MM-DD)' });
+    if(to < from) return res.status(400).json({ error:'to deve ser depois de from' });
+    if(addDays(from, MAX_AVAILABILITY_DAYS - 1) < to) return res.status(400).json({ error:`Período máximo de ${MAX_AVAILABILITY_DAYS} dias.` });
+    if(![60,120].includes(duration)) return res.status(400).json({ error:'duration inválida (60 ou 120)' });
+
+    await ensureAuth();
+    const byDay = await getEventsForDays(from, to);
+    const schedule = readSchedule();
+    const capacity = activeCourts().length;
+    const today = todayISO();
+
+    const days = [];
+    for(let date = from; date <= to; date = addDays(date, 1)){
+      const hours = getDayHours(date, schedule);
+      if(hours.closed){
+        days.push({ date, status:'closed', reason: hours.reason, totalSlots:0, freeSlots:0, ...(withSlots ? { slots: [] } : {}) });
+        continue;
+      }
+
+      const slots = computeAvailability(byDay.get(date) || [], duration, date);
+      const freeSlots = slots.filter(s => s.availableCourts > 0).length;
+
+      let status = 'partial';
+      if(date < today) status = 'past';
+      else if(!slots.length || freeSlots === 0) status = 'full';
+      else if(slots.every(s => s.availableCourts === capacity)) status = 'free';
+
+      days.push({
+        date,
+        status,
+        label: hours.label,
+        totalSlots: slots.length,
+        freeSlots,
+        ...(withSlots ? { slots } : {})
+      });
+    }
+
+    return res.json({ ok:true, from, to, duration, days });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao buscar disponibilidade.' });
+  }
+});
+
+app.get('/api/quote', async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { slot, status, error } = validateSlotRequest(req.query);
+    if(error) return res.status(status).json({ error });
+
+    await ensureAuth();
+    const events = await listEventsForDay(slot.date);
+    const courts = readCourts();
+    const occ = computeOccupancy(events, slot.startMin, slot.endMin, courts, activeHoldsForDay(slot.date, req.query.holdId));
+
+    const pick = pickCourt(occ, req.query.courtId, courts);
+    if(pick.error) return res.status(pick.status).json({ error: pick.error });
+
+    const priced = quotePrice({ ...slot, courtId: pick.court.id, promoCode: req.query.promoCode });
+    if(priced.error) return res.status(400).json({ error: priced.error });
+
+    return res.json({
+      ok: true,
+      date: slot.date,
+      start: slot.start,
+      end: slot.end,
+      duration: slot.duration,
+      court: pick.court.name,
+      courtId: pick.court.id,
+      ...priced.quote
+    });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao calcular valor.' });
+  }
+});
+
+app.post('/api/holds', optionalUserAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { slot, status, error } = validateSlotRequest(req.body || {});
+    if(error) return res.status(status).json({ error });
+
+    const result = await createHold({ slot, courtId: req.body?.courtId, owner: req.user ? `user:${req.user.id}` : (req.ip || '') });
+    if(result.error) return res.status(result.status).json({ error: result.error });
+
+    audit(req, 'pre-reserva.create', { entity:'pre-reserva', targetId: result.hold.id, after: publicHold(result.hold) });
+
+    const { quote } = quotePrice({ ...slot, courtId: result.hold.courtId });
+    return res.json({
+      ok: true,
+      ...publicHold(result.hold),
+      court: result.court.name,
+      price: quote?.price ?? null,
+      currency: quote?.currency
+    });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao segurar horário.' });
+  }
+});
+
+app.delete('/api/holds/:id', (req, res) => {
+  const hold = slotHolds.get(String(req.params.id || ''));
+  if(hold && releaseHold(hold.id)){
+    audit(req, 'pre-reserva.release', { entity:'pre-reserva', targetId: hold.id, before: publicHold(hold) });
+    onCourtFreed(hold.date);
+  }
+  return res.json({ ok:true });
+});
+
+app.post('/api/book', optionalUserAuth, async (req,res)=>{
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { courtId, promoCode, expectedPrice, holdId } = req.body || {};
+    const { name, phone, privateProps } = bookingIdentity(req);
+
+    const { slot, status, error } = validateSlotRequest(req.body || {});
+    if(error) return res.status(status).json({ error });
+    if(!String(name || '').trim() || !String(phone || '').trim()) return res.status(400).json({ error:'name e phone são obrigatórios' });
+
+    const payment = bookingPaymentMode(req.body || {});
+    if(payment.error) return res.status(payment.status).json({ error: payment.error });
+    if(payment.required){
+      const pixMissing = pixMissingConfig();
+      if(pixMissing.length) return res.status(500).json({ error:`Faltam variáveis de ambiente: ${pixMissing.join(', ')}` });
+    }
+
+    const result = await confirmBooking({ slot, name, phone, courtId, promoCode, expectedPrice, holdId, privateProps, requirePayment: payment.required });
+    if(result.error){
+      return res.status(result.status).json({ error: result.error, ...(result.quote ? { quote: result.quote } : {}) });
+    }
+
+    audit(req, 'reserva.create', { entity:'reserva', targetId: result.booking.eventId, after: { ...result.booking, name, phone: normalizePhone(phone) } });
+    const pix = result.booking.payment ? await pixChargeInfo(result.booking) : undefined;
+    return res.json({ ok:true, ...result.booking, ...(pix ? { pix } : {}) });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao criar reserva.' });
+  }
+});
+
+// Cliente logado reserva no próprio nome/WhatsApp (o nome do body pode sobrescrever o da conta)
+function bookingIdentity(req){
+  const body = req.body || {};
+  if(!req.user) return { name: body.name, phone: body.phone, privateProps: undefined };
+  return {
+    name: String(body.name || '').trim() || req.user.name,
+    phone: req.user.phone,
+    privateProps: { userId: req.user.id }
+  };
+}
+
+// =========================
+// Pix (pagamento das reservas)
+// =========================
+// PIX_MODE=off (padrão) não cobra; optional cobra quando o cliente pede (payment:"pix" no /api/book);
+// required cobra toda reserva do site que tenha preço. A reserva entra na agenda como pendente, segurando a
+// quadra até o prazo (PIX_PAYMENT_MINUTES, nunca depois do início); sem pagamento, é liberada sozinha.
+// A confirmação chega pelo webhook no formato da API Pix do Banco Central ({ pix: [{ txid, valor, endToEndId }] }),
+// sempre com PIX_WEBHOOK_TOKEN. PIX_PROVIDER=webhook (padrão) é o PSP de verdade; local é o stand-in para testes:
+// expõe POST /api/pix/:txid/simular (admin com permissão de reservas), que paga pelo mesmo caminho.
+const PIX_MODE = String(process.env.PIX_MODE || 'off').trim().toLowerCase();
+const PIX_PROVIDER = String(process.env.PIX_PROVIDER || 'webhook').trim().toLowerCase();
+const PIX_KEY = String(process.env.PIX_KEY || '').trim();
+const PIX_MERCHANT_NAME = String(process.env.PIX_MERCHANT_NAME || '').trim();
+const PIX_MERCHANT_CITY = String(process.env.PIX_MERCHANT_CITY || '').trim();
+const PIX_WEBHOOK_TOKEN = process.env.PIX_WEBHOOK_TOKEN || '';
+const PIX_PAYMENT_MINUTES = Number(process.env.PIX_PAYMENT_MINUTES || 15);
+const PIX_TXID_RE = /^[A-Za-z0-9]{1,35}$/;
+const PIX_ACTOR = { type: 'system', id: 'pix' };
+
+function pixMissingConfig(){
+  const miss = [];
+  if(!PIX_KEY) miss.push('PIX_KEY');
+  if(!PIX_MERCHANT_NAME) miss.push('PIX_MERCHANT_NAME');
+  if(!PIX_MERCHANT_CITY) miss.push('PIX_MERCHANT_CITY');
+  if(!PIX_WEBHOOK_TOKEN) miss.push('PIX_WEBHOOK_TOKEN');
+  return miss;
+}
+
+// Retorna { required } ou { status, error }
+function bookingPaymentMode(body){
+  const wantsPix = String(body.payment || '').trim().toLowerCase() === 'pix';
+  if(PIX_MODE === 'required') return { required: true };
+  if(PIX_MODE === 'optional') return { required: wantsPix };
+  if(wantsPix) return { status:400, error:'Pagamento por Pix não está disponível.' };
+  return { required: false };
+}
+
+// txid do BR Code estático: até 25 caracteres alfanuméricos
+function newPixTxid(){
+  return `RP${crypto.randomBytes(16).toString('hex').toUpperCase()}`.slice(0, 25);
+}
+
+// Cobrança de uma reserva nova: prazo = agora + PIX_PAYMENT_MINUTES, limitado ao início do horário
+function newPixCharge(slot){
+  const local = toDateTimeISO(slot.date, slot.start);
+  const startMs = new Date(`${local}${tzOffsetFor(local)}`).getTime();
+  const expiresAt = new Date(Math.min(Date.now() + PIX_PAYMENT_MINUTES * 60 * 1000, startMs)).toISOString();
+  const txid = newPixTxid();
+  return {
+    txid,
+    expiresAt,
+    props: { paymentStatus:'pendente', paymentMethod:'pix', pixTxid: txid, pixDeadline: expiresAt, pixPending:'1' }
+  };
+}
+
+function pixDeadlineText(iso){
+  return new Intl.DateTimeFormat('pt-BR', { timeZone: TZ, day:'2-digit', month:'2-digit', hour:'2-digit', minute:'2-digit' }).format(new Date(iso));
+}
+
+// Campos do BR Code só aceitam ASCII: tira acentos e corta no limite
+function pixText(s, max){
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9 .,@+\-/:]/g, '').trim().slice(0, max);
+}
+
+function emvField(id, value){
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+// CRC16-CCITT (polinômio 0x1021, início 0xFFFF), exigido no campo 63
+function crc16Ccitt(text){
+  let crc = 0xFFFF;
+  for(const byte of Buffer.from(text, 'utf8')){
+    crc ^= byte << 8;
+    for(let i = 0; i < 8; i++) crc = (crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1) & 0xFFFF;
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// "Pix copia e cola" (EMV BR Code) com valor e txid
+function pixPayload({ txid, amount }){
+  const payload = [
+    emvField('00', '01'),
+    emvField('01', '12'),
+    emvField('26', emvField('00', 'br.gov.bcb.pix') + emvField('01', PIX_KEY)),
+    emvField('52', '0000'),
+    emvField('53', '986'),
+    emvField('54', Number(amount).toFixed(2)),
+    emvField('58', 'BR'),
+    emvField('59', pixText(PIX_MERCHANT_NAME, 25)),
+    emvField('60', pixText(PIX_MERCHANT_CITY, 15)),
+    emvField('62', emvField('05', txid))
+  ].join('') + '6304';
+  return payload + crc16Ccitt(payload);
+}
+
+async function pixChargeInfo(booking){
+  const copiaECola = pixPayload({ txid: booking.payment.txid, amount: booking.price });
+  return {
+    txid: booking.payment.txid,
+    valor: booking.price,
+    expiresAt: booking.payment.expiresAt,
+    copiaECola,
+    qrCode: await QRCode.toDataURL(copiaECola, { errorCorrectionLevel: 'M', margin: 2, width: 320 }),
+    qrCodeUrl: `/api/pix/${booking.payment.txid}/qrcode.png`
+  };
+}
+
+// Evento da reserva pelo txid (direto na agenda: o espelho pode estar atrasado)
+async function findPixBooking(txid){
+  await ensureAuth();
+  const timeMin = new Date(Date.now() - 1000 * 60 * 60 * 24 * 7).toISOString();
+  const items = await calendarProvider.list({ timeMin, privateExtendedProperty: `pixTxid=${txid}` });
+  return items.find(ev => ev.status !== 'cancelled') || null;
+}
+
+function pixStatusOf(ev){
+  const props = ev.extendedProperties?.private || {};
+  return {
+    txid: props.pixTxid,
+    status: reservaPagamento(ev).status,
+    valor: props.price === undefined ? null : Number(props.price),
+    expiresAt: props.pixDeadline || '',
+    eventId: ev.id,
+    date: String(ev.start?.dateTime || '').slice(0, 10),
+    start: String(ev.start?.dateTime || '').slice(11, 16),
+    court: courtLabelForEvent(ev)
+  };
+}
+
+// Um item do webhook. Retorna { result } com o que foi feito (pago, ja-pago, valor-divergente, desconhecido)
+async function applyPixPayment({ txid, valor, endToEndId, horario }){
+  const ev = txid ? await findPixBooking(txid) : null;
+  const paid = roundMoney(valor);
+  if(!ev){
+    // reserva já liberada (ou txid de outra cobrança): fica na auditoria para a equipe devolver/realocar
+    audit(null, 'pix.orfao', { entity:'pix', targetId: txid || endToEndId || null, after: { txid, valor: paid, endToEndId, horario }, actor: PIX_ACTOR });
+    console.warn(`Pix recebido sem reserva pendente: txid=${txid} valor=${paid} e2e=${endToEndId}`);
+    return { txid, result: 'desconhecido' };
+  }
+
+  const props = ev.extendedProperties?.private || {};
+  const before = reservaPagamento(ev);
+  if(before.status === 'pago') return { txid, result: 'ja-pago', eventId: ev.id };
+
+  const price = Number(props.price || 0);
+  if(!(paid >= price)){
+    audit(null, 'pix.divergente', { entity:'reserva', targetId: ev.id, after: { txid, valor: paid, esperado: price, endToEndId }, actor: PIX_ACTOR });
+    return { txid, result: 'valor-divergente', eventId: ev.id };
+  }
+
+  const payment = { status:'pago', method:'pix', paidAt: horario ? new Date(horario).toISOString() : new Date().toISOString() };
+  await setReservaPagamento(ev, payment, {
+    props: { pixEndToEndId: String(endToEndId || '') },
+    description: setDescriptionLine(ev.description, 'Pagamento', `Pix pago (${pixDeadlineText(payment.paidAt)})`),
+    actor: PIX_ACTOR
+  });
+  audit(null, 'reserva.payment', { entity:'reserva', targetId: ev.id, before, after: { ...payment, txid, endToEndId }, actor: PIX_ACTOR });
+  return { txid, result: 'pago', eventId: ev.id };
+}
+
+// Libera reservas com Pix vencido (a quadra volta para a agenda e para a lista de espera)
+async function releaseExpiredPixBookings(){
+  await ensureAuth();
+  const now = Date.now();
+  const timeMin = new Date(now - 1000 * 60 * 60 * 24).toISOString();
+  const pending = (await listCalendarEvents({ timeMin, privateExtendedProperty: 'pixPending=1' }))
+    .filter(ev => new Date(ev.extendedProperties?.private?.pixDeadline || 0).getTime() <= now);
+
+  const released = [];
+  for(const item of pending){
+    let ev;
+    try{
+      ev = await calendarProvider.get(item.id); // confere de novo: o pagamento pode ter chegado agora
+    }catch{
+      continue;
+    }
+    const props = ev.extendedProperties?.private || {};
+    if(props.pixPending !== '1' || reservaPagamento(ev).status !== 'pendente') continue;
+
+    const date = String(ev.start?.dateTime || '').slice(0, 10);
+    await deleteBookingEvent(ev.id, date);
+    audit(null, 'reserva.expire', { entity:'reserva', targetId: ev.id, before: { ...mapCalendarEvent(ev), txid: props.pixTxid }, actor: PIX_ACTOR });
+
+    const phone = extractPhoneFromEvent(ev);
+    if(phone){
+      messageSender.send(phone, `Sua reserva de ${date.split('-').reverse().join('/')} às ${String(ev.start.dateTime).slice(11, 16)} foi liberada porque o Pix não foi pago no prazo.`)
+        .catch(err => console.error('Erro ao avisar reserva liberada:', err));
+    }
+    released.push(ev.id);
+  }
+  if(released.length) console.log(`Pix: ${released.length} reserva(s) liberada(s) por falta de pagamento`);
+  return released;
+}
+
+if(PIX_MODE !== 'off'){
+  setInterval(() => {
+    if(requireEnv().length) return;
+    releaseExpiredPixBookings().catch(err => console.error('Erro ao liberar reservas com Pix vencido:', err));
+  }, 60 * 1000).unref();
+}
+
+// Situação da cobrança (o site consulta até virar "pago")
+app.get('/api/pix/:txid', async (req, res) => {
+  try{
+    const txid = String(req.params.txid || '');
+    if(!PIX_TXID_RE.test(txid)) return res.status(400).json({ error:'txid inválido' });
+
+    const ev = await findPixBooking(txid);
+    if(!ev) return res.status(404).json({ error:'Cobrança não encontrada ou reserva já liberada.' });
+
+    const info = pixStatusOf(ev);
+    return res.json({
+      ok: true,
+      ...info,
+      ...(info.status === 'pendente' && info.valor > 0 ? { copiaECola: pixPayload({ txid, amount: info.valor }) } : {})
+    });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao consultar cobrança.' });
+  }
+});
+
+app.get('/api/pix/:txid/qrcode.png', async (req, res) => {
+  try{
+    const txid = String(req.params.txid || '');
+    if(!PIX_TXID_RE.test(txid)) return res.status(400).json({ error:'txid inválido' });
+
+    const ev = await findPixBooking(txid);
+    const info = ev ? pixStatusOf(ev) : null;
+    if(!info || info.status !== 'pendente' || !(info.valor > 0)) return res.status(404).json({ error:'Cobrança não encontrada ou já encerrada.' });
+
+    const png = await QRCode.toBuffer(pixPayload({ txid, amount: info.valor }), { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 320 });
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'no-store');
+    return res.send(png);
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao gerar QR Code.' });
+  }
+});
+
+// Webhook do PSP. O token vai só no header x-webhook-token (na URL ele acabaria em logs de proxy)
+// (a API do Banco Central acrescenta "/pix" à URL, por isso as duas rotas)
+async function handlePixWebhook(req, res){
+  try{
+    if(!PIX_WEBHOOK_TOKEN || !safeEqual(req.get('x-webhook-token') || '', PIX_WEBHOOK_TOKEN)){
+      return res.status(401).json({ error:'Não autorizado' });
+    }
+
+    const items = Array.isArray(req.body?.pix) ? req.body.pix : [];
+    const results = [];
+    for(const item of items){
+      results.push(await applyPixPayment({
+        txid: String(item?.txid || ''),
+        valor: Number(item?.valor || 0),
+        endToEndId: String(item?.endToEndId || ''),
+        horario: item?.horario
+      }));
+    }
+    return res.json({ ok:true, results });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao processar webhook Pix.' });
+  }
+}
+
+app.post('/api/pix/webhook', handlePixWebhook);
+app.post('/api/pix/webhook/pix', handlePixWebhook);
+
+// Stand-in local: paga a cobrança como se o banco tivesse avisado ({ valor? } para testar valor divergente)
+app.post('/api/pix/:txid/simular', adminAuth, adminCan('reservas'), async (req, res) => {
+  if(PIX_PROVIDER !== 'local') return res.status(404).json({ error:'Não encontrado' });
+  try{
+    const txid = String(req.params.txid || '');
+    if(!PIX_TXID_RE.test(txid)) return res.status(400).json({ error:'txid inválido' });
+
+    const ev = await findPixBooking(txid);
+    const valor = req.body?.valor !== undefined ? Number(req.body.valor) : (ev ? pixStatusOf(ev).valor : 0);
+    const result = await applyPixPayment({
+      txid,
+      valor,
+      endToEndId: `E${crypto.randomBytes(15).toString('hex').toUpperCase()}`.slice(0, 32),
+      horario: new Date().toISOString()
+    });
+    return res.json({ ok:true, ...result });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao simular pagamento.' });
+  }
+});
+
+// =========================
+// Mensalistas (reserva semanal)
+// =========================
+// A série segura a quadra por semanas: o site fica com SERIES_MAX_WEEKS (padrão 12), a equipe com até 52
+const MAX_SERIES_OCCURRENCES = 52;
+const MAX_CLIENT_SERIES_WEEKS = Math.min(Number(process.env.SERIES_MAX_WEEKS || 12), MAX_SERIES_OCCURRENCES);
+
+// Quem pode criar série: admin com permissão de reservas, ou o WhatsApp confirmado (conta verificada ou token do código)
+function recurringBookingAuth(req, res, next){
+  const auth = req.headers.authorization || '';
+  const admin = auth.startsWith('Bearer ') ? verifyAdminToken(auth.slice(7)) : null;
+  if(admin){
+    if(!(ADMIN_ROLES[admin.role] || []).includes('reservas')){
+      return res.status(403).json({ error: 'Sem permissão para essa área.' });
+    }
+    req.admin = admin;
+    return next();
+  }
+
+  return optionalUserAuth(req, res, () => {
+    if(isPhoneVerified(req.user)) return next();
+    const phone = normalizePhone(req.user ? req.user.phone : req.body?.phone);
+    if(!hasPhoneToken(req, phone)){
+      return res.status(401).json({ error: 'Confirme seu WhatsApp com o código enviado.', otpRequired: true });
+    }
+    req.verifiedPhone = phone;
+    next();
+  });
+}
+
+// Datas da série: toda semana a partir de date, por `weeks` semanas ou até `until` (inclusive)
+function seriesDates({ date, weeks, until, max = MAX_SERIES_OCCURRENCES }){
+  const out = [];
+  const total = weeks ? Math.min(Number(weeks), max) : max;
+  for(let i = 0; i < total; i++){
+    const d = addDays(date, i * 7);
+    if(until && d > until) break;
+    out.push(d);
+  }
+  return out;
+}
+
+app.post('/api/book/recurring', recurringBookingAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { date, start, duration, weeks, until, courtId, promoCode, dryRun } = req.body || {};
+    const { name, phone, privateProps } = bookingIdentity(req);
+
+    if(!isValidDate(String(date || ''))) return res.status(400).json({ error:'date inválida (YYYY-MM-DD)' });
+    if(!/^\d{2}:\d{2}$/.test(String(start || ''))) return res.status(400).json({ error:'start inválido (HH:MM)' });
+    if(![60,120].includes(Number(duration || 60))) return res.status(400).json({ error:'duration inválida (60 ou 120)' });
+    if(!String(name || '').trim() || !String(phone || '').trim()) return res.status(400).json({ error:'name e phone são obrigatórios' });
+
+    const cleanUntil = String(until || '').trim();
+    if(!weeks && !cleanUntil) return res.status(400).json({ error:'Informe weeks (número de semanas) ou until (YYYY-MM-DD).' });
+    if(weeks && !(Number.isInteger(Number(weeks)) && Number(weeks) >= 1)) return res.status(400).json({ error:'weeks inválido.' });
+    if(cleanUntil && (!isValidDate(cleanUntil) || cleanUntil < date)) return res.status(400).json({ error:'until inválido.' });
+
+    const maxWeeks = req.admin ? MAX_SERIES_OCCURRENCES : MAX_CLIENT_SERIES_WEEKS;
+    if(Number(weeks) > maxWeeks || (cleanUntil && cleanUntil > addDays(date, (maxWeeks - 1) * 7))){
+      return res.status(400).json({ error:`A série pode ter no máximo ${maxWeeks} semanas.`, maxWeeks });
+    }
+
+    const seriesId = crypto.randomUUID();
+    const courts = readCourts();
+    const occurrences = [];
+    let preferredCourtId = courtId === undefined || courtId === '' ? undefined : Number(courtId);
+
+    for(const d of seriesDates({ date, weeks, until: cleanUntil, max: maxWeeks })){
+      const { slot, error } = validateSlotRequest({ date: d, start, duration });
+      if(error){
+        occurrences.push({ date: d, status:'invalid', error });
+        continue;
+      }
+
+      if(dryRun){
+        await ensureAuth();
+        const events = await listEventsForDay(d);
+        const occ = computeOccupancy(events, slot.startMin, slot.endMin, courts, activeHoldsForDay(d));
+        const pick = pickCourt(occ, undefined, courts);
+        occurrences.push(pick.error
+          ? { date: d, start: slot.start, end: slot.end, status:'conflict', error: pick.error }
+          : { date: d, start: slot.start, end: slot.end, status:'available', availableCourts: occ.available });
+        continue;
+      }
+
+      const result = await confirmBooking({
+        slot,
+        name,
+        phone,
+        preferredCourtId,
+        promoCode,
+        kind: 'Mensalista',
+        privateProps: { ...privateProps, seriesId }
+      });
+
+      if(result.error){
+        occurrences.push({ date: d, start: slot.start, end: slot.end, status:'conflict', error: result.error });
+        continue;
+      }
+
+      // mantém a mesma quadra nas próximas semanas sempre que possível
+      preferredCourtId = result.booking.courtId;
+      occurrences.push({ ...result.booking, status:'booked' });
+    }
+
+    const booked = occurrences.filter(o => o.status === 'booked').length;
+    if(!dryRun && booked){
+      audit(req, 'serie.create', {
+        entity:'serie',
+        targetId: seriesId,
+        after: { name, phone: normalizePhone(phone), start, duration: Number(duration || 60), occurrences: occurrences.filter(o => o.status === 'booked') }
+      });
+    }
+
+    return res.json({
+      ok: true,
+      dryRun: Boolean(dryRun),
+      seriesId: dryRun || !booked ? null : seriesId,
+      booked,
+      conflicts: occurrences.filter(o => o.status !== 'booked' && o.status !== 'available').length,
+      occurrences
+    });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao criar reservas de mensalista.' });
+  }
+});
+
+// =========================
+// Verificação do WhatsApp
+// =========================
+app.post('/api/otp/request', async (req, res) => {
+  try{
+    const phoneDigits = normalizePhone(req.body?.phone);
+    if(phoneDigits.length < 10) return res.status(400).json({ error:'WhatsApp inválido' });
+
+    const missing = messageSender.missingConfig();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const result = await requestOtp(phoneDigits);
+    if(result.error){
+      if(result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter });
+    }
+
+    return res.json({ ok:true, ...result.otp });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao enviar código.' });
+  }
+});
+
+app.post('/api/otp/verify', (req, res) => {
+  try{
+    const { phone, code } = req.body || {};
+    const phoneDigits = normalizePhone(phone);
+    if(!phoneDigits || !String(code || '').trim()) return res.status(400).json({ error:'phone e code são obrigatórios' });
+
+    const result = verifyOtp(phoneDigits, code);
+    if(result.error){
+      return res.status(result.status).json({ error: result.error, attemptsLeft: result.attemptsLeft });
+    }
+
+    return res.json({ ok:true, ...result });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao verificar código.' });
+  }
+});
+
+// =========================
+// Lista de espera
+// =========================
+app.post('/api/waitlist', optionalUserAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { name, phone } = bookingIdentity(req);
+    const phoneDigits = normalizePhone(phone);
+
+    const { slot, status, error } = validateSlotRequest(req.body || {});
+    if(error) return res.status(status).json({ error });
+    if(!String(name || '').trim() || !phoneDigits) return res.status(400).json({ error:'name e phone são obrigatórios' });
+
+    const items = readWaitlist();
+    const dup = items.find(e =>
+      isWaitlistActive(e) && e.phone === phoneDigits &&
+      e.date === slot.date && e.start === slot.start && e.duration === slot.duration
+    );
+    if(dup) return res.status(409).json({ error:'Você já está na lista de espera desse horário.', entry: publicWaitlistEntry(dup, items) });
+
+    await ensureAuth();
+    const events = await listEventsForDay(slot.date);
+    const occ = computeOccupancy(events, slot.startMin, slot.endMin, readCourts(), activeHoldsForDay(slot.date));
+    if(!occ.blocked && occ.available > 0){
+      return res.status(409).json({ error:'Esse horário tem quadra livre. Faça a reserva direto.' });
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      date: slot.date,
+      start: slot.start,
+      end: slot.end,
+      duration: slot.duration,
+      name: String(name).trim(),
+      phone: phoneDigits,
+      status: 'waiting',
+      offer: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    waitlistRepo.upsert(entry);
+    items.push(entry);
+    audit(req, 'lista-espera.create', { entity:'lista-espera', targetId: entry.id, after: entry });
+    return res.json({ ok:true, entry: publicWaitlistEntry(entry, items) });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao entrar na lista de espera.' });
+  }
+});
+
+app.get('/api/waitlist', phoneAuth, (req, res) => {
+  try{
+    const phoneDigits = req.verifiedPhone;
+
+    const items = readWaitlist();
+    const entries = items
+      .filter(e => e.phone === phoneDigits && isWaitlistActive(e))
+      .map(e => publicWaitlistEntry(e, items));
+
+    return res.json({ ok:true, entries });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao buscar lista de espera.' });
+  }
+});
+
+app.post('/api/waitlist/:id/claim', phoneAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const entry = readWaitlist().find(e => e.id === req.params.id);
+    if(!entry) return res.status(404).json({ error:'Inscrição não encontrada.' });
+    if(req.verifiedPhone !== entry.phone){
+      return res.status(403).json({ error:'Este telefone não confere com a inscrição.' });
+    }
+    if(entry.status !== 'offered') return res.status(409).json({ error:'Não há oferta ativa para essa inscrição.' });
+    if(Date.parse(entry.offer?.expiresAt) <= Date.now()) return res.status(410).json({ error:'A oferta expirou.' });
+
+    const { slot, status, error } = validateSlotRequest(entry);
+    if(error) return res.status(status).json({ error });
+
+    // sem o hold (perdido em algum restart) a oferta ainda vale: confere a agenda e tenta a mesma quadra
+    const holdId = slotHolds.has(entry.offer.holdId) ? entry.offer.holdId : undefined;
+    const result = await confirmBooking({
+      slot,
+      name: entry.name,
+      phone: entry.phone,
+      holdId,
+      preferredCourtId: entry.offer.courtId,
+      promoCode: req.body?.promoCode,
+      origin: 'lista de espera'
+    });
+    if(result.error) return res.status(result.status).json({ error: result.error });
+
+    const updated = transitionWaitlistEntry(entry.id, 'offered', { status:'booked', eventId: result.booking.eventId });
+    audit(req, 'lista-espera.claim', { entity:'lista-espera', targetId: entry.id, before: entry, after: updated });
+    audit(req, 'reserva.create', { entity:'reserva', targetId: result.booking.eventId, after: { ...result.booking, name: entry.name, phone: entry.phone } });
+    return res.json({ ok:true, ...result.booking });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao confirmar oferta.' });
+  }
+});
+
+app.delete('/api/waitlist/:id', phoneAuth, (req, res) => {
+  try{
+    const entry = readWaitlist().find(e => e.id === req.params.id);
+    if(!entry) return res.status(404).json({ error:'Inscrição não encontrada.' });
+    if(req.verifiedPhone !== entry.phone){
+      return res.status(403).json({ error:'Este telefone não confere com a inscrição.' });
+    }
+    if(!isWaitlistActive(entry)) return res.json({ ok:true });
+
+    const updated = transitionWaitlistEntry(entry.id, entry.status, { status:'canceled' });
+    audit(req, 'lista-espera.cancel', { entity:'lista-espera', targetId: entry.id, before: entry, after: updated });
+    if(entry.status === 'offered' && releaseHold(entry.offer?.holdId)) onCourtFreed(entry.date);
+
+    return res.json({ ok:true });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao sair da lista de espera.' });
+  }
+});
+
+// =========================
+// Cancelamento por telefone
+// =========================
+app.post('/api/cancel_lookup', phoneAuth, async (req,res)=>{
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { phone } = req.body || {};
+    const phoneDigits = req.verifiedPhone;
+    if(phone && normalizePhone(phone) !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com o código verificado.' });
+    }
+
+    const reservations = await listUpcomingReservationsByPhone(phoneDigits);
+
+    if(!reservations.length){
+      return res.json({ ok:true, reservations: [] });
+    }
+
+    const courts = readCourts();
+    const formatted = reservations.map(r => formatReservation(r, courts));
+
+    return res.json({ ok:true, reservations: formatted });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao buscar reservas.' });
+  }
+});
+
+app.post('/api/cancel_by_phone', phoneAuth, async (req,res)=>{
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { phone, eventId } = req.body || {};
+    const phoneDigits = req.verifiedPhone;
+    if(phone && normalizePhone(phone) !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com o código verificado.' });
+    }
+
+    if(!eventId){
+      const list = await listUpcomingReservationsByPhone(phoneDigits);
+      if(!list.length) return res.status(404).json({ error:'Nenhuma reserva encontrada para esse telefone.' });
+
+      const pick = list[0];
+      await ensureAuth();
+      await deleteBookingEvent(pick.eventId, String(pick.start).slice(0,10));
+      audit(req, 'reserva.cancel', { entity:'reserva', targetId: pick.eventId, before: pick });
+      return res.json({ ok:true, canceledEventId: pick.eventId });
+    }
+
+    await ensureAuth();
+    const ev = await calendarProvider.get(eventId);
+    const ph = extractPhoneFromEvent({
+      summary: ev.summary || '',
+      description: ev.description || '',
+      location: ev.location || ''
+    });
+
+    if(ph !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com a reserva.' });
+    }
+
+    await deleteBookingEvent(eventId, String(ev.start?.dateTime || ev.start?.date || '').slice(0,10));
+    audit(req, 'reserva.cancel', { entity:'reserva', targetId: eventId, before: mapCalendarEvent(ev) });
+    return res.json({ ok:true, canceledEventId: eventId });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao cancelar reserva.' });
+  }
+});
+
+// Remarca uma reserva: mesmo token de telefone do cancelamento, mesmo evento na agenda
+app.post('/api/reschedule', phoneAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { phone, eventId, date, start, duration, courtId } = req.body || {};
+    const phoneDigits = req.verifiedPhone;
+    if(phone && normalizePhone(phone) !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com o código verificado.' });
+    }
+    if(!eventId) return res.status(400).json({ error:'eventId é obrigatório' });
+
+    await ensureAuth();
+    const found = await calendarProvider.get(eventId);
+    const ev = {
+      ...mapCalendarEvent(found),
+      extendedProperties: found.extendedProperties
+    };
+
+    if(extractPhoneFromEvent(ev) !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com a reserva.' });
+    }
+    if(String(ev.start).length <= 10) return res.status(400).json({ error:'Essa reserva não pode ser remarcada.' });
+
+    const currentDuration = isoToMinutes(ev.end) - isoToMinutes(ev.start);
+    const { slot, status, error } = validateSlotRequest({ date, start, duration: duration || currentDuration });
+    if(error) return res.status(status).json({ error });
+
+    const result = await rescheduleBooking({ ev, slot, courtId });
+    if(result.error){
+      return res.status(result.status).json({ error: result.error, ...(result.quote ? { quote: result.quote } : {}) });
+    }
+
+    audit(req, 'reserva.reschedule', { entity:'reserva', targetId: eventId, before: mapCalendarEvent(found), after: result.booking });
+    if(result.previous.date !== slot.date || result.previous.start !== slot.start || currentDuration !== slot.duration){
+      onCourtFreed(result.previous.date);
+    }
+
+    return res.json({ ok:true, ...result.booking, previous: result.previous });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao remarcar reserva.' });
+  }
+});
+
+// Cancela a série inteira (ou as ocorrências a partir de fromDate).
+// Para cancelar uma única semana, use /api/cancel_by_phone com o eventId.
+app.post('/api/cancel_series', phoneAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const { phone, seriesId, fromDate } = req.body || {};
+    const phoneDigits = req.verifiedPhone;
+    if(phone && normalizePhone(phone) !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com o código verificado.' });
+    }
+    if(!String(seriesId || '').trim()) return res.status(400).json({ error:'seriesId é obrigatório' });
+    if(fromDate && !isValidDate(String(fromDate))) return res.status(400).json({ error:'fromDate inválida (YYYY-MM-DD)' });
+
+    const events = await listSeriesEvents(String(seriesId).trim(), fromDate ? String(fromDate) : '');
+    if(!events.length) return res.status(404).json({ error:'Nenhuma reserva futura encontrada para essa série.' });
+
+    if(events.some(ev => extractPhoneFromEvent(ev) !== phoneDigits)){
+      return res.status(403).json({ error:'Este telefone não confere com a reserva.' });
+    }
+
+    const canceledEventIds = [];
+    for(const ev of events){
+      await deleteBookingEvent(ev.id, String(ev.start).slice(0,10));
+      canceledEventIds.push(ev.id);
+    }
+    audit(req, 'serie.cancel', { entity:'serie', targetId: seriesId, before: events, after: { fromDate: fromDate || null, canceledEventIds } });
+
+    return res.json({ ok:true, seriesId, canceledEventIds });
+  }catch(e){
+    console.error(e);
+    res.status(500).json({ error:'Erro ao cancelar série.' });
+  }
+});
+
+// =========================
+// Reset de senha (sem login)
+// Confirma por e-mail + WhatsApp cadastrados
+// =========================
+app.post('/api/auth/reset_password', (req, res) => {
+  try{
+    const { email, phone, newPassword } = req.body || {};
+
+    const cleanEmail = String(email || '').trim().toLowerCase();
+    const cleanPhone = normalizePhone(phone);
+    const cleanPass = String(newPassword || '');
+
+    if(!cleanEmail || !cleanPhone || !cleanPass){
+      return res.status(400).json({ error:'Preencha e-mail, WhatsApp e nova senha.' });
+    }
+
+    if(cleanPass.length < MIN_PASSWORD_LENGTH){
+      return res.status(400).json({ error:`A nova senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+    if(!hasPhoneToken(req, cleanPhone)){
+      return res.status(401).json({ error:'Confirme seu WhatsApp com o código enviado.', otpRequired: true });
+    }
+
+    const users = readUsers();
+    const idx = users.findIndex(u =>
+      String(u.email || '').toLowerCase() === cleanEmail &&
+      normalizePhone(u.phone) === cleanPhone
+    );
+
+    if(idx === -1){
+      return res.status(404).json({ error:'Conta não encontrada com esse e-mail + WhatsApp.' });
+    }
+
+    users[idx].passwordHash = hashPassword(cleanPass);
+    users[idx].phoneVerifiedAt = users[idx].phoneVerifiedAt || new Date().toISOString();
+    users[idx].updatedAt = new Date().toISOString();
+    usersRepo.upsert(users[idx]);
+    revokeUserSessions(users[idx].id);
+    audit(req, 'usuario.reset_password', { entity:'usuario', targetId: users[idx].id, after: makePublicUser(users[idx]) });
+
+    return res.json({ ok:true, message:'Senha redefinida com sucesso.' });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao redefinir senha.' });
+  }
+});
+
+// =========================
+// Auth usuários
+// =========================
+app.post('/api/auth/register', (req,res)=>{
+  try{
+    const { name, email, phone, password } = req.body || {};
+    const cleanName = String(name || '').trim();
+    const cleanEmail = String(email || '').trim().toLowerCase();
+    const cleanPhone = normalizePhone(phone);
+    const cleanPass = String(password || '');
+
+    if(!cleanName || !cleanEmail || !cleanPhone || !cleanPass){
+      return res.status(400).json({ error:'Preencha nome, e-mail, WhatsApp e senha.' });
+    }
+    if(cleanPass.length < MIN_PASSWORD_LENGTH){
+      return res.status(400).json({ error:`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+    if(!hasPhoneToken(req, cleanPhone)){
+      return res.status(401).json({ error:'Confirme seu WhatsApp com o código enviado.', otpRequired: true });
+    }
+
+    const users = readUsers();
+
+    if(users.find(u => String(u.email).toLowerCase() === cleanEmail)){
+      return res.status(409).json({ error:'Este e-mail já está cadastrado.' });
+    }
+    if(users.find(u => normalizePhone(u.phone) === cleanPhone)){
+      return res.status(409).json({ error:'Este WhatsApp já está cadastrado.' });
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      name: cleanName,
+      email: cleanEmail,
+      phone: cleanPhone,
+      phoneVerifiedAt: new Date().toISOString(),
+      passwordHash: hashPassword(cleanPass),
+      createdAt: new Date().toISOString()
+    };
+
+    usersRepo.upsert(user);
+    audit(req, 'usuario.create', { entity:'usuario', targetId: user.id, after: makePublicUser(user) });
+
+    return res.json({ ok:true, user: makePublicUser(user), ...createUserSession(user, req) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao criar conta.' });
+  }
+});
+
+app.post('/api/auth/login', (req,res)=>{
+  try{
+    const { login, email, phone, password } = req.body || {};
+    const rawLogin = String(login || email || phone || '').trim();
+    const byEmail = rawLogin.includes('@');
+
+    const cleanEmail = String(email || (byEmail ? rawLogin : '') || '').trim().toLowerCase();
+    const cleanPhone = normalizePhone(phone || (!byEmail ? rawLogin : ''));
+
+    const ipKey = `ip:${req.ip || ''}`;
+    const ipLock = loginLockRemaining([ipKey]);
+    if(ipLock) return lockedResponse(res, ipLock);
+
+    const users = readUsers();
+    const user = users.find(u =>
+      (cleanEmail && String(u.email).toLowerCase() === cleanEmail) ||
+      (cleanPhone && normalizePhone(u.phone) === cleanPhone)
+    );
+
+    if(!user){
+      registerLoginFailure(ipKey, LOGIN_LOCK_THRESHOLD * LOGIN_LOCK_IP_FACTOR);
+      return res.status(404).json({ error:'Conta não encontrada.' });
+    }
+
+    const userKey = `conta:${user.id}`;
+    const locked = loginLockRemaining([userKey]);
+    if(locked) return lockedResponse(res, locked);
+
+    const check = verifyPassword(password || '', user.passwordHash);
+    if(!check.ok){
+      registerLoginFailure(userKey);
+      registerLoginFailure(ipKey, LOGIN_LOCK_THRESHOLD * LOGIN_LOCK_IP_FACTOR);
+      return res.status(401).json({ error:'Senha inválida.' });
+    }
+
+    clearLoginFailures(userKey);
+    if(check.needsUpgrade){
+      usersRepo.upsert({ ...user, passwordHash: hashPassword(password), updatedAt: new Date().toISOString() });
+    }
+
+    return res.json({ ok:true, user: makePublicUser(user), ...createUserSession(user, req) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro no login.' });
+  }
+});
+
+app.post('/api/auth/refresh', (req, res) => {
+  try{
+    const result = refreshUserSession(req.body?.refreshToken);
+    if(result.error) return res.status(result.status).json({ error: result.error });
+
+    return res.json({ ok:true, user: makePublicUser(result.user), ...result.tokens });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao renovar sessão.' });
+  }
+});
+
+// Encerra a sessão do token (ou do refreshToken); { all:true } encerra todas as sessões da conta
+app.post('/api/auth/logout', optionalUserAuth, (req, res) => {
+  try{
+    if(req.user){
+      const revoked = revokeUserSessions(req.user.id, req.body?.all ? {} : { ids: [req.sessionId] });
+      audit(req, 'sessao.logout', { entity:'sessao', targetId: req.body?.all ? null : req.sessionId, after: { all: Boolean(req.body?.all), revoked } });
+      return res.json({ ok:true, revoked });
+    }
+
+    const [sid, secret] = String(req.body?.refreshToken || '').split('.');
+    const session = sid ? sessionsRepo.get(sid) : null;
+    if(session && secret && session.refreshHash === hashRefreshSecret(secret)){
+      return res.json({ ok:true, revoked: revokeUserSessions(session.userId, { ids: [sid] }) });
+    }
+
+    return res.json({ ok:true, revoked: 0 });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao sair.' });
+  }
+});
+
+app.get('/api/my_reservations', phoneAuth, async (req,res)=>{
+  try{
+    const phoneDigits = req.verifiedPhone;
+    if(req.query.phone && normalizePhone(req.query.phone) !== phoneDigits){
+      return res.status(403).json({ error:'Este telefone não confere com o código verificado.' });
+    }
+
+    const reservations = await listUpcomingReservationsByPhone(phoneDigits);
+
+    const courts = readCourts();
+    const formatted = reservations.map(r => formatReservation(r, courts));
+
+    return res.json({ ok:true, reservations: formatted });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar reservas da conta.' });
+  }
+});
+
+// =========================
+// Conta do cliente (/api/me)
+// =========================
+app.get('/api/me', userAuth, (req, res) => {
+  const sessions = readUserSessions(req.user.id)
+    .filter(isSessionActive)
+    .map(s => ({ id: s.id, current: s.id === req.sessionId, createdAt: s.createdAt, lastUsedAt: s.lastUsedAt, userAgent: s.userAgent }));
+  return res.json({ ok:true, user: makePublicUser(req.user), sessions });
+});
+
+// Atualiza nome/e-mail/WhatsApp/senha. Trocar o WhatsApp exige o token do código enviado ao número novo;
+// trocar a senha exige a atual e encerra as outras sessões.
+app.patch('/api/me', userAuth, (req, res) => {
+  try{
+    const { name, email, phone, currentPassword, newPassword } = req.body || {};
+    const users = readUsers();
+    const idx = users.findIndex(u => u.id === req.user.id);
+    if(idx === -1) return res.status(404).json({ error:'Conta não encontrada.' });
+    const user = { ...users[idx] };
+
+    if(name !== undefined){
+      const cleanName = String(name).trim();
+      if(!cleanName) return res.status(400).json({ error:'Nome não pode ficar vazio.' });
+      user.name = cleanName;
+    }
+
+    if(email !== undefined){
+      const cleanEmail = String(email).trim().toLowerCase();
+      if(!cleanEmail.includes('@')) return res.status(400).json({ error:'E-mail inválido.' });
+      if(users.some(u => u.id !== user.id && String(u.email).toLowerCase() === cleanEmail)){
+        return res.status(409).json({ error:'Este e-mail já está cadastrado.' });
+      }
+      user.email = cleanEmail;
+    }
+
+    if(phone !== undefined){
+      const cleanPhone = normalizePhone(phone);
+      if(!cleanPhone) return res.status(400).json({ error:'WhatsApp inválido.' });
+      const confirmed = hasPhoneToken(req, cleanPhone);
+      if(cleanPhone !== normalizePhone(user.phone)){
+        if(!confirmed){
+          return res.status(401).json({ error:'Confirme o novo WhatsApp com o código enviado.', otpRequired: true });
+        }
+        if(users.some(u => u.id !== user.id && normalizePhone(u.phone) === cleanPhone)){
+          return res.status(409).json({ error:'Este WhatsApp já está cadastrado.' });
+        }
+      }
+      user.phone = cleanPhone;
+      // contas antigas confirmam o número atual mandando o mesmo phone com o token
+      if(confirmed) user.phoneVerifiedAt = new Date().toISOString();
+    }
+
+    let passwordChanged = false;
+    if(newPassword !== undefined){
+      const cleanPass = String(newPassword);
+      if(!verifyPassword(currentPassword || '', user.passwordHash).ok){
+        return res.status(401).json({ error:'Senha atual inválida.' });
+      }
+      if(cleanPass.length < MIN_PASSWORD_LENGTH){
+        return res.status(400).json({ error:`A nova senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+      }
+      user.passwordHash = hashPassword(cleanPass);
+      passwordChanged = true;
+    }
+
+    user.updatedAt = new Date().toISOString();
+    usersRepo.upsert(user);
+    if(passwordChanged) revokeUserSessions(user.id, { except: req.sessionId });
+    audit(req, passwordChanged ? 'usuario.update_password' : 'usuario.update', {
+      entity:'usuario', targetId: user.id, before: makePublicUser(req.user), after: makePublicUser(user)
+    });
+
+    return res.json({ ok:true, user: makePublicUser(user) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao atualizar conta.' });
+  }
+});
+
+app.get('/api/me/reservations', userAuth, async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    if(!isPhoneVerified(req.user)){
+      return res.status(403).json({ error:'Confirme o WhatsApp da conta para ver as reservas.', otpRequired: true });
+    }
+
+    const reservations = await listUpcomingReservationsByPhone(normalizePhone(req.user.phone));
+    const courts = readCourts();
+    return res.json({ ok:true, reservations: reservations.map(r => formatReservation(r, courts)) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar reservas da conta.' });
+  }
+});
+
+// =========================
+// Chaveamento sincronizado (legado: o front antigo grava a chave inteira; os torneios novos usam /api/admin/torneios)
+// =========================
+// Leitura pública (página da chave no site); só a gravação exige o painel
+app.get('/api/chaveamento/state', (req, res) => {
+  try{
+    const payload = readChaveamentoState();
+    return res.json({
+      ok: true,
+      savedAt: payload?.savedAt || null,
+      data: payload?.data || null
+    });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar estado do chaveamento.' });
+  }
+});
+
+app.post('/api/chaveamento/state', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const data = req.body;
+    if(!data || typeof data !== 'object' || Array.isArray(data)){
+      return res.status(400).json({ error:'Payload inválido.' });
+    }
+
+    const before = readChaveamentoState();
+    const payload = writeChaveamentoState(data);
+    audit(req, 'chaveamento.update', { entity:'chaveamento', before, after: payload });
+    return res.json({
+      ok: true,
+      savedAt: payload.savedAt
+    });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar estado do chaveamento.' });
   }
+});
+
+// =========================
+// Torneios (categorias, equipes, partidas e chaves)
+// =========================
+// O servidor monta a chave e avança os vencedores; o front só mostra e lança resultados.
+// Cada partida guarda de onde vêm as equipes (origemA/origemB): equipe fixa ({ equipeId }, null = bye),
+// vencedor/perdedor de outra partida ({ partidaId, resultado }) ou colocação num grupo ({ grupo, posicao }).
+// A cada mudança a categoria inteira é recalculada em ordem (resolveCategoria): byes avançam sozinhos e
+// quem vence segue para a próxima partida. Toda escrita na categoria incrementa `version`; quem manda
+// `version` (ou If-Match) recebe 409 se outro navegador gravou antes.
+const TORNEIO_FORMATOS = ['eliminatoria', 'dupla-eliminatoria', 'grupos'];
+const TORNEIO_MAX_EQUIPES = 128;
+const PARTIDA_DECIDIDA = ['encerrada', 'bye', 'dispensada'];
+
+function normalizeTorneio(input, existing){
+  const raw = input && typeof input === 'object' ? input : {};
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    nome: String(raw.nome || '').trim(),
+    data: String(raw.data || '').trim(),
+    dataFim: String(raw.dataFim || '').trim(),
+    local: String(raw.local || '').trim(),
+    observacoes: String(raw.observacoes || '').trim(),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
 }
 
-function computeAvailability(events, duration, date){
-  const baseSlots = generateSlots(date, duration);
-  const out = baseSlots.map(s => ({ ...s, availableCourts: 2 }));
+function validateTorneio(t){
+  if(!t.nome) return 'Campo nome é obrigatório.';
+  if(!isValidDate(t.data)) return 'data inválida (YYYY-MM-DD).';
+  if(t.dataFim && (!isValidDate(t.dataFim) || t.dataFim < t.data)) return 'dataFim inválida (YYYY-MM-DD, a partir de data).';
+  return null;
+}
+
+function normalizeCategoria(input, existing, torneioId){
+  const raw = input && typeof input === 'object' ? input : {};
+  const now = new Date().toISOString();
+  const pick = (key, fallback) => raw[key] !== undefined ? raw[key] : (existing ? existing[key] : fallback);
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    torneioId,
+    nome: String(pick('nome', '')).trim(),
+    modalidade: String(pick('modalidade', '')).trim(),
+    formato: String(pick('formato', 'eliminatoria')).trim().toLowerCase(),
+    // só no formato grupos
+    tamanhoGrupo: Number(pick('tamanhoGrupo', 4)),
+    classificados: Number(pick('classificados', 2)),
+    // só na dupla eliminatória: se quem veio da chave dos perdedores vencer a final, joga-se mais uma
+    finalDesempate: pick('finalDesempate', true) !== false,
+    status: existing?.status || 'inscricoes',
+    campeaoId: existing?.campeaoId || null,
+    chaveGeradaEm: existing?.chaveGeradaEm || null,
+    version: existing?.version || 1,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+}
 
-  for(const slot of out){
-    const slotStartMin = Number(slot.start.split(':')[0]) * 60 + Number(slot.start.split(':')[1]);
-    const slotEndMin = Number(slot.end.split(':')[0]) * 60 + Number(slot.end.split(':')[1]);
+function validateCategoria(c, existing){
+  if(!c.nome) return { status:400, error:'Campo nome é obrigatório.' };
+  if(!TORNEIO_FORMATOS.includes(c.formato)) return { status:400, error:`formato deve ser ${TORNEIO_FORMATOS.join(', ')}.` };
+  if(!Number.isInteger(c.tamanhoGrupo) || c.tamanhoGrupo < 3 || c.tamanhoGrupo > 8) return { status:400, error:'tamanhoGrupo deve ser de 3 a 8.' };
+  if(!Number.isInteger(c.classificados) || c.classificados < 1 || c.classificados >= c.tamanhoGrupo){
+    return { status:400, error:'classificados deve ser de 1 até tamanhoGrupo - 1.' };
+  }
+  const changed = ['formato', 'tamanhoGrupo', 'classificados', 'finalDesempate'].some(k => existing && existing[k] !== c[k]);
+  if(changed && existing.status !== 'inscricoes'){
+    return { status:409, error:'Chave já gerada: refaça a chave para mudar o formato.' };
+  }
+  return null;
+}
 
-    let busyKnown = new Set();
-    let unknownCount = 0;
+function normalizeEquipe(input, existing, categoria){
+  const raw = input && typeof input === 'object' ? input : {};
+  const now = new Date().toISOString();
+  const jogadores = (Array.isArray(raw.jogadores) ? raw.jogadores : (existing?.jogadores || []))
+    .map(j => ({ nome: String(j?.nome || '').trim(), telefone: normalizePhone(j?.telefone) }))
+    .filter(j => j.nome);
+  const seed = raw.seed !== undefined ? raw.seed : existing?.seed;
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    categoriaId: categoria.id,
+    torneioId: categoria.torneioId,
+    nome: String(raw.nome ?? existing?.nome ?? '').trim() || jogadores.map(j => j.nome).join(' / '),
+    jogadores,
+    seed: seed === null || seed === undefined || seed === '' ? null : Number(seed),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+}
 
-    for(const ev of events){
-      if(String(ev.start).length <= 10){
-        busyKnown = new Set([1,2]);
-        unknownCount = 0;
-        break;
-      }
+function validateEquipe(e, outras){
+  if(!e.nome) return 'Informe nome ou jogadores.';
+  if(e.seed !== null && !(Number.isInteger(e.seed) && e.seed >= 1)) return 'seed deve ser um inteiro a partir de 1.';
+  if(e.seed !== null && outras.some(o => o.id !== e.id && o.seed === e.seed)) return `Já existe equipe com seed ${e.seed}.`;
+  if(outras.some(o => o.id !== e.id && foldText(o.nome) === foldText(e.nome))) return `Já existe equipe "${e.nome}" nesta categoria.`;
+  return null;
+}
 
-      const evStartMin = isoToMinutes(ev.start);
-      const evEndMin = isoToMinutes(ev.end);
+function categoriaEquipes(categoriaId){
+  return equipesRepo.where('categoria_id = ?', categoriaId);
+}
 
-      if(overlaps(slotStartMin, slotEndMin, evStartMin, evEndMin)){
-        const cls = classifyEventToCourts(ev);
+function categoriaPartidas(categoriaId){
+  return partidasRepo.where('categoria_id = ?', categoriaId).sort((a, b) => a.ordem - b.ordem);
+}
 
-        if(cls.blockBoth){
-          busyKnown = new Set([1,2]);
-          unknownCount = 0;
-          break;
-        }
+// 409 quando o cliente mandou uma version que não é mais a atual
+function checkCategoriaVersion(req, categoria){
+  const sent = req.body?.version ?? req.get('if-match');
+  if(sent === undefined || sent === null || sent === '') return null;
+  if(Number(String(sent).replace(/"/g, '')) === categoria.version) return null;
+  return { status:409, error:'A categoria foi alterada por outra pessoa. Recarregue antes de salvar.', version: categoria.version };
+}
+
+function saveCategoria(categoria){
+  const next = { ...categoria, version: categoria.version + 1, updatedAt: new Date().toISOString() };
+  categoriasRepo.upsert(next);
+  return next;
+}
+
+// ====== Montagem das chaves ======
+// Ordem das posições na chave para que os cabeças se encontrem o mais tarde possível (1x8, 4x5, 2x7, 3x6...)
+function seedOrder(size){
+  let order = [1];
+  while(order.length < size){
+    const n = order.length * 2;
+    order = order.flatMap(s => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+// Cabeças de chave pelo seed; o resto na ordem de inscrição (ou sorteado)
+function orderedEquipes(equipes, sorteio){
+  const seeded = equipes.filter(e => e.seed !== null).sort((a, b) => a.seed - b.seed);
+  const rest = equipes.filter(e => e.seed === null).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  if(sorteio){
+    for(let i = rest.length - 1; i > 0; i--){
+      const j = crypto.randomInt(0, i + 1);
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+  }
+  return [...seeded, ...rest];
+}
+
+function createBracketBuilder(categoria){
+  const partidas = [];
+  return {
+    partidas,
+    add(fields){
+      const p = {
+        id: crypto.randomUUID(),
+        categoriaId: categoria.id,
+        torneioId: categoria.torneioId,
+        ordem: partidas.length + 1,
+        fase: 'eliminatoria',
+        grupo: null,
+        rodada: 1,
+        posicao: 1,
+        origemA: null,
+        origemB: null,
+        condicional: false,
+        equipeA: null,
+        equipeB: null,
+        resultado: null,
+        status: 'aguardando',
+        vencedorId: null,
+        perdedorId: null,
+        quadra: '',
+        horario: '',
+        ...fields
+      };
+      partidas.push(p);
+      return p;
+    }
+  };
+}
 
-        if(cls.kind === 'known'){
-          cls.courts.forEach(c => busyKnown.add(c));
-        }else if(cls.kind === 'unknownSingle'){
-          unknownCount += 1;
+const vencedorDe = p => ({ partidaId: p.id, resultado: 'vencedor' });
+const perdedorDe = p => ({ partidaId: p.id, resultado: 'perdedor' });
+
+// Eliminatória simples a partir das entradas já em ordem de seed; vagas que sobram viram bye para os melhores.
+// Retorna as rodadas (arrays de partidas)
+function buildEliminatoria(builder, entradas, fase){
+  const size = 2 ** Math.ceil(Math.log2(Math.max(2, entradas.length)));
+  const order = seedOrder(size);
+  const rodadas = [];
+
+  let rodada = [];
+  for(let i = 0; i < size / 2; i++){
+    rodada.push(builder.add({
+      fase,
+      rodada: 1,
+      posicao: i + 1,
+      origemA: entradas[order[2 * i] - 1] || { equipeId: null },
+      origemB: entradas[order[2 * i + 1] - 1] || { equipeId: null }
+    }));
+  }
+  rodadas.push(rodada);
+
+  while(rodada.length > 1){
+    const prev = rodada;
+    rodada = [];
+    for(let i = 0; i < prev.length / 2; i++){
+      rodada.push(builder.add({
+        fase,
+        rodada: rodadas.length + 1,
+        posicao: i + 1,
+        origemA: vencedorDe(prev[2 * i]),
+        origemB: vencedorDe(prev[2 * i + 1])
+      }));
+    }
+    rodadas.push(rodada);
+  }
+  return rodadas;
+}
+
+// Dupla eliminatória: chave dos vencedores + chave dos perdedores (quem perde cai para ela, em ordem
+// invertida para evitar revanche imediata) + final; opcionalmente a final de desempate
+function buildDuplaEliminatoria(builder, entradas, categoria){
+  const wb = buildEliminatoria(builder, entradas, 'vencedores');
+  const wbFinal = wb[wb.length - 1][0];
+
+  let campeaoPerdedores = perdedorDe(wbFinal);
+  if(wb.length > 1){
+    let rodadaNum = 1;
+    let lb = [];
+    for(let i = 0; i < wb[0].length / 2; i++){
+      lb.push(builder.add({
+        fase: 'perdedores', rodada: rodadaNum, posicao: i + 1,
+        origemA: perdedorDe(wb[0][2 * i]),
+        origemB: perdedorDe(wb[0][2 * i + 1])
+      }));
+    }
+
+    for(let j = 1; j < wb.length; j++){
+      rodadaNum++;
+      const caem = wb[j];
+      lb = lb.map((p, i) => builder.add({
+        fase: 'perdedores', rodada: rodadaNum, posicao: i + 1,
+        origemA: vencedorDe(p),
+        origemB: perdedorDe(caem[caem.length - 1 - i])
+      }));
+
+      if(j < wb.length - 1){
+        rodadaNum++;
+        const prev = lb;
+        lb = [];
+        for(let i = 0; i < prev.length / 2; i++){
+          lb.push(builder.add({
+            fase: 'perdedores', rodada: rodadaNum, posicao: i + 1,
+            origemA: vencedorDe(prev[2 * i]),
+            origemB: vencedorDe(prev[2 * i + 1])
+          }));
         }
       }
     }
+    campeaoPerdedores = vencedorDe(lb[0]);
+  }
 
-    const remainingAfterKnown = Math.max(0, 2 - busyKnown.size);
-    const unknownConsumes = Math.min(unknownCount, remainingAfterKnown);
-    slot.availableCourts = Math.max(0, remainingAfterKnown - unknownConsumes);
+  const final = builder.add({ fase: 'final', rodada: 1, origemA: vencedorDe(wbFinal), origemB: campeaoPerdedores });
+  if(categoria.finalDesempate){
+    builder.add({ fase: 'final', rodada: 2, origemA: vencedorDe(final), origemB: perdedorDe(final), condicional: true });
   }
+}
 
-  return out;
+// Todos contra todos (método do círculo); quem fica sem par na rodada folga
+function buildGrupo(builder, grupo, equipes){
+  const lista = equipes.length % 2 ? [...equipes, null] : [...equipes];
+  const n = lista.length;
+  let posicao = 0;
+  for(let r = 0; r < n - 1; r++){
+    for(let i = 0; i < n / 2; i++){
+      const a = lista[i];
+      const b = lista[n - 1 - i];
+      if(!a || !b) continue;
+      builder.add({ fase: 'grupos', grupo, rodada: r + 1, posicao: ++posicao, origemA: { equipeId: a.id }, origemB: { equipeId: b.id } });
+    }
+    lista.splice(1, 0, lista.pop());
+  }
 }
 
-function sortLancamentosDesc(items){
-  return [...items].sort((a, b) => {
-    const ad = String(a?.data || '');
-    const bd = String(b?.data || '');
-    if(ad !== bd) return bd.localeCompare(ad);
-    return String(b?.createdAt || '').localeCompare(String(a?.createdAt || ''));
+// Grupos em zigue-zague pelos seeds; os classificados entram no mata-mata como 1ºA, 1ºB, ..., 2ºA, 2ºB, ...
+// (a ordem de seed já cruza 1º de um grupo com 2º de outro)
+function buildGrupos(builder, equipes, categoria){
+  const numGrupos = Math.ceil(equipes.length / categoria.tamanhoGrupo);
+  const grupos = Array.from({ length: numGrupos }, () => []);
+  equipes.forEach((e, i) => {
+    const linha = Math.floor(i / numGrupos);
+    const col = i % numGrupos;
+    grupos[linha % 2 ? numGrupos - 1 - col : col].push(e);
   });
+
+  const nomes = grupos.map((_, i) => String.fromCharCode(65 + i));
+  grupos.forEach((g, i) => buildGrupo(builder, nomes[i], g));
+
+  const entradas = [];
+  for(let pos = 1; pos <= categoria.classificados; pos++){
+    grupos.forEach((g, i) => {
+      if(g.length >= pos) entradas.push({ grupo: nomes[i], posicao: pos });
+    });
+  }
+  if(entradas.length >= 2) buildEliminatoria(builder, entradas, 'eliminatoria');
 }
 
-function normalizeLancamento(input){
-  const raw = input && typeof input === 'object' ? input : {};
-  const tipo = String(raw.tipo || raw.grupo || '').trim();
-  const secao = String(raw.secao || raw.subcategoria || '').trim();
-  const observacoes = String(raw.observacoes || raw.obs || '').trim();
-  const pagamento = String(raw.pagamento || '').trim();
-  const destino = String(raw.destino || 'gerencial').trim() || 'gerencial';
-  const anexos = Array.isArray(raw.anexos) ? raw.anexos : [];
+// Retorna { partidas } ou { status, error }
+function buildChave(categoria, equipes, { sorteio = false } = {}){
+  if(equipes.length < 2) return { status:400, error:'A categoria precisa de pelo menos 2 equipes.' };
+  if(equipes.length > TORNEIO_MAX_EQUIPES) return { status:400, error:`Máximo de ${TORNEIO_MAX_EQUIPES} equipes por categoria.` };
+  if(categoria.formato === 'grupos' && equipes.length < 3) return { status:400, error:'Fase de grupos precisa de pelo menos 3 equipes.' };
+
+  const builder = createBracketBuilder(categoria);
+  const ordered = orderedEquipes(equipes, sorteio);
+  if(categoria.formato === 'grupos') buildGrupos(builder, ordered, categoria);
+  else if(categoria.formato === 'dupla-eliminatoria') buildDuplaEliminatoria(builder, ordered.map(e => ({ equipeId: e.id })), categoria);
+  else buildEliminatoria(builder, ordered.map(e => ({ equipeId: e.id })), 'eliminatoria');
+  return { partidas: builder.partidas };
+}
+
+// ====== Resultados e classificação ======
+function placarResumo(resultado){
+  const out = { setsA: 0, setsB: 0, pontosA: 0, pontosB: 0 };
+  for(const set of resultado?.placar || []){
+    out.pontosA += set.a;
+    out.pontosB += set.b;
+    if(set.a > set.b) out.setsA++;
+    else out.setsB++;
+  }
+  return out;
+}
+
+// Critérios: vitórias, saldo de sets, saldo de pontos, pontos feitos, confronto direto, seed
+function classificacaoGrupo(grupo, partidas, equipesById){
+  const doGrupo = partidas.filter(p => p.fase === 'grupos' && p.grupo === grupo);
+  const stats = new Map();
+  const linha = id => {
+    if(!stats.has(id)){
+      stats.set(id, { equipeId: id, nome: equipesById.get(id)?.nome || '', jogos: 0, vitorias: 0, derrotas: 0, setsPro: 0, setsContra: 0, pontosPro: 0, pontosContra: 0 });
+    }
+    return stats.get(id);
+  };
+
+  for(const p of doGrupo){
+    const a = linha(p.origemA.equipeId);
+    const b = linha(p.origemB.equipeId);
+    if(p.status !== 'encerrada') continue;
+    const r = placarResumo(p.resultado);
+    a.jogos++; b.jogos++;
+    a.setsPro += r.setsA; a.setsContra += r.setsB; a.pontosPro += r.pontosA; a.pontosContra += r.pontosB;
+    b.setsPro += r.setsB; b.setsContra += r.setsA; b.pontosPro += r.pontosB; b.pontosContra += r.pontosA;
+    if(p.vencedorId === a.equipeId){ a.vitorias++; b.derrotas++; }
+    else { b.vitorias++; a.derrotas++; }
+  }
+
+  const confronto = (x, y) => {
+    const p = doGrupo.find(m => m.status === 'encerrada'
+      && [m.equipeA, m.equipeB].includes(x.equipeId) && [m.equipeA, m.equipeB].includes(y.equipeId));
+    if(!p) return 0;
+    return p.vencedorId === x.equipeId ? -1 : 1;
+  };
+  const seedOf = id => equipesById.get(id)?.seed ?? Infinity;
+
+  const tabela = [...stats.values()].sort((x, y) =>
+    (y.vitorias - x.vitorias)
+    || ((y.setsPro - y.setsContra) - (x.setsPro - x.setsContra))
+    || ((y.pontosPro - y.pontosContra) - (x.pontosPro - x.pontosContra))
+    || (y.pontosPro - x.pontosPro)
+    || confronto(x, y)
+    || (seedOf(x.equipeId) - seedOf(y.equipeId))
+    || x.nome.localeCompare(y.nome)
+  );
 
   return {
-    id: raw.id || crypto.randomUUID(),
-    data: String(raw.data || '').trim(),
-    tipo,
-    grupo: tipo,
-    secao,
-    categoria: String(raw.categoria || '').trim(),
-    subcategoria: secao,
-    descricao: String(raw.descricao || '').trim(),
-    valor: Number(raw.valor || 0),
-    unidade: String(raw.unidade || '').trim(),
-    painel: String(raw.painel || '').trim(),
-    competencia: String(raw.competencia || '').trim(),
-    observacoes,
-    obs: observacoes,
-    pagamento,
-    anexos,
-    destino,
-    competenciaManual: Boolean(raw.competenciaManual),
-    createdAt: raw.createdAt || new Date().toISOString(),
-    updatedAt: new Date().toISOString()
+    grupo,
+    completo: doGrupo.every(p => PARTIDA_DECIDIDA.includes(p.status)),
+    tabela: tabela.map((t, i) => ({ posicao: i + 1, ...t }))
   };
 }
 
-// =========================
-// Health
-// =========================
-app.get('/health', async (req, res) => {
-  const missing = requireEnv();
-  if(missing.length){
-    return res.status(500).json({ ok:false, error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+// Recalcula equipes, status e vencedores de todas as partidas (em ordem: as origens vêm antes).
+// Devolve a categoria com status/campeão atualizados; as partidas são alteradas no lugar.
+function resolveCategoria(categoria, partidas, equipesById){
+  const byId = new Map(partidas.map(p => [p.id, p]));
+  const grupos = new Map();
+  const grupoInfo = g => {
+    if(!grupos.has(g)) grupos.set(g, classificacaoGrupo(g, partidas, equipesById));
+    return grupos.get(g);
+  };
+
+  const lado = origem => {
+    if(!origem) return { known: true, equipeId: null };
+    if('equipeId' in origem) return { known: true, equipeId: origem.equipeId };
+    if(origem.partidaId){
+      const src = byId.get(origem.partidaId);
+      if(!src || !PARTIDA_DECIDIDA.includes(src.status)) return { known: false, equipeId: null };
+      return { known: true, equipeId: (origem.resultado === 'vencedor' ? src.vencedorId : src.perdedorId) || null };
+    }
+    const info = grupoInfo(origem.grupo);
+    if(!info.completo) return { known: false, equipeId: null };
+    return { known: true, equipeId: info.tabela[origem.posicao - 1]?.equipeId || null };
+  };
+
+  for(const p of [...partidas].sort((a, b) => a.ordem - b.ordem)){
+    const a = lado(p.origemA);
+    const b = lado(p.origemB);
+    p.equipeA = a.equipeId;
+    p.equipeB = b.equipeId;
+    p.vencedorId = null;
+    p.perdedorId = null;
+
+    // desempate da dupla eliminatória: só acontece se o campeão da chave dos perdedores venceu a final
+    const finalAnterior = p.condicional ? byId.get(p.origemA.partidaId) : null;
+    if(finalAnterior && PARTIDA_DECIDIDA.includes(finalAnterior.status) && finalAnterior.vencedorId === finalAnterior.equipeA){
+      p.status = 'dispensada';
+      p.resultado = null;
+      continue;
+    }
+
+    if(!a.known || !b.known){
+      p.status = 'aguardando';
+      p.resultado = null;
+    }else if(a.equipeId && b.equipeId){
+      const valido = p.resultado && p.resultado.equipeA === a.equipeId && p.resultado.equipeB === b.equipeId;
+      if(!valido) p.resultado = null;
+      p.status = valido ? 'encerrada' : 'pendente';
+      if(valido){
+        p.vencedorId = p.resultado.vencedor === 'a' ? a.equipeId : b.equipeId;
+        p.perdedorId = p.resultado.vencedor === 'a' ? b.equipeId : a.equipeId;
+      }
+    }else{
+      p.status = 'bye';
+      p.resultado = null;
+      p.vencedorId = a.equipeId || b.equipeId || null;
+    }
+
+    if(p.fase === 'grupos') grupos.delete(p.grupo);
+  }
+
+  // campeão: vencedor da última partida jogada; grupo único sem mata-mata fica com o 1º colocado
+  const terminou = partidas.length > 0 && partidas.every(p => PARTIDA_DECIDIDA.includes(p.status));
+  const ultima = [...partidas].sort((a, b) => b.ordem - a.ordem).find(p => p.status !== 'dispensada');
+  const campeaoId = ultima?.fase === 'grupos' ? grupoInfo(ultima.grupo).tabela[0]?.equipeId : ultima?.vencedorId;
+  return {
+    ...categoria,
+    status: partidas.length ? (terminou ? 'encerrada' : 'andamento') : 'inscricoes',
+    campeaoId: terminou ? (campeaoId || null) : null
+  };
+}
+
+// Partidas que dependem (direta ou indiretamente) das partidas/grupos informados
+function partidasSeguintes(partidas, { partidaId = null, grupo = null }){
+  const out = new Set();
+  const fila = [];
+  for(const p of partidas){
+    const deps = [p.origemA, p.origemB];
+    if((partidaId && deps.some(o => o?.partidaId === partidaId)) || (grupo && deps.some(o => o?.grupo === grupo))){
+      out.add(p.id);
+      fila.push(p.id);
+    }
+  }
+  while(fila.length){
+    const id = fila.shift();
+    for(const p of partidas){
+      if(out.has(p.id)) continue;
+      if([p.origemA, p.origemB].some(o => o?.partidaId === id)){
+        out.add(p.id);
+        fila.push(p.id);
+      }
+    }
+  }
+  return partidas.filter(p => out.has(p.id));
+}
+
+// { placar: [{ a, b }, ...] } (um ou mais sets) ou { wo: 'a'|'b' } (lado vencedor). Retorna { resultado } ou { status, error }
+function parseResultado(body){
+  if(body.wo !== undefined && body.wo !== null && body.wo !== ''){
+    const wo = String(body.wo).toLowerCase();
+    if(!['a', 'b'].includes(wo)) return { status:400, error:'wo deve ser "a" ou "b" (lado vencedor).' };
+    return { resultado: { vencedor: wo, wo: true, placar: [] } };
+  }
+
+  const raw = Array.isArray(body.placar) ? body.placar : (body.placar && typeof body.placar === 'object' ? [body.placar] : []);
+  if(!raw.length || raw.length > 5) return { status:400, error:'placar deve ter de 1 a 5 sets: [{ a, b }].' };
+  const placar = raw.map(s => ({ a: Number(s?.a), b: Number(s?.b) }));
+  if(placar.some(s => !Number.isInteger(s.a) || !Number.isInteger(s.b) || s.a < 0 || s.b < 0 || s.a === s.b)){
+    return { status:400, error:'Cada set precisa de pontos inteiros e um vencedor.' };
+  }
+  const r = placarResumo({ placar });
+  if(r.setsA === r.setsB) return { status:400, error:'Placar sem vencedor.' };
+  return { resultado: { vencedor: r.setsA > r.setsB ? 'a' : 'b', wo: false, placar } };
+}
+
+// ====== Leitura ======
+function categoriaView(categoria, { publico = false } = {}){
+  const equipes = categoriaEquipes(categoria.id);
+  const equipesById = new Map(equipes.map(e => [e.id, e]));
+  const partidas = categoriaPartidas(categoria.id);
+  const nome = id => (id ? equipesById.get(id)?.nome || null : null);
+  const nomesGrupos = [...new Set(partidas.filter(p => p.fase === 'grupos').map(p => p.grupo))];
+
+  return {
+    ...categoria,
+    campeao: categoria.campeaoId ? { id: categoria.campeaoId, nome: nome(categoria.campeaoId) } : null,
+    equipes: equipes
+      .sort((a, b) => (a.seed ?? Infinity) - (b.seed ?? Infinity) || a.nome.localeCompare(b.nome))
+      .map(e => (publico ? { ...e, jogadores: e.jogadores.map(j => ({ nome: j.nome })) } : e)),
+    grupos: nomesGrupos.map(g => classificacaoGrupo(g, partidas, equipesById)),
+    partidas: partidas.map(p => ({ ...p, nomeA: nome(p.equipeA), nomeB: nome(p.equipeB) }))
+  };
+}
+
+function torneioView(torneio, opts){
+  const categorias = categoriasRepo.where('torneio_id = ?', torneio.id)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  return { ...torneio, categorias: categorias.map(c => categoriaView(c, opts)) };
+}
+
+function torneioResumo(torneio){
+  const categorias = categoriasRepo.where('torneio_id = ?', torneio.id);
+  return {
+    ...torneio,
+    categorias: categorias.map(c => ({
+      id: c.id,
+      nome: c.nome,
+      modalidade: c.modalidade,
+      formato: c.formato,
+      status: c.status,
+      equipes: categoriaEquipes(c.id).length
+    }))
+  };
+}
+
+// Carrega torneio + categoria da rota. Retorna { torneio, categoria } ou { status, error }
+function findCategoria(torneioId, categoriaId){
+  const torneio = torneiosRepo.get(String(torneioId || ''));
+  if(!torneio) return { status:404, error:'Torneio não encontrado.' };
+  const categoria = categoriasRepo.get(String(categoriaId || ''));
+  if(!categoria || categoria.torneioId !== torneio.id) return { status:404, error:'Categoria não encontrada.' };
+  return { torneio, categoria };
+}
+
+// ====== Rotas públicas (sem telefones) ======
+app.get('/api/torneios', (req, res) => {
+  try{
+    const torneios = torneiosRepo.all()
+      .sort((a, b) => String(b.data).localeCompare(String(a.data)))
+      .map(torneioResumo);
+    return res.json({ ok:true, torneios });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar torneios.' });
   }
-  return res.json({ ok:true, dataDir: DATA_DIR });
 });
 
-// =========================
-// Horários / Reservas
-// =========================
-app.get('/api/slots', async (req,res)=>{
+app.get('/api/torneios/:id', (req, res) => {
   try{
-    const missing = requireEnv();
-    if(missing.length){
-      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
-    }
+    const torneio = torneiosRepo.get(String(req.params.id || ''));
+    if(!torneio) return res.status(404).json({ error:'Torneio não encontrado.' });
+    return res.json({ ok:true, torneio: torneioView(torneio, { publico: true }) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar torneio.' });
+  }
+});
 
-    const date = String(req.query.date || '');
-    const duration = Number(req.query.duration || 60);
+// ====== Rotas do admin ======
+app.get('/api/admin/torneios', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const torneios = torneiosRepo.all()
+      .sort((a, b) => String(b.data).localeCompare(String(a.data)))
+      .map(torneioResumo);
+    return res.json({ ok:true, torneios });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar torneios.' });
+  }
+});
 
-    if(!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error:'date inválida (use YYYY-MM-DD)' });
-    if(![60,120].includes(duration)) return res.status(400).json({ error:'duration inválida (60 ou 120)' });
+app.get('/api/admin/torneios/:id', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const torneio = torneiosRepo.get(String(req.params.id || ''));
+    if(!torneio) return res.status(404).json({ error:'Torneio não encontrado.' });
+    return res.json({ ok:true, torneio: torneioView(torneio) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar torneio.' });
+  }
+});
 
-    await ensureAuth();
-    const events = await listEventsForDay(date);
-    const slots = computeAvailability(events, duration, date);
+// Cria (ou atualiza, com id) { nome, data, dataFim?, local?, observacoes? }
+app.post('/api/admin/torneios', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const before = req.body?.id ? torneiosRepo.get(String(req.body.id)) : null;
+    if(req.body?.id && !before) return res.status(404).json({ error:'Torneio não encontrado.' });
+
+    const item = normalizeTorneio(req.body, before);
+    const error = validateTorneio(item);
+    if(error) return res.status(400).json({ error });
+
+    torneiosRepo.upsert(item);
+    audit(req, before ? 'torneio.update' : 'torneio.create', { entity:'torneio', targetId: item.id, before, after: item });
+    return res.json({ ok:true, torneio: torneioResumo(item) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar torneio.' });
+  }
+});
+
+// Apaga o torneio com categorias, equipes e partidas
+app.delete('/api/admin/torneios/:id', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const torneio = torneiosRepo.get(String(req.params.id || ''));
+    if(!torneio) return res.status(404).json({ error:'Torneio não encontrado.' });
+
+    const before = torneioView(torneio);
+    db.transaction(() => {
+      for(const c of categoriasRepo.where('torneio_id = ?', torneio.id)){
+        for(const e of categoriaEquipes(c.id)) equipesRepo.remove(e.id);
+        for(const p of categoriaPartidas(c.id)) partidasRepo.remove(p.id);
+        categoriasRepo.remove(c.id);
+      }
+      torneiosRepo.remove(torneio.id);
+    })();
+    audit(req, 'torneio.delete', { entity:'torneio', targetId: torneio.id, before });
+    return res.json({ ok:true });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao excluir torneio.' });
+  }
+});
+
+// Cria (ou atualiza, com id) { nome, modalidade, formato, tamanhoGrupo?, classificados?, finalDesempate? }
+app.post('/api/admin/torneios/:id/categorias', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const torneio = torneiosRepo.get(String(req.params.id || ''));
+    if(!torneio) return res.status(404).json({ error:'Torneio não encontrado.' });
+
+    let before = null;
+    if(req.body?.id){
+      const found = findCategoria(torneio.id, req.body.id);
+      if(found.error) return res.status(found.status).json({ error: found.error });
+      before = found.categoria;
+      const stale = checkCategoriaVersion(req, before);
+      if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+    }
+
+    const item = normalizeCategoria(req.body, before, torneio.id);
+    const invalid = validateCategoria(item, before);
+    if(invalid) return res.status(invalid.status).json({ error: invalid.error });
+
+    const saved = before ? saveCategoria(item) : categoriasRepo.upsert(item);
+    audit(req, before ? 'categoria.update' : 'categoria.create', { entity:'categoria', targetId: saved.id, before, after: saved });
+    return res.json({ ok:true, categoria: categoriaView(saved) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar categoria.' });
+  }
+});
 
-    res.json({ date, duration, slots });
+app.delete('/api/admin/torneios/:id/categorias/:categoriaId', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const found = findCategoria(req.params.id, req.params.categoriaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+
+    const before = categoriaView(found.categoria);
+    db.transaction(() => {
+      for(const e of categoriaEquipes(found.categoria.id)) equipesRepo.remove(e.id);
+      for(const p of categoriaPartidas(found.categoria.id)) partidasRepo.remove(p.id);
+      categoriasRepo.remove(found.categoria.id);
+    })();
+    audit(req, 'categoria.delete', { entity:'categoria', targetId: found.categoria.id, before });
+    return res.json({ ok:true });
   }catch(e){
     console.error(e);
-    res.status(500).json({ error:'Erro ao buscar horários.' });
+    return res.status(500).json({ error:'Erro ao excluir categoria.' });
   }
 });
 
-app.post('/api/book', async (req,res)=>{
+// Inscreve (ou atualiza, com id) { nome?, jogadores: [{ nome, telefone? }], seed? }; aceita um array.
+// Depois da chave gerada só dá para mudar nome e jogadores
+app.post('/api/admin/torneios/:id/categorias/:categoriaId/equipes', adminAuth, adminCan('torneios'), (req, res) => {
   try{
-    const missing = requireEnv();
-    if(missing.length){
-      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    const found = findCategoria(req.params.id, req.params.categoriaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+    const { categoria } = found;
+    const stale = checkCategoriaVersion(req, categoria);
+    if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+
+    const inputs = Array.isArray(req.body) ? req.body : (Array.isArray(req.body?.equipes) ? req.body.equipes : [req.body]);
+    const equipes = categoriaEquipes(categoria.id);
+    const changes = [];
+    for(const [i, input] of inputs.entries()){
+      const before = input?.id ? equipes.find(e => e.id === String(input.id)) : null;
+      if(input?.id && !before) return res.status(404).json({ error:`equipes[${i}]: equipe não encontrada.` });
+
+      const item = normalizeEquipe(input, before, categoria);
+      if(categoria.status !== 'inscricoes' && (!before || before.seed !== item.seed)){
+        return res.status(409).json({ error:'Chave já gerada: refaça a chave para incluir equipes ou mudar seeds.' });
+      }
+      const error = validateEquipe(item, [...equipes.filter(e => !changes.some(c => c.item.id === e.id)), ...changes.map(c => c.item)]);
+      if(error) return res.status(400).json({ error: inputs.length > 1 ? `equipes[${i}]: ${error}` : error });
+      changes.push({ before, item });
+    }
+    if(equipes.length + changes.filter(c => !c.before).length > TORNEIO_MAX_EQUIPES){
+      return res.status(400).json({ error:`Máximo de ${TORNEIO_MAX_EQUIPES} equipes por categoria.` });
     }
 
-    const { date, start, duration, name, phone } = req.body || {};
-
-    if(!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return res.status(400).json({ error:'date inválida (YYYY-MM-DD)' });
-    if(!/^\d{2}:\d{2}$/.test(String(start || ''))) return res.status(400).json({ error:'start inválido (HH:MM)' });
-
-    const dur = Number(duration || 60);
-    if(![60,120].includes(dur)) return res.status(400).json({ error:'duration inválida (60 ou 120)' });
-    if(!String(name || '').trim() || !String(phone || '').trim()) return res.status(400).json({ error:'name e phone são obrigatórios' });
+    const saved = db.transaction(() => {
+      for(const c of changes) equipesRepo.upsert(c.item);
+      return saveCategoria(categoria);
+    })();
+    for(const c of changes){
+      audit(req, c.before ? 'equipe.update' : 'equipe.create', { entity:'equipe', targetId: c.item.id, before: c.before, after: c.item });
+    }
+    return res.json({ ok:true, equipes: changes.map(c => c.item), categoria: categoriaView(saved) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar equipe.' });
+  }
+});
 
-    const startMin = Number(start.split(':')[0]) * 60 + Number(start.split(':')[1]);
-    const endMin = startMin + dur;
-    const endH = Math.floor(endMin / 60);
-    const endM = endMin % 60;
-    const end = `${pad(endH)}:${pad(endM)}`;
+app.delete('/api/admin/torneios/:id/categorias/:categoriaId/equipes/:equipeId', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const found = findCategoria(req.params.id, req.params.categoriaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+    const { categoria } = found;
+
+    const equipe = equipesRepo.get(String(req.params.equipeId || ''));
+    if(!equipe || equipe.categoriaId !== categoria.id) return res.status(404).json({ error:'Equipe não encontrada.' });
+    if(categoria.status !== 'inscricoes') return res.status(409).json({ error:'Chave já gerada: refaça a chave para tirar equipes.' });
+    const stale = checkCategoriaVersion(req, categoria);
+    if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+
+    const saved = db.transaction(() => {
+      equipesRepo.remove(equipe.id);
+      return saveCategoria(categoria);
+    })();
+    audit(req, 'equipe.delete', { entity:'equipe', targetId: equipe.id, before: equipe });
+    return res.json({ ok:true, categoria: categoriaView(saved) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao excluir equipe.' });
+  }
+});
 
-    const allowedSlots = generateSlots(String(date), dur);
-    const isValidSlot = allowedSlots.some(s => s.start === String(start) && s.end === String(end));
-    if(!isValidSlot){
-      return res.status(400).json({ error:'Horário inválido para esse dia.' });
+// Gera a chave { sorteio?, refazer? }. Com chave já gerada exige refazer: true (descarta os resultados)
+app.post('/api/admin/torneios/:id/categorias/:categoriaId/chave', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const found = findCategoria(req.params.id, req.params.categoriaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+    const { categoria } = found;
+    const stale = checkCategoriaVersion(req, categoria);
+    if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+
+    const anteriores = categoriaPartidas(categoria.id);
+    if(anteriores.length && req.body?.refazer !== true){
+      return res.status(409).json({ error:'A chave já foi gerada. Envie refazer: true para descartar a atual e os resultados.' });
     }
 
-    await ensureAuth();
-    const events = await listEventsForDay(String(date));
-
-    const slotEvents = events.filter(ev => {
-      if(String(ev.start).length <= 10) return true;
-      const evStartMin = isoToMinutes(ev.start);
-      const evEndMin = isoToMinutes(ev.end);
-      return overlaps(startMin, endMin, evStartMin, evEndMin);
+    const equipes = categoriaEquipes(categoria.id);
+    const built = buildChave(categoria, equipes, { sorteio: Boolean(req.body?.sorteio) });
+    if(built.error) return res.status(built.status).json({ error: built.error });
+
+    const resolved = resolveCategoria(categoria, built.partidas, new Map(equipes.map(e => [e.id, e])));
+    const saved = db.transaction(() => {
+      for(const p of anteriores) partidasRepo.remove(p.id);
+      for(const p of built.partidas) partidasRepo.upsert(p);
+      return saveCategoria({ ...resolved, chaveGeradaEm: new Date().toISOString() });
+    })();
+
+    audit(req, 'chave.generate', {
+      entity:'categoria',
+      targetId: categoria.id,
+      before: anteriores.length ? { partidas: anteriores.length, comResultado: anteriores.filter(p => p.resultado).length } : null,
+      after: { formato: saved.formato, partidas: built.partidas.length, sorteio: Boolean(req.body?.sorteio) }
     });
+    return res.json({ ok:true, categoria: categoriaView(saved) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao gerar chave.' });
+  }
+});
 
-    if(slotEvents.some(ev => String(ev.start).length <= 10)){
-      return res.status(409).json({ error:'Esse horário está indisponível.' });
-    }
+// Carrega a partida da rota com a categoria. Retorna { partida, categoria } ou { status, error }
+function findPartida(torneioId, partidaId){
+  const partida = partidasRepo.get(String(partidaId || ''));
+  if(!partida || partida.torneioId !== String(torneioId || '')) return { status:404, error:'Partida não encontrada.' };
+  const categoria = categoriasRepo.get(partida.categoriaId);
+  if(!categoria) return { status:404, error:'Categoria não encontrada.' };
+  return { partida, categoria };
+}
 
-    const busyKnown = new Set();
-    let unknownCount = 0;
+// Grava (ou limpa, com resultado null) o resultado de uma partida e recalcula a categoria
+function applyResultado(categoria, partidaId, resultado){
+  const equipes = categoriaEquipes(categoria.id);
+  const partidas = categoriaPartidas(categoria.id);
+  const partida = partidas.find(p => p.id === partidaId);
+  partida.resultado = resultado ? { ...resultado, equipeA: partida.equipeA, equipeB: partida.equipeB, registradoEm: new Date().toISOString() } : null;
+
+  const resolved = resolveCategoria(categoria, partidas, new Map(equipes.map(e => [e.id, e])));
+  return db.transaction(() => {
+    for(const p of partidas) partidasRepo.upsert(p);
+    return saveCategoria(resolved);
+  })();
+}
 
-    for(const ev of slotEvents){
-      const cls = classifyEventToCourts(ev);
-      if(cls.blockBoth){
-        return res.status(409).json({ error:'Esse horário está indisponível.' });
-      }
-      if(cls.kind === 'known'){
-        cls.courts.forEach(c => busyKnown.add(c));
-      }else if(cls.kind === 'unknownSingle'){
-        unknownCount += 1;
-      }
+// Corrigir/desfazer só enquanto nada que depende dela tem resultado
+// (no mata-mata basta o vencedor não mudar; nos grupos qualquer mudança mexe na classificação)
+function resultadoBloqueado(partida, partidas, novoVencedor){
+  const seguintes = partida.fase === 'grupos'
+    ? partidasSeguintes(partidas, { grupo: partida.grupo })
+    : (partida.resultado?.vencedor === novoVencedor ? [] : partidasSeguintes(partidas, { partidaId: partida.id }));
+  const jogadas = seguintes.filter(p => p.resultado);
+  if(!jogadas.length) return null;
+  return { status:409, error:`Já há resultado em partidas seguintes (${jogadas.length}). Desfaça-as antes.` };
+}
+
+// { placar: [{ a, b }] } ou { wo: 'a'|'b' }, mais version opcional. O vencedor segue para a próxima partida
+app.post('/api/admin/torneios/:id/partidas/:partidaId/resultado', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const found = findPartida(req.params.id, req.params.partidaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+    const { partida, categoria } = found;
+    const stale = checkCategoriaVersion(req, categoria);
+    if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+
+    if(!['pendente', 'encerrada'].includes(partida.status)){
+      const msg = partida.status === 'aguardando' ? 'Partida ainda sem as duas equipes.' : 'Partida sem jogo (bye ou dispensada).';
+      return res.status(409).json({ error: msg });
     }
 
-    const totalBusy = Math.min(2, busyKnown.size + unknownCount);
-    if(totalBusy >= 2){
-      return res.status(409).json({ error:'Esse horário está lotado (2 quadras ocupadas).' });
+    const parsed = parseResultado(req.body || {});
+    if(parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+    if(partida.status === 'encerrada'){
+      const blocked = resultadoBloqueado(partida, categoriaPartidas(categoria.id), parsed.resultado.vencedor);
+      if(blocked) return res.status(blocked.status).json({ error: blocked.error });
     }
 
-    const freeCourts = [1,2].filter(c => !busyKnown.has(c));
-    const chosen = freeCourts[0] ?? 1;
+    const saved = applyResultado(categoria, partida.id, parsed.resultado);
+    const after = partidasRepo.get(partida.id);
+    audit(req, 'partida.result', { entity:'partida', targetId: partida.id, before: partida.resultado, after: after.resultado });
+    return res.json({ ok:true, partida: after, categoria: categoriaView(saved) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao gravar resultado.' });
+  }
+});
 
-    const summary = `Locação Avulsa — Quadra ${chosen}`;
-    const warning = (unknownCount > 0 && busyKnown.size === 0)
-      ? '\nObs: havia aula/evento sem quadra definida nesse horário. Confirme com a equipe para evitar conflito.\n'
-      : '';
-    const description = `Cliente: ${name}\nWhatsApp: ${phone}\nDuração: ${dur === 120 ? '2h' : '1h'}\nOrigem: site\n${warning}`;
+app.delete('/api/admin/torneios/:id/partidas/:partidaId/resultado', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const found = findPartida(req.params.id, req.params.partidaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+    const { partida, categoria } = found;
+    if(!partida.resultado) return res.status(409).json({ error:'Partida sem resultado.' });
+    const stale = checkCategoriaVersion(req, categoria);
+    if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+
+    const blocked = resultadoBloqueado(partida, categoriaPartidas(categoria.id), null);
+    if(blocked) return res.status(blocked.status).json({ error: blocked.error });
+
+    const saved = applyResultado(categoria, partida.id, null);
+    audit(req, 'partida.undo', { entity:'partida', targetId: partida.id, before: partida.resultado });
+    return res.json({ ok:true, partida: partidasRepo.get(partida.id), categoria: categoriaView(saved) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao desfazer resultado.' });
+  }
+});
 
-    const event = {
-      summary,
-      description,
-      start: { dateTime: toDateTimeISO(String(date), String(start)), timeZone: TZ },
-      end: { dateTime: toDateTimeISO(String(date), end), timeZone: TZ }
+// Agenda da partida { quadra?, horario? } (texto livre; não mexe na agenda das quadras)
+app.patch('/api/admin/torneios/:id/partidas/:partidaId', adminAuth, adminCan('torneios'), (req, res) => {
+  try{
+    const found = findPartida(req.params.id, req.params.partidaId);
+    if(found.error) return res.status(found.status).json({ error: found.error });
+    const { partida, categoria } = found;
+    const stale = checkCategoriaVersion(req, categoria);
+    if(stale) return res.status(stale.status).json({ error: stale.error, version: stale.version });
+
+    const body = req.body || {};
+    const after = {
+      ...partida,
+      quadra: body.quadra !== undefined ? String(body.quadra || '').trim() : partida.quadra,
+      horario: body.horario !== undefined ? String(body.horario || '').trim() : partida.horario
     };
-
-    const created = await calendar.events.insert({
-      calendarId: CALENDAR_ID,
-      requestBody: event
-    });
-
-    return res.json({
-      ok: true,
-      court: `Quadra ${chosen}`,
-      start,
-      end,
-      eventId: created.data.id
-    });
+    db.transaction(() => {
+      partidasRepo.upsert(after);
+      saveCategoria(categoria);
+    })();
+    audit(req, 'partida.update', { entity:'partida', targetId: partida.id, before: { quadra: partida.quadra, horario: partida.horario }, after: { quadra: after.quadra, horario: after.horario } });
+    return res.json({ ok:true, partida: after });
   }catch(e){
     console.error(e);
-    res.status(500).json({ error:'Erro ao criar reserva.' });
+    return res.status(500).json({ error:'Erro ao atualizar partida.' });
   }
 });
 
 // =========================
-// Cancelamento por telefone
+// DRE / Lançamentos do admin
 // =========================
-app.post('/api/cancel_lookup', async (req,res)=>{
+app.get('/api/dre/lancamentos', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const missing = requireEnv();
-    if(missing.length){
-      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
-    }
-
-    const { phone } = req.body || {};
-    const phoneDigits = normalizePhone(phone);
-    if(!phoneDigits) return res.status(400).json({ error:'phone é obrigatório' });
-
-    const reservations = await listUpcomingReservationsByPhone(phoneDigits);
-
-    if(!reservations.length){
-      return res.json({ ok:true, reservations: [] });
-    }
-
-    const formatted = reservations.map(r => {
-      const date = String(r.start).slice(0,10);
-      const hhmm = String(r.start).slice(11,16);
-      const ehhmm = String(r.end).slice(11,16);
-      const courtMatch = String(r.summary || '').match(/Quadra\s*(\d)/i);
-
-      return {
-        eventId: r.eventId,
-        date,
-        start: hhmm,
-        end: ehhmm,
-        court: courtMatch ? `Quadra ${courtMatch[1]}` : '',
-        summary: r.summary || ''
-      };
-    });
-
-    return res.json({ ok:true, reservations: formatted });
+    const items = sortLancamentosDesc(readDreLancamentos());
+    return res.json({ ok: true, lancamentos: items });
   }catch(e){
     console.error(e);
-    res.status(500).json({ error:'Erro ao buscar reservas.' });
+    return res.status(500).json({ error:'Erro ao carregar lançamentos.' });
   }
 });
 
-app.post('/api/cancel_by_phone', async (req,res)=>{
+// DRE montado no servidor: periodos=2026-09,2026-10 | 2025,2026 ou from/to (YYYY-MM) + por=mes|ano; destino=gerencial,...
+app.get('/api/dre/relatorio', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const missing = requireEnv();
-    if(missing.length){
-      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
-    }
+    const parsed = parseDrePeriodos(req.query);
+    if(parsed.error) return res.status(parsed.status).json({ error: parsed.error });
 
-    const { phone, eventId } = req.body || {};
-    const phoneDigits = normalizePhone(phone);
-    if(!phoneDigits) return res.status(400).json({ error:'phone é obrigatório' });
-
-    if(!eventId){
-      const list = await listUpcomingReservationsByPhone(phoneDigits);
-      if(!list.length) return res.status(404).json({ error:'Nenhuma reserva encontrada para esse telefone.' });
+    const destinos = String(req.query.destino || '').split(',').map(foldText).filter(Boolean);
+    const items = readDreLancamentos().filter(l => !destinos.length || destinos.includes(foldText(l.destino || 'gerencial')));
 
-      const pick = list[0];
-      await ensureAuth();
-      await calendar.events.delete({ calendarId: CALENDAR_ID, eventId: pick.eventId });
-      return res.json({ ok:true, canceledEventId: pick.eventId });
-    }
+    return res.json({ ok:true, destino: destinos.length ? destinos : null, ...buildDreReport(items, parsed.periodos) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao montar relatório do DRE.' });
+  }
+});
 
-    await ensureAuth();
-    const ev = await calendar.events.get({ calendarId: CALENDAR_ID, eventId });
-    const ph = extractPhoneFromEvent({
-      summary: ev.data.summary || '',
-      description: ev.data.description || '',
-      location: ev.data.location || ''
-    });
+// Mesmos parâmetros do relatório + formato=csv|xlsx (o XLSX traz também a aba de lançamentos do período)
+app.get('/api/dre/relatorio/export', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const formato = String(req.query.formato || 'xlsx');
+    if(!['csv', 'xlsx'].includes(formato)) return res.status(400).json({ error:'formato deve ser csv ou xlsx.' });
+    const parsed = parseDrePeriodos(req.query);
+    if(parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+
+    const destinos = String(req.query.destino || '').split(',').map(foldText).filter(Boolean);
+    const items = readDreLancamentos().filter(l => !destinos.length || destinos.includes(foldText(l.destino || 'gerencial')));
+    const report = buildDreReport(items, parsed.periodos);
+    const noPeriodo = sortLancamentosDesc(items.filter(l => parsed.periodos.some(p => lancamentoCompetencia(l).startsWith(p))));
+
+    const span = parsed.periodos.length > 1 ? `${parsed.periodos[0]}_${parsed.periodos[parsed.periodos.length - 1]}` : parsed.periodos[0];
+    return sendSpreadsheet(res, formato, `dre-${span}`, [
+      { name: 'DRE', rows: relatorioSheetRows(report) },
+      { name: 'Lançamentos', rows: lancamentosSheetRows(noPeriodo) }
+    ]);
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao exportar relatório do DRE.' });
+  }
+});
 
-    if(ph !== phoneDigits){
-      return res.status(403).json({ error:'Este telefone não confere com a reserva.' });
+// Filtros: from/to (YYYY-MM-DD), competencia (YYYY-MM), destino, grupo, unidade, painel; formato=csv|xlsx
+app.get('/api/dre/lancamentos/export', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const formato = String(req.query.formato || 'csv');
+    if(!['csv', 'xlsx'].includes(formato)) return res.status(400).json({ error:'formato deve ser csv ou xlsx.' });
+    for(const key of ['from', 'to']){
+      if(req.query[key] && !isValidDate(String(req.query[key]))) return res.status(400).json({ error:`${key} inválida (YYYY-MM-DD)` });
     }
 
-    await calendar.events.delete({ calendarId: CALENDAR_ID, eventId });
-    return res.json({ ok:true, canceledEventId: eventId });
+    const items = sortLancamentosDesc(filterLancamentos(readDreLancamentos(), req.query));
+    return sendSpreadsheet(res, formato, `lancamentos-${todayISO()}`, [{ name: 'Lançamentos', rows: lancamentosSheetRows(items) }]);
   }catch(e){
     console.error(e);
-    res.status(500).json({ error:'Erro ao cancelar reserva.' });
+    return res.status(500).json({ error:'Erro ao exportar lançamentos.' });
   }
 });
 
-// =========================
-// Reset de senha (sem login)
-// Confirma por e-mail + WhatsApp cadastrados
-// =========================
-app.post('/api/auth/reset_password', (req, res) => {
+// Orçamento: ano=YYYY ou competencia=YYYY-MM
+app.get('/api/dre/orcamentos', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const { email, phone, newPassword } = req.body || {};
-
-    const cleanEmail = String(email || '').trim().toLowerCase();
-    const cleanPhone = normalizePhone(phone);
-    const cleanPass = String(newPassword || '');
-
-    if(!cleanEmail || !cleanPhone || !cleanPass){
-      return res.status(400).json({ error:'Preencha e-mail, WhatsApp e nova senha.' });
-    }
+    const ano = String(req.query.ano || '');
+    const competencia = String(req.query.competencia || '');
+    if(ano && !/^\d{4}$/.test(ano)) return res.status(400).json({ error:'ano inválido (YYYY)' });
+    if(competencia && !isValidMonth(competencia)) return res.status(400).json({ error:'competencia inválida (YYYY-MM)' });
+
+    const orcamentos = orcamentosRepo.all()
+      .filter(o => (!ano || o.competencia.startsWith(ano)) && (!competencia || o.competencia === competencia))
+      .sort((a, b) => `${a.competencia}|${a.grupo}|${a.categoria}`.localeCompare(`${b.competencia}|${b.grupo}|${b.categoria}`, 'pt-BR'));
+    return res.json({ ok:true, orcamentos });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar orçamento.' });
+  }
+});
 
-    if(cleanPass.length < 4){
-      return res.status(400).json({ error:'A nova senha deve ter pelo menos 4 caracteres.' });
+// Cria/atualiza uma meta (com id atualiza) ou várias de uma vez (array): tudo ou nada
+app.post('/api/dre/orcamentos', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const payload = Array.isArray(req.body) ? req.body : [req.body];
+    if(!payload.length) return res.status(400).json({ error:'Nenhuma meta enviada.' });
+
+    const existing = orcamentosRepo.all();
+    const saved = [];
+    for(const raw of payload){
+      const item = normalizeOrcamento(raw);
+      const before = existing.find(o => o.id === item.id) || null;
+      if(before) item.createdAt = before.createdAt;
+      const error = validateOrcamento(item, [...existing, ...saved.map(s => s.item)]);
+      if(error) return res.status(error.startsWith('Já existe') ? 409 : 400).json({ error });
+      saved.push({ item, before });
     }
 
-    const users = readUsers();
-    const idx = users.findIndex(u =>
-      String(u.email || '').toLowerCase() === cleanEmail &&
-      normalizePhone(u.phone) === cleanPhone
-    );
-
-    if(idx === -1){
-      return res.status(404).json({ error:'Conta não encontrada com esse e-mail + WhatsApp.' });
+    db.transaction(() => {
+      for(const { item } of saved) orcamentosRepo.upsert(item);
+    })();
+    for(const { item, before } of saved){
+      audit(req, before ? 'orcamento.update' : 'orcamento.create', { entity:'orcamento', targetId: item.id, before, after: item });
     }
 
-    users[idx].passwordHash = hashPassword(cleanPass);
-    users[idx].updatedAt = new Date().toISOString();
-    writeUsers(users);
-
-    return res.json({ ok:true, message:'Senha redefinida com sucesso.' });
+    const orcamentos = saved.map(s => s.item);
+    return res.json(Array.isArray(req.body) ? { ok:true, orcamentos } : { ok:true, orcamento: orcamentos[0] });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro ao redefinir senha.' });
+    return res.status(500).json({ error:'Erro ao salvar orçamento.' });
   }
 });
 
-// =========================
-// Auth usuários
-// =========================
-app.post('/api/auth/register', (req,res)=>{
+// ano=YYYY (padrão: o atual), ate=YYYY-MM (fim do acumulado; padrão: mês atual ou dezembro de ano passado), destino=
+app.get('/api/dre/orcamentos/relatorio', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const { name, email, phone, password } = req.body || {};
-    const cleanName = String(name || '').trim();
-    const cleanEmail = String(email || '').trim().toLowerCase();
-    const cleanPhone = normalizePhone(phone);
-    const cleanPass = String(password || '');
-
-    if(!cleanName || !cleanEmail || !cleanPhone || !cleanPass){
-      return res.status(400).json({ error:'Preencha nome, e-mail, WhatsApp e senha.' });
-    }
-    if(cleanPass.length < 4){
-      return res.status(400).json({ error:'A senha deve ter pelo menos 4 caracteres.' });
-    }
-
-    const users = readUsers();
+    const current = todayISO().slice(0, 7);
+    const ano = String(req.query.ano || current.slice(0, 4));
+    if(!/^\d{4}$/.test(ano)) return res.status(400).json({ error:'ano inválido (YYYY)' });
+    const ate = String(req.query.ate || (ano === current.slice(0, 4) ? current : `${ano}-12`));
+    if(!isValidMonth(ate) || !ate.startsWith(ano)) return res.status(400).json({ error:'ate inválido (YYYY-MM do mesmo ano)' });
 
-    if(users.find(u => String(u.email).toLowerCase() === cleanEmail)){
-      return res.status(409).json({ error:'Este e-mail já está cadastrado.' });
-    }
-    if(users.find(u => normalizePhone(u.phone) === cleanPhone)){
-      return res.status(409).json({ error:'Este WhatsApp já está cadastrado.' });
-    }
+    const destinos = String(req.query.destino || '').split(',').map(foldText).filter(Boolean);
+    const lancamentos = readDreLancamentos().filter(l => !destinos.length || destinos.includes(foldText(l.destino || 'gerencial')));
+    const orcamentos = orcamentosRepo.where('competencia LIKE ?', `${ano}-%`);
 
-    const user = {
-      id: crypto.randomUUID(),
-      name: cleanName,
-      email: cleanEmail,
-      phone: cleanPhone,
-      passwordHash: hashPassword(cleanPass),
-      createdAt: new Date().toISOString()
-    };
+    return res.json({ ok:true, ...buildOrcamentoReport(orcamentos, lancamentos, ano, ate) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao montar orçado x realizado.' });
+  }
+});
 
-    users.push(user);
-    writeUsers(users);
+app.delete('/api/dre/orcamentos/:id', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const id = String(req.params.id || '').trim();
+    const removed = orcamentosRepo.get(id);
+    if(!removed) return res.status(404).json({ error:'Meta não encontrada.' });
 
-    return res.json({ ok:true, user: makePublicUser(user) });
+    orcamentosRepo.remove(id);
+    audit(req, 'orcamento.delete', { entity:'orcamento', targetId: id, before: removed });
+    return res.json({ ok:true });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro ao criar conta.' });
+    return res.status(500).json({ error:'Erro ao excluir meta.' });
   }
 });
 
-app.post('/api/auth/login', (req,res)=>{
+// Lançamentos recorrentes (modelos)
+app.get('/api/dre/recorrencias', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const { login, email, phone, password } = req.body || {};
-    const rawLogin = String(login || email || phone || '').trim();
-    const byEmail = rawLogin.includes('@');
-
-    const cleanEmail = String(email || (byEmail ? rawLogin : '') || '').trim().toLowerCase();
-    const cleanPhone = normalizePhone(phone || (!byEmail ? rawLogin : ''));
+    const recorrencias = recorrenciasRepo.all().sort((a, b) => a.descricao.localeCompare(b.descricao, 'pt-BR'));
+    return res.json({ ok:true, recorrencias });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao carregar recorrências.' });
+  }
+});
 
-    const users = readUsers();
-    const user = users.find(u =>
-      (cleanEmail && String(u.email).toLowerCase() === cleanEmail) ||
-      (cleanPhone && normalizePhone(u.phone) === cleanPhone)
-    );
+// Cria ou atualiza (com id). Início no passado gera os meses atrasados na hora
+app.post('/api/dre/recorrencias', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const before = req.body?.id ? recorrenciasRepo.get(String(req.body.id)) : null;
+    const item = normalizeRecorrencia(req.body, before);
+    const error = validateRecorrencia(item);
+    if(error) return res.status(400).json({ error });
 
-    if(!user) return res.status(404).json({ error:'Conta não encontrada.' });
-    if(user.passwordHash !== hashPassword(password || '')){
-      return res.status(401).json({ error:'Senha inválida.' });
-    }
+    recorrenciasRepo.upsert(item);
+    audit(req, before ? 'recorrencia.update' : 'recorrencia.create', { entity:'recorrencia', targetId: item.id, before, after: item });
+    const gerados = generateRecurringLancamentos().filter(l => l.recorrenciaId === item.id);
 
-    return res.json({ ok:true, user: makePublicUser(user) });
+    return res.json({ ok:true, recorrencia: recorrenciasRepo.get(item.id), gerados });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro no login.' });
+    return res.status(500).json({ error:'Erro ao salvar recorrência.' });
   }
 });
 
-app.get('/api/my_reservations', async (req,res)=>{
+// Próximos lançamentos que serão gerados: ate=YYYY-MM (padrão: daqui a 3 meses), id= para um modelo só
+app.get('/api/dre/recorrencias/previa', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const phoneDigits = normalizePhone(req.query.phone);
-    if(!phoneDigits) return res.status(400).json({ error:'phone é obrigatório' });
+    const today = todayISO();
+    const ate = String(req.query.ate || addMonths(today.slice(0, 7), 3));
+    if(!isValidMonth(ate)) return res.status(400).json({ error:'ate inválido (YYYY-MM)' });
+    if(monthsBetween(today.slice(0, 7), ate) > 36) return res.status(400).json({ error:'Prévia de no máximo 36 meses.' });
+
+    const id = String(req.query.id || '');
+    const itens = recorrenciasRepo.all()
+      .filter(t => t.ativo && (!id || t.id === id))
+      .flatMap(t => recorrenciaOcorrencias(t, ate).map(o => ({
+        recorrenciaId: t.id,
+        vencido: o.data <= today,
+        lancamento: recorrenciaLancamento(t, o)
+      })))
+      .sort((a, b) => a.lancamento.data.localeCompare(b.lancamento.data));
+
+    const total = roundMoney(itens.reduce((n, i) => n + i.lancamento.valor, 0));
+    return res.json({ ok:true, ate, total, itens });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao montar prévia das recorrências.' });
+  }
+});
 
-    const reservations = await listUpcomingReservationsByPhone(phoneDigits);
+// Roda a geração agora (a API já roda sozinha de hora em hora)
+app.post('/api/dre/recorrencias/gerar', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const gerados = generateRecurringLancamentos();
+    return res.json({ ok:true, gerados });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao gerar lançamentos recorrentes.' });
+  }
+});
 
-    const formatted = reservations.map(r => {
-      const date = String(r.start).slice(0,10);
-      const hhmm = String(r.start).slice(11,16);
-      const ehhmm = String(r.end).slice(11,16);
-      const courtMatch = String(r.summary || '').match(/Quadra\s*(\d)/i);
+// Lança como receita as reservas encerradas do período ({ from, to, dryRun }). Pode rodar de novo sem duplicar
+app.post('/api/dre/reservas/conciliar', adminAuth, adminCan('financeiro'), async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
 
-      return {
-        eventId: r.eventId,
-        date,
-        start: hhmm,
-        end: ehhmm,
-        court: courtMatch ? `Quadra ${courtMatch[1]}` : '',
-        summary: r.summary || ''
-      };
-    });
+    const body = req.body || {};
+    const periodo = parseReservaPeriodo(body);
+    if(periodo.error) return res.status(periodo.status).json({ error: periodo.error });
 
-    return res.json({ ok:true, reservations: formatted });
+    const result = await conciliarReservas(periodo.from, periodo.to, { dryRun: Boolean(body.dryRun), req });
+    return res.json({ ok:true, ...result });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro ao buscar reservas da conta.' });
+    return res.status(500).json({ error:'Erro ao conciliar reservas.' });
   }
 });
 
-// =========================
-// Chaveamento sincronizado
-// =========================
-app.get('/api/chaveamento/state', (req, res) => {
+// Os lançamentos já gerados ficam
+app.delete('/api/dre/recorrencias/:id', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const payload = readChaveamentoState();
-    return res.json({
-      ok: true,
-      savedAt: payload?.savedAt || null,
-      data: payload?.data || null
-    });
+    const id = String(req.params.id || '').trim();
+    const removed = recorrenciasRepo.get(id);
+    if(!removed) return res.status(404).json({ error:'Recorrência não encontrada.' });
+
+    recorrenciasRepo.remove(id);
+    audit(req, 'recorrencia.delete', { entity:'recorrencia', targetId: id, before: removed });
+    return res.json({ ok:true });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro ao carregar estado do chaveamento.' });
+    return res.status(500).json({ error:'Erro ao excluir recorrência.' });
   }
 });
 
-app.post('/api/chaveamento/state', (req, res) => {
+// Layouts de CSV salvos (um por banco)
+app.get('/api/dre/import/layouts', adminAuth, adminCan('financeiro'), (req, res) => {
+  return res.json({ ok:true, layouts: readDocument('dre-layouts-csv', []) });
+});
+
+app.put('/api/dre/import/layouts', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const data = req.body;
-    if(!data || typeof data !== 'object' || Array.isArray(data)){
-      return res.status(400).json({ error:'Payload inválido.' });
+    const input = req.body?.layouts;
+    if(!Array.isArray(input)) return res.status(400).json({ error:'Envie { layouts: [...] }.' });
+
+    const layouts = [];
+    for(const raw of input){
+      const nome = String(raw?.nome || '').trim();
+      if(!nome) return res.status(400).json({ error:'Todo layout precisa de nome.' });
+      if(raw.colunas !== undefined && (typeof raw.colunas !== 'object' || Array.isArray(raw.colunas))){
+        return res.status(400).json({ error:`Colunas inválidas no layout ${nome}.` });
+      }
+      if(raw.formatoData && !['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'].includes(raw.formatoData)){
+        return res.status(400).json({ error:`formatoData inválido no layout ${nome}.` });
+      }
+      layouts.push({
+        id: String(raw.id || crypto.randomUUID()),
+        nome,
+        delimitador: raw.delimitador ? String(raw.delimitador).slice(0, 1) : '',
+        cabecalho: raw.cabecalho !== false,
+        pularLinhas: Math.max(Number(raw.pularLinhas) || 0, 0),
+        formatoData: raw.formatoData || 'DD/MM/YYYY',
+        decimal: raw.decimal === '.' ? '.' : ',',
+        inverterSinal: Boolean(raw.inverterSinal),
+        colunas: raw.colunas || null
+      });
     }
 
-    const payload = writeChaveamentoState(data);
-    return res.json({
-      ok: true,
-      savedAt: payload.savedAt
-    });
+    const before = readDocument('dre-layouts-csv', []);
+    writeDocument('dre-layouts-csv', layouts);
+    audit(req, 'dre-layout.update', { entity:'dre-layout', before, after: layouts });
+    return res.json({ ok:true, layouts });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao salvar layouts.' });
+  }
+});
+
+// Prévia: { conteudo (texto) | conteudoBase64, arquivo?, formato?: ofx|csv, layoutId? | layout?, destino?, unidade?, painel? }
+app.post('/api/dre/import/preview', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const body = req.body || {};
+    const texto = body.conteudoBase64
+      ? decodeImportText(Buffer.from(String(body.conteudoBase64), 'base64'))
+      : String(body.conteudo || '');
+    if(!texto.trim()) return res.status(400).json({ error:'Arquivo vazio.' });
+
+    let layout = body.layout;
+    if(body.layoutId){
+      layout = readDocument('dre-layouts-csv', []).find(l => l.id === String(body.layoutId));
+      if(!layout) return res.status(404).json({ error:'Layout não encontrado.' });
+    }
+
+    const result = prepareDreImport({
+      formato: body.formato ? String(body.formato).toLowerCase() : '',
+      texto,
+      layout,
+      destino: body.destino,
+      unidade: String(body.unidade || '').trim(),
+      painel: String(body.painel || '').trim(),
+      arquivo: String(body.arquivo || '').trim()
+    }, req.admin);
+    if(result.error) return res.status(result.status).json({ error: result.error });
+
+    return res.json({ ok:true, ...result });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro ao salvar estado do chaveamento.' });
+    return res.status(500).json({ error:'Erro ao ler extrato.' });
   }
 });
 
-// =========================
-// DRE / Lançamentos do admin
-// =========================
-app.get('/api/dre/lancamentos', (req, res) => {
+// Commit: { importId, itens?: [{ ref, incluir, grupo?, secao?, categoria?, ... }] }
+app.post('/api/dre/import/commit', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
-    const items = sortLancamentosDesc(readDreLancamentos());
-    return res.json({ ok: true, lancamentos: items });
+    const result = commitDreImport(String(req.body?.importId || ''), req.body?.itens, req.admin);
+    if(result.error) return res.status(result.status).json({ error: result.error });
+
+    audit(req, 'lancamento.import', {
+      entity:'lancamento',
+      after: { arquivo: result.arquivo, formato: result.formato, lancamentos: result.importados }
+    });
+    return res.json({
+      ok: true,
+      importados: result.importados.length,
+      ignorados: result.ignorados,
+      lancamentos: sortLancamentosDesc(readDreLancamentos())
+    });
   }catch(e){
     console.error(e);
-    return res.status(500).json({ error:'Erro ao carregar lançamentos.' });
+    return res.status(500).json({ error:'Erro ao importar lançamentos.' });
   }
 });
 
-app.post('/api/dre/lancamentos', (req, res) => {
+app.post('/api/dre/lancamentos', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
     const payload = req.body;
 
     if(Array.isArray(payload)){
       const normalizados = payload.map(normalizeLancamento);
+      for(const item of normalizados) item.anexos = storeLancamentoAnexos(item.anexos);
+      const before = readDreLancamentos();
       writeDreLancamentos(normalizados);
+      releaseAnexos(before.flatMap(l => l.anexos || []));
+      audit(req, 'lancamento.replace_all', { entity:'lancamento', before, after: normalizados });
       return res.json({ ok:true, lancamentos: sortLancamentosDesc(normalizados) });
     }
 
@@ -921,8 +7384,10 @@ app.post('/api/dre/lancamentos', (req, res) => {
       return res.status(400).json({ error:'Campo valor inválido.' });
     }
 
+    item.anexos = storeLancamentoAnexos(item.anexos);
     const items = readDreLancamentos();
     const idx = items.findIndex(x => x.id === item.id);
+    const before = idx >= 0 ? items[idx] : null;
 
     if(idx >= 0){
       item.createdAt = items[idx].createdAt || item.createdAt;
@@ -931,7 +7396,9 @@ app.post('/api/dre/lancamentos', (req, res) => {
       items.push(item);
     }
 
-    writeDreLancamentos(items);
+    dreRepo.upsert(item);
+    if(before) releaseAnexos(before.anexos);
+    audit(req, before ? 'lancamento.update' : 'lancamento.create', { entity:'lancamento', targetId: item.id, before, after: item });
     return res.json({ ok:true, lancamento:item, lancamentos: sortLancamentosDesc(items) });
   }catch(e){
     console.error(e);
@@ -946,25 +7413,74 @@ app.post('/api/dre/lancamentos', (req, res) => {
   }
 });
 
-app.delete('/api/dre/lancamentos/:id', (req, res) => {
+// Envio do arquivo no corpo (Content-Type do arquivo) com ?nome=; devolve a referência para pôr em `anexos`
+app.post('/api/dre/anexos',
+  adminAuth,
+  adminCan('financeiro'),
+  express.raw({ type: () => true, limit: `${ANEXO_MAX_MB}mb` }),
+  (req, res) => {
+    try{
+      if(!Buffer.isBuffer(req.body) || !req.body.length){
+        return res.status(400).json({ error:'Envie o arquivo no corpo da requisição.' });
+      }
+      const nome = String(req.query.nome || req.get('x-file-name') || '').trim();
+      const meta = storeAnexo(req.body, req.get('content-type'));
+      const anexo = anexoRef(meta, nome ? decodeURIComponent(nome) : '');
+      audit(req, 'anexo.upload', { entity:'anexo', targetId: meta.id, after: anexo });
+      return res.json({ ok:true, anexo });
+    }catch(e){
+      console.error(e);
+      return res.status(500).json({ error:'Erro ao salvar anexo.' });
+    }
+  }
+);
+
+app.get('/api/dre/anexos/:hash', adminAuth, adminCan('financeiro'), (req, res) => {
+  try{
+    const hash = String(req.params.hash || '').toLowerCase();
+    const meta = ANEXO_HASH_RE.test(hash) ? anexosRepo.get(hash) : null;
+    const buffer = meta ? readAnexoFile(hash) : null;
+    if(!buffer) return res.status(404).json({ error:'Anexo não encontrado.' });
+
+    // Imagem e PDF abrem no navegador; o resto sempre baixa
+    const inline = /^(image\/(png|jpe?g|gif|webp)|application\/pdf)$/.test(meta.mime);
+    const nome = String(req.query.nome || hash).replace(/["\r\n]/g, '');
+    res.set('Content-Type', meta.mime);
+    res.set('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(nome)}`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    return res.send(buffer);
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao baixar anexo.' });
+  }
+});
+
+app.delete('/api/dre/lancamentos/:id', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
     const id = String(req.params.id || '').trim();
     if(!id) return res.status(400).json({ error:'ID inválido.' });
 
-    const items = readDreLancamentos();
-    const filtered = items.filter(x => String(x.id) !== id);
-    writeDreLancamentos(filtered);
+    const removed = dreRepo.get(id);
+    if(removed){
+      dreRepo.remove(id);
+      releaseAnexos(removed.anexos);
+      audit(req, 'lancamento.delete', { entity:'lancamento', targetId: id, before: removed });
+    }
 
-    return res.json({ ok:true, lancamentos: sortLancamentosDesc(filtered) });
+    return res.json({ ok:true, lancamentos: sortLancamentosDesc(readDreLancamentos()) });
   }catch(e){
     console.error(e);
     return res.status(500).json({ error:'Erro ao excluir lançamento.' });
   }
 });
 
-app.delete('/api/dre/lancamentos', (req, res) => {
+app.delete('/api/dre/lancamentos', adminAuth, adminCan('financeiro'), (req, res) => {
   try{
+    const before = readDreLancamentos();
     writeDreLancamentos([]);
+    releaseAnexos(before.flatMap(l => l.anexos || []));
+    audit(req, 'lancamento.delete_all', { entity:'lancamento', before, after: [] });
     return res.json({ ok:true, lancamentos: [] });
   }catch(e){
     console.error(e);
@@ -984,16 +7500,32 @@ app.post('/api/admin/login', (req, res) => {
       return res.status(400).json({ error:'E-mail e senha são obrigatórios.' });
     }
 
-    if(email !== String(ADMIN_EMAIL).toLowerCase() || password !== String(ADMIN_PASSWORD)){
+    const keys = [`admin:${email}`, `ip:${req.ip || ''}`];
+    const locked = loginLockRemaining(keys);
+    if(locked) return lockedResponse(res, locked);
+
+    const admins = readAdmins();
+    const admin = admins.find(a => a.email === email && a.active);
+    const check = verifyPassword(password, admin?.passwordHash);
+    if(!admin || !check.ok){
+      registerLoginFailure(keys[0]);
+      registerLoginFailure(keys[1], LOGIN_LOCK_THRESHOLD * LOGIN_LOCK_IP_FACTOR);
       return res.status(401).json({ error:'Credenciais inválidas.' });
     }
+    clearLoginFailures(keys[0]);
+
+    if(check.needsUpgrade){
+      admin.passwordHash = hashPassword(password);
+      admin.updatedAt = new Date().toISOString();
+      adminsRepo.upsert(admin);
+    }
 
-    const token = makeAdminToken();
+    const token = makeAdminToken(admin);
 
     return res.json({
       ok: true,
       token,
-      admin: { email: ADMIN_EMAIL }
+      admin: publicAdmin(admin)
     });
   }catch(e){
     console.error(e);
@@ -1002,7 +7534,171 @@ app.post('/api/admin/login', (req, res) => {
 });
 
 app.get('/api/admin/me', adminAuth, (req, res) => {
-  return res.json({ ok:true, admin:{ email: ADMIN_EMAIL } });
+  return res.json({ ok:true, admin: publicAdmin(req.admin) });
+});
+
+// Troca a própria senha; os outros tokens do admin deixam de valer
+app.post('/api/admin/password', adminAuth, (req, res) => {
+  try{
+    const { currentPassword, newPassword } = req.body || {};
+    const cleanPass = String(newPassword || '');
+
+    if(!verifyPassword(currentPassword || '', req.admin.passwordHash).ok){
+      return res.status(401).json({ error:'Senha atual inválida.' });
+    }
+    if(cleanPass.length < MIN_PASSWORD_LENGTH){
+      return res.status(400).json({ error:`A nova senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+
+    const admins = readAdmins();
+    const admin = admins.find(a => a.id === req.admin.id);
+    admin.passwordHash = hashPassword(cleanPass);
+    admin.tokenVersion += 1;
+    admin.updatedAt = new Date().toISOString();
+    adminsRepo.upsert(admin);
+    audit(req, 'admin.update_password', { entity:'admin', targetId: admin.id });
+
+    return res.json({ ok:true, token: makeAdminToken(admin), admin: publicAdmin(admin) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao trocar senha.' });
+  }
+});
+
+// Define a senha a partir do convite/reset (uso único)
+app.post('/api/admin/password/setup', (req, res) => {
+  try{
+    const { token, password } = req.body || {};
+    const cleanPass = String(password || '');
+
+    const found = verifyAdminToken(token, 'admin-setup');
+    if(!found) return res.status(401).json({ error:'Convite inválido ou expirado. Peça um novo ao dono.' });
+    if(cleanPass.length < MIN_PASSWORD_LENGTH){
+      return res.status(400).json({ error:`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+
+    const admins = readAdmins();
+    const admin = admins.find(a => a.id === found.id);
+    admin.passwordHash = hashPassword(cleanPass);
+    admin.tokenVersion += 1;
+    admin.updatedAt = new Date().toISOString();
+    adminsRepo.upsert(admin);
+    audit(req, 'admin.setup_password', {
+      entity:'admin', targetId: admin.id, actor: { type:'admin', id: admin.id, email: admin.email, ip: req.ip || '' }
+    });
+
+    return res.json({ ok:true, token: makeAdminToken(admin), admin: publicAdmin(admin) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao definir senha.' });
+  }
+});
+
+// =========================
+// Equipe (contas de admin) — só o dono
+// =========================
+function isLastActiveOwner(admins, id){
+  const owners = admins.filter(a => a.role === 'owner' && a.active);
+  return owners.length === 1 && owners[0].id === id;
+}
+
+app.get('/api/admin/admins', adminAuth, adminCan('equipe'), (req, res) => {
+  return res.json({ ok:true, admins: readAdmins().map(publicAdmin), roles: ADMIN_ROLES });
+});
+
+// Convida um admin: devolve o setupToken para o convidado definir a senha em /api/admin/password/setup
+app.post('/api/admin/admins', adminAuth, adminCan('equipe'), (req, res) => {
+  try{
+    const { name, email, role } = req.body || {};
+    const cleanName = String(name || '').trim();
+    const cleanEmail = String(email || '').trim().toLowerCase();
+
+    if(!cleanName || !cleanEmail.includes('@')) return res.status(400).json({ error:'Informe nome e e-mail.' });
+    if(!ADMIN_ROLES[role]) return res.status(400).json({ error:`role inválido (${Object.keys(ADMIN_ROLES).join(', ')})` });
+
+    const admins = readAdmins();
+    if(admins.some(a => a.email === cleanEmail)) return res.status(409).json({ error:'Este e-mail já faz parte da equipe.' });
+
+    const now = new Date().toISOString();
+    const admin = {
+      id: crypto.randomUUID(),
+      name: cleanName,
+      email: cleanEmail,
+      role,
+      passwordHash: null,
+      active: true,
+      tokenVersion: 1,
+      invitedBy: req.admin.id,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    adminsRepo.upsert(admin);
+    audit(req, 'admin.invite', { entity:'admin', targetId: admin.id, after: publicAdmin(admin) });
+
+    return res.json({ ok:true, admin: publicAdmin(admin), setupToken: makeAdminSetupToken(admin) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao convidar admin.' });
+  }
+});
+
+// Altera nome, papel ou ativo. Desativar ou mudar o papel derruba as sessões do admin.
+app.patch('/api/admin/admins/:id', adminAuth, adminCan('equipe'), (req, res) => {
+  try{
+    const { name, role, active } = req.body || {};
+    const admins = readAdmins();
+    const admin = admins.find(a => a.id === req.params.id);
+    if(!admin) return res.status(404).json({ error:'Admin não encontrado.' });
+    const before = publicAdmin(admin);
+
+    if(role !== undefined && !ADMIN_ROLES[role]) return res.status(400).json({ error:`role inválido (${Object.keys(ADMIN_ROLES).join(', ')})` });
+
+    const demoting = (role !== undefined && role !== 'owner') || active === false;
+    if(demoting && admin.role === 'owner' && isLastActiveOwner(admins, admin.id)){
+      return res.status(409).json({ error:'É preciso ter pelo menos um dono ativo.' });
+    }
+
+    if(name !== undefined){
+      const cleanName = String(name).trim();
+      if(!cleanName) return res.status(400).json({ error:'Nome não pode ficar vazio.' });
+      admin.name = cleanName;
+    }
+    if((role !== undefined && role !== admin.role) || (active !== undefined && Boolean(active) !== admin.active)){
+      admin.tokenVersion += 1;
+    }
+    if(role !== undefined) admin.role = role;
+    if(active !== undefined) admin.active = Boolean(active);
+    admin.updatedAt = new Date().toISOString();
+    adminsRepo.upsert(admin);
+    audit(req, 'admin.update', { entity:'admin', targetId: admin.id, before, after: publicAdmin(admin) });
+
+    return res.json({ ok:true, admin: publicAdmin(admin) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao atualizar admin.' });
+  }
+});
+
+// Reset de senha: apaga a senha atual, derruba as sessões e gera um novo setupToken
+app.post('/api/admin/admins/:id/reset', adminAuth, adminCan('equipe'), (req, res) => {
+  try{
+    const admins = readAdmins();
+    const admin = admins.find(a => a.id === req.params.id);
+    if(!admin) return res.status(404).json({ error:'Admin não encontrado.' });
+    if(admin.id === req.admin.id) return res.status(400).json({ error:'Para a sua senha use /api/admin/password.' });
+
+    admin.passwordHash = null;
+    admin.tokenVersion += 1;
+    admin.updatedAt = new Date().toISOString();
+    adminsRepo.upsert(admin);
+    audit(req, 'admin.reset_password', { entity:'admin', targetId: admin.id, after: publicAdmin(admin) });
+
+    return res.json({ ok:true, admin: publicAdmin(admin), setupToken: makeAdminSetupToken(admin) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao resetar senha do admin.' });
+  }
 });
 
 // =========================
@@ -1010,7 +7706,7 @@ app.get('/api/admin/me', adminAuth, (req, res) => {
 // =========================
 
 // Lista contas cadastradas (sem senha)
-app.get('/api/admin/users', adminAuth, (req, res) => {
+app.get('/api/admin/users', adminAuth, adminCan('reservas'), (req, res) => {
   try{
     const users = readUsers()
       .map(u => ({
@@ -1030,7 +7726,7 @@ app.get('/api/admin/users', adminAuth, (req, res) => {
 });
 
 // Lista reservas futuras (todas)
-app.get('/api/admin/reservations', adminAuth, async (req, res) => {
+app.get('/api/admin/reservations', adminAuth, adminCan('reservas'), async (req, res) => {
   try{
     const missing = requireEnv();
     if(missing.length){
@@ -1043,16 +7739,10 @@ app.get('/api/admin/reservations', adminAuth, async (req, res) => {
     const timeMin = now.toISOString();
     const timeMax = new Date(now.getTime() + 1000 * 60 * 60 * 24 * 120).toISOString();
 
-    const resp = await calendar.events.list({
-      calendarId: CALENDAR_ID,
-      timeMin,
-      timeMax,
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 2500
-    });
+    const items = await listCalendarEvents({ timeMin, timeMax });
 
-    const reservations = (resp.data.items || [])
+    const courts = readCourts();
+    const reservations = items
       .filter(ev => !!(ev.start?.dateTime || ev.start?.date))
       .map(ev => {
         const start = ev.start?.dateTime || ev.start?.date || '';
@@ -1063,8 +7753,11 @@ app.get('/api/admin/reservations', adminAuth, async (req, res) => {
           summary: ev.summary || '',
           customer: extractCustomerFromEvent(ev),
           phone: extractPhoneFromEvent(ev),
+          court: courtLabelForEvent(ev, courts),
+          seriesId: ev.extendedProperties?.private?.seriesId || '',
           start,
-          end
+          end,
+          payment: reservaPagamento(ev)
         };
       })
       .filter(r => String(r.start).length > 10) // ignora all-day
@@ -1077,8 +7770,329 @@ app.get('/api/admin/reservations', adminAuth, async (req, res) => {
   }
 });
 
+// Cancela as ocorrências futuras de uma série de mensalista
+app.delete('/api/admin/series/:seriesId', adminAuth, adminCan('reservas'), async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const fromDate = String(req.query.fromDate || '');
+    if(fromDate && !isValidDate(fromDate)) return res.status(400).json({ error:'fromDate inválida (YYYY-MM-DD)' });
+
+    const events = await listSeriesEvents(String(req.params.seriesId || '').trim(), fromDate);
+    const canceledEventIds = [];
+    for(const ev of events){
+      await deleteBookingEvent(ev.id, String(ev.start).slice(0,10));
+      canceledEventIds.push(ev.id);
+    }
+    if(events.length){
+      audit(req, 'serie.cancel', { entity:'serie', targetId: req.params.seriesId, before: events, after: { fromDate: fromDate || null, canceledEventIds } });
+    }
+
+    return res.json({ ok:true, seriesId: req.params.seriesId, canceledEventIds });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao cancelar série.' });
+  }
+});
+
+// Cancela uma reserva pelo painel (libera a quadra para a lista de espera)
+app.delete('/api/admin/reservations/:eventId', adminAuth, adminCan('reservas'), async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const eventId = String(req.params.eventId || '').trim();
+    await ensureAuth();
+    const ev = await calendarProvider.get(eventId);
+    await deleteBookingEvent(eventId, String(ev.start?.dateTime || ev.start?.date || '').slice(0,10));
+    audit(req, 'reserva.cancel', { entity:'reserva', targetId: eventId, before: mapCalendarEvent(ev) });
+
+    return res.json({ ok:true, canceledEventId: eventId });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao cancelar reserva.' });
+  }
+});
+
+// Situação do pagamento de uma reserva: { status: pendente|pago|isento, method }
+app.patch('/api/admin/reservations/:eventId/payment', adminAuth, adminCan('reservas', 'financeiro'), async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const eventId = String(req.params.eventId || '').trim();
+    await ensureAuth();
+    let ev;
+    try{
+      ev = await calendarProvider.get(eventId);
+    }catch{
+      ev = null;
+    }
+    if(!ev || !isBookingEvent(ev)) return res.status(404).json({ error:'Reserva não encontrada.' });
+
+    const before = reservaPagamento(ev);
+    const v = validatePagamentoInput(req.body || {}, before);
+    if(v.error) return res.status(v.status).json({ error: v.error });
+
+    const updated = await setReservaPagamento(ev, v.payment, { req });
+    audit(req, 'reserva.payment', { entity:'reserva', targetId: eventId, before, after: v.payment });
+
+    return res.json({ ok:true, reservation: reservaFromEvent(updated) });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao atualizar pagamento da reserva.' });
+  }
+});
+
+// Reservas já encerradas e ainda pendentes (padrão: últimos 30 dias)
+app.get('/api/admin/reservations/unpaid', adminAuth, adminCan('reservas', 'financeiro'), async (req, res) => {
+  try{
+    const missing = requireEnv();
+    if(missing.length){
+      return res.status(500).json({ error:`Faltam variáveis de ambiente: ${missing.join(', ')}` });
+    }
+
+    const periodo = parseReservaPeriodo(req.query);
+    if(periodo.error) return res.status(periodo.status).json({ error: periodo.error });
+
+    const report = await reservasEmAberto(periodo.from, periodo.to);
+    return res.json({ ok:true, ...report });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao gerar relatório de reservas em aberto.' });
+  }
+});
+
+// Fila de espera (filtros: date, status)
+app.get('/api/admin/waitlist', adminAuth, adminCan('reservas'), (req, res) => {
+  try{
+    const date = String(req.query.date || '');
+    const status = String(req.query.status || '');
+
+    const items = readWaitlist();
+    const entries = items
+      .filter(e => !date || e.date === date)
+      .filter(e => status ? e.status === status : isWaitlistActive(e))
+      .sort((a, b) => `${a.date}${a.start}${a.createdAt}`.localeCompare(`${b.date}${b.start}${b.createdAt}`))
+      .map(e => ({ ...publicWaitlistEntry(e, items), phone: e.phone, reason: e.reason || '' }));
+
+    return res.json({ ok:true, entries });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar lista de espera.' });
+  }
+});
+
+// Remove alguém da fila (se tinha oferta, a quadra vai para o próximo)
+app.delete('/api/admin/waitlist/:id', adminAuth, adminCan('reservas'), (req, res) => {
+  try{
+    const entry = readWaitlist().find(e => e.id === req.params.id);
+    if(!entry) return res.status(404).json({ error:'Inscrição não encontrada.' });
+
+    if(isWaitlistActive(entry)){
+      const updated = transitionWaitlistEntry(entry.id, entry.status, { status:'canceled', reason:'Removido pelo ADM.' });
+      audit(req, 'lista-espera.cancel', { entity:'lista-espera', targetId: entry.id, before: entry, after: updated });
+      if(entry.status === 'offered' && releaseHold(entry.offer?.holdId)) onCourtFreed(entry.date);
+    }
+
+    return res.json({ ok:true });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao remover da lista de espera.' });
+  }
+});
+
+// Força uma rodada de ofertas para a data (ex.: depois de liberar um horário direto na agenda)
+app.post('/api/admin/waitlist/process', adminAuth, adminCan('reservas'), async (req, res) => {
+  try{
+    const date = String(req.body?.date || '');
+    if(!isValidDate(date)) return res.status(400).json({ error:'date inválida (YYYY-MM-DD)' });
+
+    await processWaitlist(date);
+    audit(req, 'lista-espera.process', { entity:'lista-espera', after: { date } });
+    const items = readWaitlist();
+    return res.json({
+      ok: true,
+      entries: items.filter(e => e.date === date && isWaitlistActive(e)).map(e => publicWaitlistEntry(e, items))
+    });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao processar lista de espera.' });
+  }
+});
+
+// Auditoria: filtros from/to (YYYY-MM-DD), actor (id, e-mail, telefone, IP ou tipo), entity, action, targetId
+app.get('/api/admin/audit', adminAuth, adminCan('auditoria'), (req, res) => {
+  try{
+    const from = String(req.query.from || '');
+    const to = String(req.query.to || '');
+    if(from && !isValidDate(from)) return res.status(400).json({ error:'from inválida (YYYY-MM-DD)' });
+    if(to && !isValidDate(to)) return res.status(400).json({ error:'to inválida (YYYY-MM-DD)' });
+
+    const actor = String(req.query.actor || '').trim().toLowerCase();
+    const entity = String(req.query.entity || '').trim();
+    const action = String(req.query.action || '').trim();
+    const targetId = String(req.query.targetId || '').trim();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+
+    // `at` é UTC; o filtro de data usa o dia no fuso da arena
+    const dayStartISO = d => new Date(`${d}T00:00:00${tzOffsetFor(`${d}T00:00:00`)}`).toISOString();
+
+    const result = queryAuditLog({
+      fromISO: from ? dayStartISO(from) : '',
+      toISO: to ? dayStartISO(addDays(to, 1)) : '',
+      actor,
+      entity,
+      action,
+      targetId,
+      limit
+    });
+
+    return res.json({ ok:true, ...result });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao buscar auditoria.' });
+  }
+});
+
+function sendBackupHeaders(res, name){
+  res.set('Content-Type', 'application/gzip');
+  res.set('Content-Disposition', `attachment; filename="${name}"`);
+}
+
+// Grava o corpo da requisição em `file` sem passar tudo pela memória. Retorna { size } ou { status, error }
+async function receiveUpload(req, file, maxBytes){
+  if(Number(req.headers['content-length']) > maxBytes){
+    return { status: 413, error: `Arquivo maior que ${BACKUP_MAX_UPLOAD_MB} MB (BACKUP_MAX_UPLOAD_MB).` };
+  }
+  let size = 0;
+  const limit = async function*(source){
+    for await (const chunk of source){
+      size += chunk.length;
+      if(size > maxBytes) throw Object.assign(new Error('upload grande demais'), { tooLarge: true });
+      yield chunk;
+    }
+  };
+  try{
+    await pipeline(req, limit, fs.createWriteStream(file));
+    return { size };
+  }catch(err){
+    fs.rmSync(file, { force: true });
+    if(err.tooLarge) return { status: 413, error: `Arquivo maior que ${BACKUP_MAX_UPLOAD_MB} MB (BACKUP_MAX_UPLOAD_MB).` };
+    throw err;
+  }
+}
+
+// Backup na hora (não fica guardado no disco), escrito direto na resposta
+app.get('/api/admin/backup', adminAuth, adminCan('backup'), async (req, res) => {
+  try{
+    sendBackupHeaders(res, backupFileName(new Date().toISOString(), 'manual'));
+    const archive = await writeBackupArchive(res);
+    audit(req, 'backup.download', { entity:'backup', after: { createdAt: archive.createdAt, counts: archive.counts } });
+  }catch(e){
+    console.error(e);
+    if(res.headersSent) return res.destroy();
+    return res.status(500).json({ error:'Erro ao gerar backup.' });
+  }
+});
+
+app.get('/api/admin/backups', adminAuth, adminCan('backup'), (req, res) => {
+  return res.json({ ok:true, status: backupHealth(), backups: listBackups() });
+});
+
+app.post('/api/admin/backups', adminAuth, adminCan('backup'), async (req, res) => {
+  try{
+    const saved = await saveBackupSnapshot('manual');
+    audit(req, 'backup.create', { entity:'backup', targetId: saved.name, after: saved });
+    return res.json({ ok:true, backup: saved });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao gerar backup.' });
+  }
+});
+
+app.get('/api/admin/backups/:name', adminAuth, adminCan('backup'), async (req, res) => {
+  try{
+    const name = String(req.params.name);
+    const file = path.join(BACKUP_DIR, name);
+    if(!BACKUP_NAME_RE.test(name) || !fs.existsSync(file)) return res.status(404).json({ error:'Backup não encontrado.' });
+
+    audit(req, 'backup.download', { entity:'backup', targetId: name });
+    sendBackupHeaders(res, name);
+    res.set('Content-Length', String(fs.statSync(file).size));
+    await pipeline(fs.createReadStream(file), res);
+  }catch(e){
+    console.error(e);
+    if(res.headersSent) return res.destroy();
+    return res.status(500).json({ error:'Erro ao baixar backup.' });
+  }
+});
+
+// Restauração em dois passos: enviar/escolher o backup devolve o resumo (contagens por entidade) e um restoreId;
+// POST /api/admin/restore/:restoreId/apply aplica. O upload vai para um temporário em BACKUP_DIR, não para a memória
+app.post('/api/admin/restore', adminAuth, adminCan('backup'), async (req, res) => {
+  ensureDirSync(BACKUP_DIR);
+  const upload = path.join(BACKUP_DIR, `.restore-upload-${crypto.randomUUID()}`);
+  try{
+    const received = await receiveUpload(req, upload, BACKUP_MAX_UPLOAD_MB * 1024 * 1024);
+    if(received.error) return res.status(received.status).json({ error: received.error });
+    if(!received.size){
+      return res.status(400).json({ error:'Envie o arquivo do backup no corpo (Content-Type: application/gzip).' });
+    }
+
+    const staged = await stageRestore(upload, 'upload', req.admin);
+    fs.rmSync(upload, { force: true });
+    if(staged.error) return res.status(staged.status).json({ error: staged.error });
+    return res.json({ ok:true, ...staged });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao ler backup.' });
+  }finally{
+    fs.rmSync(upload, { force: true });
+  }
+});
+
+app.post('/api/admin/backups/:name/restore', adminAuth, adminCan('backup'), async (req, res) => {
+  try{
+    const name = String(req.params.name);
+    const file = path.join(BACKUP_DIR, name);
+    if(!BACKUP_NAME_RE.test(name) || !fs.existsSync(file)) return res.status(404).json({ error:'Backup não encontrado.' });
+
+    const staged = await stageRestore(file, name, req.admin);
+    if(staged.error) return res.status(staged.status).json({ error: staged.error });
+    return res.json({ ok:true, ...staged });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao ler backup.' });
+  }
+});
+
+app.post('/api/admin/restore/:restoreId/apply', adminAuth, adminCan('backup'), async (req, res) => {
+  try{
+    const result = await applyStagedRestore(String(req.params.restoreId));
+    if(result.error) return res.status(result.status).json({ error: result.error });
+
+    audit(req, 'backup.restore', {
+      entity:'backup',
+      targetId: result.source,
+      after: { summary: result.summary, safetyBackup: result.safetyBackup.name }
+    });
+    return res.json({ ok:true, ...result });
+  }catch(e){
+    console.error(e);
+    return res.status(500).json({ error:'Erro ao restaurar backup.' });
+  }
+});
+
 // Métricas simples
-app.get('/api/admin/stats', adminAuth, async (req, res) => {
+app.get('/api/admin/stats', adminAuth, adminCan('reservas'), async (req, res) => {
   try{
     const users = readUsers();
     let reservationsCount = 0;
@@ -1092,16 +8106,9 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
         const timeMin = now.toISOString();
         const timeMax = new Date(now.getTime() + 1000 * 60 * 60 * 24 * 120).toISOString();
 
-        const resp = await calendar.events.list({
-          calendarId: CALENDAR_ID,
-          timeMin,
-          timeMax,
-          singleEvents: true,
-          orderBy: 'startTime',
-          maxResults: 2500
-        });
+        const items = await listCalendarEvents({ timeMin, timeMax });
 
-        reservationsCount = (resp.data.items || [])
+        reservationsCount = items
           .filter(ev => String(ev.start?.dateTime || '').length > 10)
           .length;
       }
@@ -1115,7 +8122,7 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
         totalUsers: users.length,
         totalReservationsFuture: reservationsCount,
         totalLancamentosDRE: readDreLancamentos().length,
-        adminEmail: ADMIN_EMAIL,
+        adminEmail: req.admin.email,
         dataDir: DATA_DIR
       }
     });
@@ -1125,7 +8132,15 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
   }
 });
 
+importLegacyJsonFiles();
+maintainAnexos();
+generateRecurringLancamentos();
+
 app.listen(PORT, () => {
   console.log(`API rodando na porta ${PORT}`);
   console.log(`Persistindo arquivos em: ${DATA_DIR}`);
+  ensureOwnerAdmin();
+  restoreWaitlistOfferHolds();
+  startCalendarMirror();
+  startBackupSchedule();
 });
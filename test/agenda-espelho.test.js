@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { startServer, openDay } from './helpers.js';
+
+const day = n => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+const OLD = day(-200);
+const WEBHOOK_TOKEN = 'token-do-canal';
+
+let api;
+let admin;
+
+function event(id, date){
+  return {
+    id, status: 'confirmed', summary: 'Aula — Quadra 1',
+    start: { dateTime: `${date}T18:00:00-03:00` }, end: { dateTime: `${date}T19:00:00-03:00` }
+  };
+}
+
+function mirrorRows(){
+  const db = new Database(path.join(api.dataDir, 'republica.db'), { readonly: true });
+  try{
+    return db.prepare('SELECT id FROM agenda_espelho').all().map(r => r.id);
+  }finally{
+    db.close();
+  }
+}
+
+async function waitMirrorReady(){
+  for(let i = 0; i < 50; i++){
+    const { body } = await api.request('GET', '/api/admin/calendar/sync', { token: admin });
+    if(body.ready) return body;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error('espelho não ficou pronto');
+}
+
+before(async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rp-api-'));
+  fs.writeFileSync(path.join(dataDir, 'agenda-local.json'), JSON.stringify([event('antigo', OLD), event('recente', day(2))]));
+  api = await startServer({ LOCAL_CALENDAR_FILE: '', CALENDAR_WEBHOOK_TOKEN: WEBHOOK_TOKEN }, { dataDir });
+  admin = await api.adminToken();
+});
+
+after(() => api.stop());
+
+test('sync inicial só copia a janela recente e grava os eventos no SQLite', async () => {
+  const status = await waitMirrorReady();
+  assert.equal(status.events, 1);
+  const windowDays = (Date.now() - Date.parse(status.windowStart)) / 86400000;
+  assert.ok(windowDays > 89 && windowDays < 92, `janela de ${windowDays} dias`);
+  assert.deepEqual(mirrorRows(), ['recente']);
+});
+
+test('consulta antes da janela vai direto na agenda', async () => {
+  const courts = (await api.request('GET', '/api/courts')).body.courts.length;
+  const { body } = await api.request('GET', `/api/slots?date=${OLD}&duration=60`);
+  const slot = body.slots.find(s => s.start === '18:00');
+  assert.equal(slot.availableCourts, courts - 1);
+});
+
+test('reservas e cancelamentos da API entram no espelho sem regravar tudo', async () => {
+  const { date, duration, starts } = await openDay(api, 3);
+  const booked = await api.request('POST', '/api/book', { body: { date, start: starts[0], duration, name: 'Espelho', phone: '12944443333' } });
+  assert.equal(booked.status, 200);
+  assert.ok(mirrorRows().includes(booked.body.eventId));
+
+  const canceled = await api.request('DELETE', `/api/admin/reservations/${booked.body.eventId}`, { token: admin });
+  assert.equal(canceled.status, 200);
+  assert.ok(!mirrorRows().includes(booked.body.eventId));
+});
+
+test('webhook confere o token do canal', async () => {
+  const wrong = await api.request('POST', '/api/calendar/webhook', { headers: { 'X-Goog-Channel-Token': 'outro' } });
+  assert.equal(wrong.status, 401);
+  const missing = await api.request('POST', '/api/calendar/webhook');
+  assert.equal(missing.status, 401);
+  const ok = await api.request('POST', '/api/calendar/webhook', { headers: { 'X-Goog-Channel-Token': WEBHOOK_TOKEN, 'X-Goog-Resource-State': 'exists' } });
+  assert.equal(ok.status, 204);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+const day = n => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+const D = day(3);
+
+let api;
+let courts;
+
+before(async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rp-api-'));
+  fs.writeFileSync(path.join(dataDir, 'agenda-local.json'), JSON.stringify([
+    {
+      id: 'virada', status: 'confirmed', summary: 'Evento — Quadra 1',
+      start: { dateTime: `${D}T22:00:00-03:00` }, end: { dateTime: `${day(5)}T08:00:00-03:00` }
+    },
+    {
+      id: 'ate-meia-noite', status: 'confirmed', summary: 'Evento — Quadra 2',
+      start: { dateTime: `${day(6)}T18:00:00-03:00` }, end: { dateTime: `${day(7)}T00:00:00-03:00` }
+    }
+  ]));
+  api = await startServer({ LOCAL_CALENDAR_FILE: '' }, { dataDir });
+  courts = (await api.request('GET', '/api/courts')).body.courts.length;
+});
+
+after(() => api.stop());
+
+async function slots(date){
+  const { body } = await api.request('GET', `/api/slots?date=${date}&duration=60`);
+  return body.slots;
+}
+
+test('evento que atravessa dias ocupa a quadra em todos os dias que cobre', async () => {
+  const middle = await slots(day(4));
+  assert.ok(middle.length > 0);
+  assert.ok(middle.every(s => s.availableCourts === courts - 1), 'dia inteiro com a Quadra 1 ocupada');
+
+  const last = await slots(day(5));
+  assert.ok(last.every(s => s.availableCourts === courts), 'termina às 08:00, antes de abrir');
+});
+
+test('evento que termina à meia-noite ocupa o fim do dia em que começa', async () => {
+  const { availableCourts } = (await slots(day(6))).find(s => s.start === '18:00');
+  assert.equal(availableCourts, courts - 1);
+  assert.ok((await slots(day(7))).every(s => s.availableCourts === courts));
+});
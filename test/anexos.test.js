@@ -0,0 +1,40 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer();
+  token = await api.adminToken();
+});
+
+after(() => api.stop());
+
+function filesOnDisk(){
+  const dir = path.join(api.dataDir, 'anexos');
+  if(!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).flatMap(sub => fs.readdirSync(path.join(dir, sub)));
+}
+
+test('anexo inline só vira arquivo quando o lançamento é gravado', async () => {
+  const conteudo = Buffer.from('recibo enviado por um painel antigo');
+  const hash = crypto.createHash('sha256').update(conteudo).digest('hex');
+  const inline = { nome: 'recibo.txt', dataUrl: `data:text/plain;base64,${conteudo.toString('base64')}` };
+
+  const invalid = await api.request('POST', '/api/dre/lancamentos', { token, body: { grupo: 'Despesa', valor: 10, anexos: [inline] } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(filesOnDisk(), []);
+
+  const saved = await api.request('POST', '/api/dre/lancamentos', { token, body: { data: '2026-10-05', grupo: 'Despesa', valor: 10, anexos: [inline] } });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body.lancamento.anexos.map(a => a.hash), [hash]);
+  assert.deepEqual(filesOnDisk(), [hash]);
+
+  const { body } = await api.request('GET', `/api/dre/anexos/${hash}`, { token });
+  assert.equal(body, conteudo.toString());
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { startServer } from './helpers.js';
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer({ BACKUP_INTERVAL_HOURS: '0' });
+  token = await api.adminToken();
+});
+
+after(() => api.stop());
+
+async function raw(method, url, body, contentType){
+  const res = await fetch(api.base + url, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, ...(contentType ? { 'Content-Type': contentType } : {}) },
+    body
+  });
+  const buffer = Buffer.from(await res.arrayBuffer());
+  let json = null;
+  try{ json = JSON.parse(buffer.toString('utf8')); }catch(e){}
+  return { status: res.status, buffer, json };
+}
+
+async function restore(archive){
+  const staged = await raw('POST', '/api/admin/restore', archive, 'application/gzip');
+  assert.equal(staged.status, 200, JSON.stringify(staged.json));
+  const applied = await api.request('POST', `/api/admin/restore/${staged.json.restoreId}/apply`, { token });
+  assert.equal(applied.status, 200, JSON.stringify(applied.body));
+  return staged.json;
+}
+
+test('backup .tar.gz leva os anexos como arquivos e a restauração os devolve', async () => {
+  const conteudo = crypto.randomBytes(300 * 1024);
+  const hash = crypto.createHash('sha256').update(conteudo).digest('hex');
+  const upload = await raw('POST', '/api/dre/anexos?nome=recibo.bin', conteudo, 'application/octet-stream');
+  assert.equal(upload.status, 200);
+
+  const created = await api.request('POST', '/api/dre/lancamentos', {
+    token,
+    body: { data: '2026-10-01', grupo: 'Despesa', categoria: 'Material', valor: -50, anexos: [upload.json.anexo] }
+  });
+  assert.equal(created.status, 200);
+  const id = created.body.lancamento?.id ?? created.body.lancamentos?.[0]?.id;
+
+  const saved = await api.request('POST', '/api/admin/backups', { token });
+  assert.equal(saved.status, 200);
+  assert.match(saved.body.backup.name, /\.tar\.gz$/);
+  assert.equal(saved.body.backup.counts.arquivos, 1);
+
+  const downloaded = await raw('GET', `/api/admin/backups/${saved.body.backup.name}`);
+  const tar = zlib.gunzipSync(downloaded.buffer);
+  assert.equal(tar.toString('ascii', 257, 262), 'ustar');
+  assert.equal(tar.toString('ascii', 0, 7 + 64), `anexos/${hash}`);
+  assert.ok(!tar.includes(conteudo.toString('base64').slice(0, 64)), 'anexo não vai em base64');
+
+  const direto = await raw('GET', '/api/admin/backup');
+  assert.equal(direto.status, 200);
+  assert.equal(zlib.gunzipSync(direto.buffer).toString('ascii', 0, 7 + 64), `anexos/${hash}`);
+
+  assert.equal((await api.request('DELETE', `/api/dre/lancamentos/${id}`, { token })).status, 200);
+  assert.equal((await raw('GET', `/api/dre/anexos/${hash}`)).status, 404);
+
+  const staged = await restore(downloaded.buffer);
+  assert.equal(staged.summary.entities.arquivos.added, 1);
+
+  const back = await raw('GET', `/api/dre/anexos/${hash}`);
+  assert.equal(back.status, 200);
+  assert.ok(back.buffer.equals(conteudo));
+  const { body } = await api.request('GET', '/api/dre/lancamentos', { token });
+  assert.ok(body.lancamentos.some(l => l.id === id));
+});
+
+test('backup .json.gz antigo (anexos em base64) ainda restaura', async () => {
+  const conteudo = Buffer.from('comprovante do formato antigo');
+  const hash = crypto.createHash('sha256').update(conteudo).digest('hex');
+  const anexo = { hash, nome: 'antigo.txt', tipo: 'text/plain', tamanho: conteudo.length, url: `/api/dre/anexos/${hash}` };
+  const data = {
+    dre: [{ id: 'lanc-antigo', data: '2026-09-10', grupo: 'Despesa', categoria: 'Antiga', valor: -10, anexos: [anexo] }],
+    anexos: [{ id: hash, size: conteudo.length, mime: 'text/plain', createdAt: new Date().toISOString() }],
+    arquivos: { [hash]: conteudo.toString('base64') }
+  };
+  const archive = {
+    format: 'republica-backup',
+    formatVersion: 1,
+    schemaVersion: 1,
+    createdAt: new Date().toISOString(),
+    checksum: crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex'),
+    data
+  };
+
+  await restore(zlib.gzipSync(JSON.stringify(archive)));
+
+  const back = await raw('GET', `/api/dre/anexos/${hash}`);
+  assert.equal(back.status, 200);
+  assert.ok(back.buffer.equals(conteudo));
+});
+
+test('backup corrompido é recusado e não deixa temporário para trás', async () => {
+  const saved = await api.request('POST', '/api/admin/backups', { token });
+  const file = path.join(api.dataDir, 'backups', saved.body.backup.name);
+  const tar = zlib.gunzipSync(fs.readFileSync(file));
+  assert.equal(tar.toString('ascii', 0, 7), 'anexos/');
+  tar[512] ^= 0xff;
+
+  const staged = await raw('POST', '/api/admin/restore', zlib.gzipSync(tar), 'application/gzip');
+  assert.equal(staged.status, 400);
+  assert.deepEqual(fs.readdirSync(path.join(api.dataDir, 'backups')).filter(n => n.startsWith('.')), []);
+});
+
+test('só /api/dre/lancamentos aceita corpo JSON acima de 2mb', async () => {
+  const grande = 'x'.repeat(3 * 1024 * 1024);
+
+  const dre = await api.request('POST', '/api/dre/lancamentos', {
+    token,
+    body: { data: '2026-10-02', grupo: 'Despesa', categoria: 'Grande', valor: -1, descricao: grande }
+  });
+  assert.notEqual(dre.status, 413);
+
+  const outra = await api.request('POST', '/api/dre/orcamentos', { token, body: { observacao: grande } });
+  assert.equal(outra.status, 413);
+});
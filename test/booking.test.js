@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, openDay } from './helpers.js';
+
+let api;
+let courts;
+
+before(async () => {
+  api = await startServer();
+  courts = (await api.request('GET', '/api/courts')).body.courts.length;
+});
+
+after(() => api.stop());
+
+function countStatus(results){
+  const out = {};
+  for(const r of results) out[r.status] = (out[r.status] || 0) + 1;
+  return out;
+}
+
+test('reservas simultâneas no mesmo horário não passam do número de quadras', async () => {
+  const { date, duration, starts } = await openDay(api, 3);
+  const start = starts[starts.length - 1];
+
+  const results = await Promise.all(Array.from({ length: courts + 4 }, (_, i) =>
+    api.request('POST', '/api/book', { body: { date, start, duration, name: `Cliente ${i}`, phone: `1299999${String(i).padStart(4, '0')}` } })
+  ));
+
+  assert.deepEqual(countStatus(results), { 200: courts, 409: 4 });
+  const courtIds = results.filter(r => r.status === 200).map(r => r.body.courtId);
+  assert.equal(new Set(courtIds).size, courts);
+
+  const { body } = await api.request('GET', `/api/slots?date=${date}&duration=${duration}`);
+  assert.equal(body.slots.find(s => s.start === start).availableCourts, 0);
+});
+
+test('holds simultâneos seguram no máximo uma quadra cada e bloqueiam a reserva', async () => {
+  const { date, duration, starts } = await openDay(api, 4);
+  const start = starts[0];
+
+  const results = await Promise.all(Array.from({ length: courts + 3 }, (_, i) =>
+    api.request('POST', '/api/holds', { body: { date, start, duration }, headers: { 'X-Forwarded-For': `198.51.100.${i + 1}` } })
+  ));
+  assert.deepEqual(countStatus(results), { 200: courts, 409: 3 });
+
+  const blocked = await api.request('POST', '/api/book', { body: { date, start, duration, name: 'Sem hold', phone: '12988887777' } });
+  assert.equal(blocked.status, 409);
+
+  const holdId = results.find(r => r.status === 200).body.holdId;
+  const booked = await api.request('POST', '/api/book', { body: { date, start, duration, holdId, name: 'Com hold', phone: '12988886666' } });
+  assert.equal(booked.status, 200);
+});
+
+test('limite de holds é por cliente (IP do proxy), não por instância', async () => {
+  const { date, duration, starts } = await openDay(api, 5);
+  assert.ok(starts.length >= 5, 'precisa de 5 horários livres');
+
+  const as = ip => ({ headers: { 'X-Forwarded-For': ip } });
+  for(const start of starts.slice(0, 3)){
+    const r = await api.request('POST', '/api/holds', { body: { date, start, duration }, ...as('203.0.113.10') });
+    assert.equal(r.status, 200);
+  }
+
+  const fourth = await api.request('POST', '/api/holds', { body: { date, start: starts[3], duration }, ...as('203.0.113.10') });
+  assert.equal(fourth.status, 429);
+
+  const other = await api.request('POST', '/api/holds', { body: { date, start: starts[3], duration }, ...as('203.0.113.20') });
+  assert.equal(other.status, 200);
+});
+
+test('série semanal exige WhatsApp confirmado e respeita o limite de semanas do site', async () => {
+  const { date, duration, starts } = await openDay(api, 6);
+  const series = { date, start: starts[0], duration, name: 'Mensalista', phone: '12977776666' };
+
+  const anonymous = await api.request('POST', '/api/book/recurring', { body: { ...series, weeks: 2 } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.otpRequired, true);
+
+  const phoneToken = await api.phoneToken(series.phone);
+  const otherPhone = await api.request('POST', '/api/book/recurring', { body: { ...series, phone: '12911112222', weeks: 2, phoneToken } });
+  assert.equal(otherPhone.status, 401);
+
+  const tooLong = await api.request('POST', '/api/book/recurring', { body: { ...series, weeks: 13, phoneToken } });
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.maxWeeks, 12);
+
+  const ok = await api.request('POST', '/api/book/recurring', { body: { ...series, weeks: 2, phoneToken } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.occurrences.filter(o => o.status === 'booked').length, 2);
+
+  const admin = await api.request('POST', '/api/book/recurring', { body: { ...series, start: starts[1], weeks: 20, dryRun: true }, token: await api.adminToken() });
+  assert.equal(admin.status, 200);
+  assert.equal(admin.body.occurrences.length, 20);
+});
@@ -0,0 +1,22 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let api;
+
+before(async () => { api = await startServer(); });
+after(() => api.stop());
+
+test('chave do site é pública para leitura e só o painel grava', async () => {
+  const data = { rodadas: [['Dupla A x Dupla B']] };
+
+  const anonymousWrite = await api.request('POST', '/api/chaveamento/state', { body: data });
+  assert.equal(anonymousWrite.status, 401);
+
+  const saved = await api.request('POST', '/api/chaveamento/state', { body: data, token: await api.adminToken() });
+  assert.equal(saved.status, 200);
+
+  const read = await api.request('GET', '/api/chaveamento/state');
+  assert.equal(read.status, 200);
+  assert.deepEqual(read.body.data, data);
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { startServer, openDay } from './helpers.js';
+
+let api;
+
+before(async () => { api = await startServer(); });
+after(() => api.stop());
+
+const PHONE = '12988880000';
+const account = { name: 'Dona', email: 'dona@teste.local', phone: PHONE, password: 'senha-segura-1' };
+
+test('cadastro e reset de senha exigem o código do WhatsApp do mesmo número', async () => {
+  const withoutCode = await api.request('POST', '/api/auth/register', { body: account });
+  assert.equal(withoutCode.status, 401);
+  assert.equal(withoutCode.body.otpRequired, true);
+
+  const otherNumber = await api.request('POST', '/api/auth/register', { body: { ...account, phoneToken: await api.phoneToken('12911110000') } });
+  assert.equal(otherNumber.status, 401);
+
+  const registered = await api.request('POST', '/api/auth/register', { body: { ...account, phoneToken: await api.phoneToken(PHONE) } });
+  assert.equal(registered.status, 200);
+  assert.equal(registered.body.user.phoneVerified, true);
+
+  const reset = { email: account.email, phone: PHONE, newPassword: 'outra-senha-2' };
+  assert.equal((await api.request('POST', '/api/auth/reset_password', { body: reset })).status, 401);
+  const done = await api.request('POST', '/api/auth/reset_password', { body: reset, headers: { 'X-Phone-Token': await api.phoneToken(PHONE) } });
+  assert.equal(done.status, 200);
+});
+
+test('conta com o WhatsApp confirmado vê as reservas do número sem pedir código', async () => {
+  const { date, duration, starts } = await openDay(api, 3);
+  const booked = await api.request('POST', '/api/book', { body: { date, start: starts[0], duration, name: 'Convidado', phone: PHONE } });
+  assert.equal(booked.status, 200);
+
+  const { body } = await api.request('POST', '/api/auth/login', { body: { login: account.email, password: 'outra-senha-2' } });
+  const mine = await api.request('GET', '/api/my_reservations', { token: body.accessToken });
+  assert.equal(mine.status, 200);
+  assert.ok(JSON.stringify(mine.body).includes(booked.body.eventId));
+
+  const list = await api.request('GET', '/api/me/reservations', { token: body.accessToken });
+  assert.equal(list.status, 200);
+});
+
+test('conta antiga (sem número confirmado) precisa do código até confirmar', async () => {
+  const phone = '12977770000';
+  const created = await api.request('POST', '/api/auth/register', {
+    body: { name: 'Antiga', email: 'antiga@teste.local', phone, password: 'senha-antiga-1', phoneToken: await api.phoneToken(phone) }
+  });
+  const db = new Database(path.join(api.dataDir, 'republica.db'));
+  db.prepare("UPDATE users SET doc = json_remove(doc, '$.phoneVerifiedAt') WHERE id = ?").run(created.body.user.id);
+  db.close();
+
+  const token = created.body.accessToken;
+  assert.equal((await api.request('GET', '/api/my_reservations', { token })).status, 401);
+  assert.equal((await api.request('GET', '/api/me/reservations', { token })).status, 403);
+
+  const confirmed = await api.request('PATCH', '/api/me', { token, body: { phone, phoneToken: await api.phoneToken(phone) } });
+  assert.equal(confirmed.body.user.phoneVerified, true);
+  assert.equal((await api.request('GET', '/api/my_reservations', { token })).status, 200);
+  assert.equal((await api.request('GET', '/api/me/reservations', { token })).status, 200);
+});
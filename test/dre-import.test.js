@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer();
+  token = await api.adminToken();
+});
+after(() => api.stop());
+
+const OFX = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260910<TRNAMT>-50.00<FITID>abc-1<MEMO>Conta de luz</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260911<TRNAMT>120.00<FITID>abc-2<MEMO>Pix recebido</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+test('duas prévias do mesmo extrato confirmadas em sequência não duplicam lançamentos', async () => {
+  const preview = () => api.request('POST', '/api/dre/import/preview', { token, body: { arquivo: 'extrato.ofx', conteudo: OFX } });
+  const first = await preview();
+  const second = await preview();
+  assert.equal(first.status, 200);
+  assert.equal(second.body.totais.novos, 2);
+
+  const a = await api.request('POST', '/api/dre/import/commit', { token, body: { importId: first.body.importId } });
+  assert.equal(a.body.importados, 2);
+
+  const b = await api.request('POST', '/api/dre/import/commit', { token, body: { importId: second.body.importId } });
+  assert.equal(b.status, 200);
+  assert.equal(b.body.importados, 0);
+  assert.equal(b.body.ignorados, 2);
+  assert.equal(b.body.lancamentos.length, 2);
+});
+
+test('CSV exportado não deixa descrição do extrato virar fórmula', async () => {
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260915<TRNAMT>-75.00<FITID>formula-1<MEMO>=HYPERLINK("http://exemplo.invalid","x")</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260916<TRNAMT>-12.00<FITID>formula-2<MEMO>@SUM(1+1)</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+  const preview = await api.request('POST', '/api/dre/import/preview', { token, body: { arquivo: 'formulas.ofx', conteudo: ofx } });
+  const commit = await api.request('POST', '/api/dre/import/commit', { token, body: { importId: preview.body.importId } });
+  assert.equal(commit.body.importados, 2);
+
+  const csv = await api.request('GET', '/api/dre/lancamentos/export?formato=csv&from=2026-09-15&to=2026-09-16', { token });
+  assert.equal(csv.status, 200);
+  const lines = csv.body.split('\r\n');
+  const hyperlink = lines.find(l => l.includes('HYPERLINK'));
+  assert.ok(hyperlink.includes(`"'=HYPERLINK(""http://exemplo.invalid"",""x"")"`), hyperlink);
+  assert.ok(!/(^|;)=/.test(hyperlink));
+  const sum = lines.find(l => l.includes('SUM'));
+  assert.ok(sum.includes(";'@SUM(1+1)"), sum);
+  assert.ok(sum.split(';').includes('12'), sum);
+});
@@ -0,0 +1,157 @@
+// Sobe a API de verdade (node server.js) com agenda local e banco em pasta temporária.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const ADMIN = { email: 'dono@teste.local', password: 'senha-do-dono-1' };
+
+function freePort(){
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// dataDir: reaproveita a pasta de uma subida anterior (para testar restart)
+export async function startServer(env = {}, { dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rp-api-')) } = {}){
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      CALENDAR_PROVIDER: 'local',
+      LOCAL_CALENDAR_FILE: ':memory:',
+      OTP_SENDER: 'console',
+      OTP_RESEND_SECONDS: '0',
+      OTP_MAX_SENDS_PER_HOUR: '100',
+      ADMIN_EMAIL: ADMIN.email,
+      ADMIN_PASSWORD: ADMIN.password,
+      AUTH_SECRET: 'segredo-de-teste',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`API não subiu:\n${output}`)), 15000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if(output.includes('API rodando')){
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`API saiu (${code}):\n${output}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+
+  async function request(method, url, { body, token, headers = {} } = {}){
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let data;
+    try{ data = JSON.parse(text); }catch(e){ data = text; }
+    return { status: res.status, body: data };
+  }
+
+  async function adminToken(){
+    const { body } = await request('POST', '/api/admin/login', { body: ADMIN });
+    return body.token;
+  }
+
+  // Pede o código (o sender console escreve no log) e troca pelo token de telefone
+  async function phoneToken(phone){
+    const digits = String(phone).replace(/\D/g, '');
+    const requested = await request('POST', '/api/otp/request', { body: { phone } });
+    if(requested.status !== 200) throw new Error(`otp/request ${requested.status}: ${JSON.stringify(requested.body)}`);
+    await new Promise(r => setTimeout(r, 50));
+    const codes = [...output.matchAll(new RegExp(`\\[WhatsApp -> \\d*${digits}\\] Seu código de verificação é (\\d+)`, 'g'))];
+    const code = codes.at(-1)?.[1];
+    const { body } = await request('POST', '/api/otp/verify', { body: { phone, code } });
+    return body.phoneToken;
+  }
+
+  // Espera uma linha do log da API (mensagens do sender console, jobs)
+  async function waitForOutput(pattern, timeoutMs = 5000){
+    const deadline = Date.now() + timeoutMs;
+    while(Date.now() < deadline){
+      const m = output.match(pattern);
+      if(m) return m;
+      await new Promise(r => setTimeout(r, 50));
+    }
+    throw new Error(`não apareceu no log: ${pattern}`);
+  }
+
+  async function stop({ keepData = false } = {}){
+    child.removeAllListeners('exit');
+    if(child.exitCode === null){
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    if(!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { base, dataDir, request, adminToken, phoneToken, waitForOutput, stop, output: () => output };
+}
+
+// Primeiro dia aberto a partir de daysAhead, com os horários livres que a própria API oferece
+export async function openDay(api, daysAhead = 3, duration = 60){
+  for(let i = daysAhead; i < daysAhead + 14; i++){
+    const date = new Date(Date.now() + i * 86400000).toISOString().slice(0, 10);
+    const { body } = await api.request('GET', `/api/slots?date=${date}&duration=${duration}`);
+    const starts = (body.slots || []).filter(s => s.availableCourts > 0).map(s => s.start);
+    if(starts.length) return { date, duration, starts };
+  }
+  throw new Error('nenhum dia aberto');
+}
+
+// Dia no fuso da arena (America/Sao_Paulo, -03:00) a `days` dias de hoje
+export function dayFromToday(days){
+  return new Date(Date.now() - 3 * 3600000 + days * 86400000).toISOString().slice(0, 10);
+}
+
+// Reserva gravada direto na agenda local (LOCAL_CALENDAR_FILE: '' usa DATA_DIR/agenda-local.json), para horários
+// no passado, que a API não aceita
+export function bookingEvent({ id, date, start = '10:00', end = '11:00', name = 'Cliente', phone, price, props = {} }){
+  return {
+    id,
+    status: 'confirmed',
+    summary: 'Locação Avulsa — Quadra 1',
+    description: `Cliente: ${name}\nWhatsApp: ${phone}\n`,
+    start: { dateTime: `${date}T${start}:00-03:00`, timeZone: 'America/Sao_Paulo' },
+    end: { dateTime: `${date}T${end}:00-03:00`, timeZone: 'America/Sao_Paulo' },
+    extendedProperties: { private: { price: String(price), currency: 'BRL', ...props } }
+  };
+}
+
+export function seedCalendar(events){
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rp-api-'));
+  fs.writeFileSync(path.join(dataDir, 'agenda-local.json'), JSON.stringify(events.map((ev, i) => ({ ...ev, _v: i + 1 }))));
+  return dataDir;
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+const legacyHash = password => crypto.createHash('sha256').update(`${password}|segredo-de-teste`).digest('hex');
+
+const users = [
+  { id: 'u1', name: 'Ana', email: 'ana@teste.local', phone: '12933331111', passwordHash: legacyHash('senha-da-ana'), createdAt: '2025-03-01T12:00:00.000Z' },
+  { id: 'u2', name: 'Bruno', email: 'bruno@teste.local', phone: '12933332222', passwordHash: legacyHash('senha-do-bruno'), createdAt: '2025-03-02T12:00:00.000Z' }
+];
+const lancamentos = [
+  { id: 'l1', data: '2025-04-10', grupo: 'Receita', categoria: 'Aulas', descricao: 'Mensalidades', valor: 800 },
+  { id: 'l2', data: '2025-04-12', grupo: 'Despesa', categoria: 'Energia', descricao: 'Conta de luz', valor: 230.5 }
+];
+const chaveamento = { savedAt: '2025-04-20T15:00:00.000Z', data: { rodadas: [['Dupla A x Dupla B']] } };
+
+test('arquivos JSON antigos entram no banco uma vez só', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rp-api-'));
+  fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify(users));
+  fs.writeFileSync(path.join(dataDir, 'dre-lancamentos.json'), JSON.stringify(lancamentos));
+  fs.writeFileSync(path.join(dataDir, 'chaveamento-state.json'), JSON.stringify(chaveamento));
+
+  let api = await startServer({}, { dataDir });
+  try{
+    assert.match(api.output(), /Importação: users\.json -> importado \(2\)/);
+    assert.match(api.output(), /Importação: dre-lancamentos\.json -> importado \(2\)/);
+    assert.match(api.output(), /Importação: chaveamento-state\.json -> importado \(1\)/);
+
+    const login = await api.request('POST', '/api/auth/login', { body: { login: 'ana@teste.local', password: 'senha-da-ana' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.id, 'u1');
+    const byPhone = await api.request('POST', '/api/auth/login', { body: { login: '(12) 93333-2222', password: 'senha-do-bruno' } });
+    assert.equal(byPhone.status, 200);
+
+    const token = await api.adminToken();
+    const { body } = await api.request('GET', '/api/dre/lancamentos', { token });
+    assert.deepEqual(body.lancamentos.map(l => [l.id, l.valor]).sort(), [['l1', 800], ['l2', 230.5]]);
+    assert.deepEqual((await api.request('GET', '/api/chaveamento/state')).body.data, chaveamento.data);
+
+    // Mexe no banco e nos arquivos: a próxima subida não pode importar de novo
+    assert.equal((await api.request('DELETE', '/api/dre/lancamentos/l2', { token })).status, 200);
+    fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([...users, { ...users[0], id: 'u3', email: 'novo@teste.local', phone: '12933333333' }]));
+    await api.stop({ keepData: true });
+
+    api = await startServer({}, { dataDir });
+    assert.doesNotMatch(api.output(), /Importação:/);
+
+    const again = await api.request('GET', '/api/dre/lancamentos', { token: await api.adminToken() });
+    assert.deepEqual(again.body.lancamentos.map(l => l.id), ['l1']);
+    const novo = await api.request('POST', '/api/auth/login', { body: { login: 'novo@teste.local', password: 'senha-da-ana' } });
+    assert.equal(novo.status, 404);
+    const ana = await api.request('POST', '/api/auth/login', { body: { login: 'ana@teste.local', password: 'senha-da-ana' } });
+    assert.equal(ana.status, 200);
+  }finally{
+    await api.stop();
+  }
+});
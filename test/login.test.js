@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { startServer, ADMIN } from './helpers.js';
+
+test('bloqueio por IP usa o IP do cliente atrás do proxy', async () => {
+  const api = await startServer({ LOGIN_LOCK_THRESHOLD: '2' });
+  try{
+    const from = ip => ({ headers: { 'X-Forwarded-For': ip } });
+    const attempt = (ip, i) => api.request('POST', '/api/auth/login', { body: { login: `ninguem${i}@teste.local`, password: 'x' }, ...from(ip) });
+
+    // limite do IP = 4x o da conta
+    for(let i = 0; i < 8; i++) assert.equal((await attempt('203.0.113.7', i)).status, 404);
+    assert.equal((await attempt('203.0.113.7', 8)).status, 429);
+
+    assert.equal((await attempt('203.0.113.8', 9)).status, 404);
+    const admin = await api.request('POST', '/api/admin/login', { body: { email: 'dono@teste.local', password: 'errada' }, ...from('203.0.113.8') });
+    assert.equal(admin.status, 401);
+  }finally{
+    await api.stop();
+  }
+});
+
+test('senha no hash antigo (sha256) entra e é regravada em scrypt', async () => {
+  const user = { id: 'u-antigo', name: 'Cliente Antigo', email: 'antigo@teste.local', phone: '12944443333', createdAt: '2025-01-01T00:00:00.000Z' };
+  const legacyHash = crypto.createHash('sha256').update('senha-antiga-1|segredo-de-teste').digest('hex');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rp-api-'));
+  fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([{ ...user, passwordHash: legacyHash }]));
+
+  const api = await startServer({}, { dataDir });
+  try{
+    const storedHash = () => {
+      const db = new Database(path.join(dataDir, 'republica.db'), { readonly: true });
+      try{
+        return JSON.parse(db.prepare('SELECT doc FROM users WHERE id = ?').get(user.id).doc).passwordHash;
+      }finally{
+        db.close();
+      }
+    };
+    assert.equal(storedHash(), legacyHash);
+
+    const first = await api.request('POST', '/api/auth/login', { body: { login: user.email, password: 'senha-antiga-1' } });
+    assert.equal(first.status, 200);
+    assert.match(storedHash(), /^scrypt\$v1\$/);
+
+    const again = await api.request('POST', '/api/auth/login', { body: { login: user.email, password: 'senha-antiga-1' } });
+    assert.equal(again.status, 200);
+    const wrong = await api.request('POST', '/api/auth/login', { body: { login: user.email, password: 'outra' } });
+    assert.equal(wrong.status, 401);
+  }finally{
+    await api.stop();
+  }
+});
+
+// Espera dobra a cada falha depois do limite, vale de qualquer IP e a senha certa só entra quando libera
+async function checkAccountBackoff(attempt, ok){
+  const fromIp = ip => attempt(ip, 'errada');
+  assert.equal((await fromIp('198.51.100.1')).status, 401);
+  assert.equal((await fromIp('198.51.100.2')).status, 401);
+
+  const locked = await attempt('198.51.100.3', ok);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.retryAfter, 1);
+
+  await new Promise(r => setTimeout(r, 1100));
+  assert.equal((await fromIp('198.51.100.4')).status, 401);
+  const longer = await attempt('198.51.100.5', ok);
+  assert.equal(longer.status, 429);
+  assert.equal(longer.body.retryAfter, 2);
+
+  await new Promise(r => setTimeout(r, 2100));
+  assert.equal((await attempt('198.51.100.6', ok)).status, 200);
+  assert.equal((await fromIp('198.51.100.7')).status, 401);
+}
+
+test('bloqueio por conta com espera crescente no login de cliente e de admin', async () => {
+  const api = await startServer({ LOGIN_LOCK_THRESHOLD: '2', LOGIN_LOCK_BASE_SECONDS: '1' });
+  try{
+    const phone = '12944442222';
+    const phoneToken = await api.phoneToken(phone);
+    const registered = await api.request('POST', '/api/auth/register', {
+      body: { name: 'Cliente Bloqueio', email: 'bloqueio@teste.local', phone, password: 'senha-certa-1', phoneToken }
+    });
+    assert.equal(registered.status, 200);
+
+    const headers = ip => ({ 'X-Forwarded-For': ip });
+    await checkAccountBackoff(
+      (ip, password) => api.request('POST', '/api/auth/login', { body: { login: 'bloqueio@teste.local', password }, headers: headers(ip) }),
+      'senha-certa-1'
+    );
+    await checkAccountBackoff(
+      (ip, password) => api.request('POST', '/api/admin/login', { body: { email: ADMIN.email, password }, headers: headers(ip) }),
+      ADMIN.password
+    );
+  }finally{
+    await api.stop();
+  }
+});
+
+test('sem ADMIN_PASSWORD o dono não é criado com senha padrão', async () => {
+  const api = await startServer({ ADMIN_PASSWORD: '', ADMIN_EMAIL: '' });
+  try{
+    await api.waitForOutput(/ADMIN_PASSWORD não definido/);
+    const login = await api.request('POST', '/api/admin/login', { body: { email: 'napraiasjp@gmail.com', password: 'admnapraia#1505' } });
+    assert.equal(login.status, 401);
+  }finally{
+    await api.stop();
+  }
+});
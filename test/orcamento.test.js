@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer();
+  token = await api.adminToken();
+});
+
+after(() => api.stop());
+
+test('lançamento conta uma vez só, na meta mais específica', async () => {
+  const metas = await api.request('POST', '/api/dre/orcamentos', {
+    token,
+    body: [
+      { competencia: '2025-03', grupo: 'Despesa', valor: 1000 },
+      { competencia: '2025-03', grupo: 'Despesa', categoria: 'Material', valor: 200 }
+    ]
+  });
+  assert.equal(metas.status, 200);
+
+  for(const item of [
+    { data: '2025-03-10', grupo: 'Despesa', categoria: 'Material', valor: 50 },
+    { data: '2025-03-12', grupo: 'Despesa', categoria: 'Limpeza', valor: 30 }
+  ]){
+    assert.equal((await api.request('POST', '/api/dre/lancamentos', { token, body: item })).status, 200);
+  }
+
+  const { status, body } = await api.request('GET', '/api/dre/orcamentos/relatorio?ano=2025&ate=2025-03', { token });
+  assert.equal(status, 200);
+
+  const linha = categoria => body.linhas.find(l => l.categoria === categoria);
+  assert.equal(linha('Material').acumulado.realizado, 50);
+  assert.equal(linha('').acumulado.realizado, 30);
+  assert.equal(body.totais.despesas.realizado, 80);
+  assert.equal(body.totais.despesas.orcado, 1200);
+  assert.deepEqual(body.semOrcamento, []);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('sem OTP_SENDER a API não finge que mandou o código', async () => {
+  const api = await startServer({ OTP_SENDER: '' });
+  try{
+    const health = await api.request('GET', '/health');
+    assert.equal(health.status, 500);
+    assert.match(health.body.error, /OTP_SENDER/);
+
+    const otp = await api.request('POST', '/api/otp/request', { body: { phone: '12999990001' } });
+    assert.equal(otp.status, 500);
+    assert.doesNotMatch(api.output(), /Seu código de verificação/);
+  }finally{
+    await api.stop();
+  }
+});
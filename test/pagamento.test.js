@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, bookingEvent, seedCalendar, dayFromToday } from './helpers.js';
+
+const ontem = dayFromToday(-1);
+let api;
+let token;
+
+before(async () => {
+  const dataDir = seedCalendar([bookingEvent({ id: 'reservaontem', date: ontem, phone: '12955551111', price: 120 })]);
+  api = await startServer({ LOCAL_CALENDAR_FILE: '' }, { dataDir });
+  token = await api.adminToken();
+});
+
+after(() => api.stop());
+
+async function lancamento(){
+  const { body } = await api.request('GET', '/api/dre/lancamentos', { token });
+  return body.lancamentos.find(l => l.id === 'reserva-reservaontem');
+}
+
+async function auditActions(){
+  const { body } = await api.request('GET', '/api/admin/audit?targetId=reserva-reservaontem', { token });
+  return body.entries.map(e => e.action);
+}
+
+test('isentar reserva já conciliada tira a receita do DRE, com auditoria', async () => {
+  const conciliado = await api.request('POST', '/api/dre/reservas/conciliar', { token, body: { from: ontem, to: ontem } });
+  assert.equal(conciliado.status, 200);
+  assert.equal(conciliado.body.criados.length, 1);
+  assert.equal((await lancamento()).valor, 120);
+
+  const pago = await api.request('PATCH', '/api/admin/reservations/reservaontem/payment', { token, body: { status: 'pago', method: 'dinheiro' } });
+  assert.equal(pago.status, 200);
+  assert.equal((await lancamento()).pagamento, 'dinheiro (pago)');
+  assert.ok((await auditActions()).includes('lancamento.update'));
+
+  const isento = await api.request('PATCH', '/api/admin/reservations/reservaontem/payment', { token, body: { status: 'isento' } });
+  assert.equal(isento.status, 200);
+  assert.equal(await lancamento(), undefined);
+  assert.ok((await auditActions()).includes('lancamento.delete'));
+
+  const again = await api.request('POST', '/api/dre/reservas/conciliar', { token, body: { from: ontem, to: ontem } });
+  assert.equal(again.body.criados.length, 0);
+  assert.deepEqual(again.body.orfaos, []);
+});
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, openDay } from './helpers.js';
+
+const PIX = { PIX_MODE: 'required', PIX_KEY: 'pix@teste.local', PIX_MERCHANT_NAME: 'Republica', PIX_MERCHANT_CITY: 'Curitiba' };
+const WEBHOOK_TOKEN = 'token-do-webhook';
+
+let api;
+
+before(async () => {
+  api = await startServer({ ...PIX, PIX_PROVIDER: 'local', PIX_WEBHOOK_TOKEN: WEBHOOK_TOKEN });
+  await setPrice(api);
+});
+
+after(() => api.stop());
+
+// Sem preço a reserva não gera cobrança
+async function setPrice(server){
+  const priced = await server.request('PUT', '/api/admin/pricing', { body: { defaultPricePerHour: 100 }, token: await server.adminToken() });
+  assert.equal(priced.status, 200);
+}
+
+async function pixBooking(server, daysAhead, phone){
+  const { date, duration, starts } = await openDay(server, daysAhead);
+  return server.request('POST', '/api/book', { body: { date, start: starts[0], duration, name: 'Cliente Pix', phone } });
+}
+
+test('stand-in local: só o painel simula o pagamento', async () => {
+  const booked = await pixBooking(api, 3, '12955554444');
+  assert.equal(booked.status, 200);
+  const { txid } = booked.body.payment;
+
+  const anonymous = await api.request('POST', `/api/pix/${txid}/simular`, { body: {} });
+  assert.equal(anonymous.status, 401);
+
+  const paid = await api.request('POST', `/api/pix/${txid}/simular`, { body: {}, token: await api.adminToken() });
+  assert.equal(paid.status, 200);
+  assert.equal((await api.request('GET', `/api/pix/${txid}`)).body.status, 'pago');
+});
+
+test('webhook aceita o token só no header', async () => {
+  const booked = await pixBooking(api, 4, '12955553333');
+  const { txid } = booked.body.payment;
+  const body = { pix: [{ txid, valor: booked.body.pix.valor, endToEndId: 'E00000000000000000000000000001' }] };
+
+  const byQuery = await api.request('POST', `/api/pix/webhook?token=${WEBHOOK_TOKEN}`, { body });
+  assert.equal(byQuery.status, 401);
+  const wrong = await api.request('POST', '/api/pix/webhook', { body, headers: { 'x-webhook-token': 'outro-token' } });
+  assert.equal(wrong.status, 401);
+  assert.equal((await api.request('GET', `/api/pix/${txid}`)).body.status, 'pendente');
+
+  const ok = await api.request('POST', '/api/pix/webhook/pix', { body, headers: { 'x-webhook-token': WEBHOOK_TOKEN } });
+  assert.equal(ok.status, 200);
+  assert.equal((await api.request('GET', `/api/pix/${txid}`)).body.status, 'pago');
+});
+
+test('fora do stand-in não há simulação e o token do webhook é obrigatório', async () => {
+  const real = await startServer(PIX);
+  try{
+    await setPrice(real);
+    const booked = await pixBooking(real, 3, '12955552222');
+    assert.equal(booked.status, 500);
+    assert.match(booked.body.error, /PIX_WEBHOOK_TOKEN/);
+
+    const simular = await real.request('POST', '/api/pix/RP123/simular', { body: {}, token: await real.adminToken() });
+    assert.equal(simular.status, 404);
+  }finally{
+    await real.stop();
+  }
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, openDay, bookingEvent, seedCalendar, dayFromToday } from './helpers.js';
+
+const PHONE = '12955557777';
+const pixDeadline = new Date(Date.now() + 20 * 86400000).toISOString();
+let api;
+let phoneToken;
+
+before(async () => {
+  const dataDir = seedCalendar([
+    bookingEvent({ id: 'passada', date: dayFromToday(-2), phone: PHONE, price: '100.00' }),
+    bookingEvent({ id: 'paga', date: dayFromToday(20), phone: PHONE, price: '100.00', props: { paymentStatus: 'pago', paymentMethod: 'dinheiro' } }),
+    bookingEvent({
+      id: 'pixpendente',
+      date: dayFromToday(21),
+      phone: PHONE,
+      price: '100.00',
+      props: { paymentStatus: 'pendente', paymentMethod: 'pix', pixTxid: 'RPTESTE1', pixDeadline, pixPending: '1' }
+    })
+  ]);
+  api = await startServer({ LOCAL_CALENDAR_FILE: '' }, { dataDir });
+  const priced = await api.request('PUT', '/api/admin/pricing', { body: { defaultPricePerHour: 100 }, token: await api.adminToken() });
+  assert.equal(priced.status, 200);
+  phoneToken = await api.phoneToken(PHONE);
+});
+
+after(() => api.stop());
+
+function reschedule(eventId, slot){
+  return api.request('POST', '/api/reschedule', { body: { eventId, ...slot, phoneToken } });
+}
+
+test('reserva que já passou não pode ser remarcada', async () => {
+  const { date, starts } = await openDay(api, 3);
+  const r = await reschedule('passada', { date, start: starts[0] });
+  assert.equal(r.status, 400);
+});
+
+test('reserva paga não muda de valor na remarcação', async () => {
+  const { date, starts } = await openDay(api, 4, 120);
+  const pricier = await reschedule('paga', { date, start: starts[0], duration: 120 });
+  assert.equal(pricier.status, 409);
+  assert.equal(pricier.body.quote.price, 200);
+
+  const same = await openDay(api, 4);
+  const ok = await reschedule('paga', { date: same.date, start: same.starts[0] });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.price, 100);
+});
+
+test('Pix pendente: mesmo valor e prazo puxado para o novo início', async () => {
+  const { date, starts } = await openDay(api, 5);
+  const r = await reschedule('pixpendente', { date, start: starts[0] });
+  assert.equal(r.status, 200);
+
+  const pix = await api.request('GET', '/api/pix/RPTESTE1');
+  assert.equal(pix.status, 200);
+  assert.equal(pix.body.valor, 100);
+  assert.ok(Date.parse(pix.body.expiresAt) <= Date.parse(`${date}T${starts[0]}:00-03:00`));
+});
@@ -0,0 +1,180 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let api;
+let token;
+let torneioId;
+
+before(async () => {
+  api = await startServer();
+  token = await api.adminToken();
+  const created = await api.request('POST', '/api/admin/torneios', { token, body: { nome: 'Open de Outubro', data: '2026-11-07' } });
+  assert.equal(created.status, 200);
+  torneioId = created.body.torneio.id;
+});
+
+after(() => api.stop());
+
+// Categoria com equipes "Seed 1".."Seed n" e a chave já gerada
+async function montarCategoria(formato, n, extra = {}){
+  const base = `/api/admin/torneios/${torneioId}/categorias`;
+  const created = await api.request('POST', base, { token, body: { nome: `${formato} ${n}`, formato, ...extra } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { id } = created.body.categoria;
+
+  const equipes = Array.from({ length: n }, (_, i) => ({ nome: `Seed ${i + 1}`, seed: i + 1 }));
+  assert.equal((await api.request('POST', `${base}/${id}/equipes`, { token, body: equipes })).status, 200);
+
+  const chave = await api.request('POST', `${base}/${id}/chave`, { token, body: {} });
+  assert.equal(chave.status, 200, JSON.stringify(chave.body));
+  return chave.body.categoria;
+}
+
+const seedDe = (categoria, equipeId) => categoria.equipes.find(e => e.id === equipeId)?.seed ?? null;
+const partidasDa = (categoria, fase, rodada) => categoria.partidas
+  .filter(p => p.fase === fase && (rodada === undefined || p.rodada === rodada))
+  .sort((a, b) => a.posicao - b.posicao);
+
+async function resultado(partida, vencedor, { pontos = 15 } = {}){
+  const placar = vencedor === 'a' ? [{ a: 21, b: pontos }] : [{ a: pontos, b: 21 }];
+  return api.request('POST', `/api/admin/torneios/${torneioId}/partidas/${partida.id}/resultado`, { token, body: { placar } });
+}
+
+// Joga a partida e devolve a categoria atualizada
+async function jogar(partida, vencedor){
+  const res = await resultado(partida, vencedor);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.categoria;
+}
+
+// Joga todas as partidas pendentes de uma fase com vitória do melhor seed
+async function jogarFase(categoria, fase){
+  let cat = categoria;
+  for(let p = partidasDa(cat, fase).find(m => m.status === 'pendente'); p; p = partidasDa(cat, fase).find(m => m.status === 'pendente')){
+    cat = await jogar(p, seedDe(cat, p.equipeA) < seedDe(cat, p.equipeB) ? 'a' : 'b');
+  }
+  return cat;
+}
+
+test('eliminatória com 5 e 6 equipes: os melhores seeds passam de bye', async () => {
+  const cinco = await montarCategoria('eliminatoria', 5);
+  const r1 = partidasDa(cinco, 'eliminatoria', 1);
+  assert.deepEqual(r1.map(p => p.status), ['bye', 'pendente', 'bye', 'bye']);
+  assert.deepEqual(r1.filter(p => p.status === 'bye').map(p => seedDe(cinco, p.vencedorId)), [1, 2, 3]);
+  assert.deepEqual(r1.map(p => [seedDe(cinco, p.equipeA), seedDe(cinco, p.equipeB)]), [[1, null], [4, 5], [2, null], [3, null]]);
+
+  const semis = partidasDa(cinco, 'eliminatoria', 2);
+  assert.equal(semis[0].status, 'aguardando');
+  assert.equal(seedDe(cinco, semis[0].equipeA), 1);
+  assert.equal(semis[1].status, 'pendente');
+  assert.deepEqual([seedDe(cinco, semis[1].equipeA), seedDe(cinco, semis[1].equipeB)], [2, 3]);
+
+  const bye = await resultado(r1[0], 'a');
+  assert.equal(bye.status, 409);
+
+  const fim = await jogarFase(cinco, 'eliminatoria');
+  assert.equal(fim.status, 'encerrada');
+  assert.equal(seedDe(fim, fim.campeao.id), 1);
+
+  const seis = await montarCategoria('eliminatoria', 6);
+  const primeira = partidasDa(seis, 'eliminatoria', 1);
+  assert.deepEqual(primeira.map(p => p.status), ['bye', 'pendente', 'bye', 'pendente']);
+  assert.deepEqual(primeira.map(p => [seedDe(seis, p.equipeA), seedDe(seis, p.equipeB)]), [[1, null], [4, 5], [2, null], [3, 6]]);
+  assert.deepEqual(partidasDa(seis, 'eliminatoria', 2).map(p => seedDe(seis, p.equipeA)), [1, 2]);
+  assert.equal(seis.status, 'andamento');
+});
+
+// 4 equipes: vencedores 1x4, 2x3 e final; perdedores 4x3 e o vencedor contra quem perdeu a final dos vencedores
+async function duplaAteAFinal(){
+  let cat = await montarCategoria('dupla-eliminatoria', 4);
+  cat = await jogarFase(cat, 'vencedores');
+  assert.equal(seedDe(cat, partidasDa(cat, 'vencedores', 2)[0].vencedorId), 1);
+
+  cat = await jogar(partidasDa(cat, 'perdedores', 1)[0], 'a');
+  const ultimaPerdedores = partidasDa(cat, 'perdedores', 2)[0];
+  assert.deepEqual([seedDe(cat, ultimaPerdedores.equipeA), seedDe(cat, ultimaPerdedores.equipeB)], [4, 2]);
+  cat = await jogar(ultimaPerdedores, 'b');
+
+  const [final, desempate] = partidasDa(cat, 'final');
+  assert.deepEqual([seedDe(cat, final.equipeA), seedDe(cat, final.equipeB)], [1, 2]);
+  assert.equal(desempate.status, 'aguardando');
+  assert.equal(desempate.condicional, true);
+  return cat;
+}
+
+test('dupla eliminatória: campeão dos perdedores vence a final e força o desempate', async () => {
+  let cat = await duplaAteAFinal();
+  cat = await jogar(partidasDa(cat, 'final', 1)[0], 'b');
+  assert.equal(cat.status, 'andamento');
+  assert.equal(cat.campeao, null);
+
+  const desempate = partidasDa(cat, 'final', 2)[0];
+  assert.equal(desempate.status, 'pendente');
+  assert.deepEqual([seedDe(cat, desempate.equipeA), seedDe(cat, desempate.equipeB)], [2, 1]);
+
+  cat = await jogar(desempate, 'b');
+  assert.equal(cat.status, 'encerrada');
+  assert.equal(seedDe(cat, cat.campeao.id), 1);
+});
+
+test('dupla eliminatória: campeão dos vencedores leva a final e o desempate é dispensado', async () => {
+  let cat = await duplaAteAFinal();
+  cat = await jogar(partidasDa(cat, 'final', 1)[0], 'a');
+
+  const desempate = partidasDa(cat, 'final', 2)[0];
+  assert.equal(desempate.status, 'dispensada');
+  assert.equal(cat.status, 'encerrada');
+  assert.equal(seedDe(cat, cat.campeao.id), 1);
+  assert.equal((await resultado(desempate, 'a')).status, 409);
+});
+
+test('grupos alimentam o mata-mata cruzando 1º de um grupo com 2º do outro', async () => {
+  let cat = await montarCategoria('grupos', 6, { tamanhoGrupo: 3, classificados: 2 });
+  assert.equal(partidasDa(cat, 'grupos').length, 6);
+  const semis = () => partidasDa(cat, 'eliminatoria', 1);
+  assert.deepEqual(semis().map(p => p.status), ['aguardando', 'aguardando']);
+
+  const grupoA = partidasDa(cat, 'grupos').filter(p => p.grupo === 'A');
+  for(const p of grupoA) cat = await jogar(p, seedDe(cat, p.equipeA) < seedDe(cat, p.equipeB) ? 'a' : 'b');
+  assert.deepEqual(cat.grupos.find(g => g.grupo === 'A').tabela.map(t => seedDe(cat, t.equipeId)), [1, 4, 5]);
+  assert.deepEqual(semis().map(p => [p.status, seedDe(cat, p.equipeA), seedDe(cat, p.equipeB)]), [['aguardando', 1, null], ['aguardando', null, 4]]);
+
+  cat = await jogarFase(cat, 'grupos');
+  assert.deepEqual(cat.grupos.find(g => g.grupo === 'B').tabela.map(t => seedDe(cat, t.equipeId)), [2, 3, 6]);
+  assert.deepEqual(semis().map(p => [p.status, seedDe(cat, p.equipeA), seedDe(cat, p.equipeB)]), [['pendente', 1, 3], ['pendente', 2, 4]]);
+
+  cat = await jogar(semis()[0], 'a');
+  const corrigeGrupo = await resultado(partidasDa(cat, 'grupos').find(p => p.grupo === 'B'), 'a', { pontos: 19 });
+  assert.equal(corrigeGrupo.status, 409);
+
+  cat = await jogarFase(cat, 'eliminatoria');
+  assert.equal(cat.status, 'encerrada');
+  assert.equal(seedDe(cat, cat.campeao.id), 1);
+});
+
+test('corrigir resultado de que partidas seguintes dependem dá 409', async () => {
+  let cat = await montarCategoria('eliminatoria', 4);
+  cat = await jogarFase(cat, 'eliminatoria');
+  const semi = partidasDa(cat, 'eliminatoria', 1)[0];
+  const final = partidasDa(cat, 'eliminatoria', 2)[0];
+  assert.equal(final.status, 'encerrada');
+
+  const trocaVencedor = await resultado(semi, 'b');
+  assert.equal(trocaVencedor.status, 409);
+  assert.match(trocaVencedor.body.error, /partidas seguintes/);
+  const desfaz = await api.request('DELETE', `/api/admin/torneios/${torneioId}/partidas/${semi.id}/resultado`, { token });
+  assert.equal(desfaz.status, 409);
+
+  // mesmo vencedor com outro placar não mexe no resto da chave
+  const mesmoVencedor = await resultado(semi, 'a', { pontos: 19 });
+  assert.equal(mesmoVencedor.status, 200);
+  assert.deepEqual(mesmoVencedor.body.partida.resultado.placar, [{ a: 21, b: 19 }]);
+
+  assert.equal((await api.request('DELETE', `/api/admin/torneios/${torneioId}/partidas/${final.id}/resultado`, { token })).status, 200);
+  cat = await jogar(semi, 'b');
+  const novaFinal = partidasDa(cat, 'eliminatoria', 2)[0];
+  assert.equal(novaFinal.status, 'pendente');
+  assert.equal(seedDe(cat, novaFinal.equipeA), 4);
+  assert.equal(cat.campeao, null);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, openDay } from './helpers.js';
+
+// agenda em arquivo (não :memory:) para sobreviver ao restart
+const ENV = { LOCAL_CALENDAR_FILE: '' };
+
+test('oferta da lista de espera continua valendo depois de reiniciar a API', async () => {
+  let api = await startServer(ENV);
+  try{
+    const courts = (await api.request('GET', '/api/courts')).body.courts.length;
+    const { date, duration, starts } = await openDay(api, 3);
+    const slot = { date, start: starts[0], duration };
+
+    const booked = [];
+    for(let i = 0; i < courts; i++){
+      const r = await api.request('POST', '/api/book', { body: { ...slot, name: `Cliente ${i}`, phone: `1296666${String(i).padStart(4, '0')}` } });
+      assert.equal(r.status, 200);
+      booked.push(r.body.eventId);
+    }
+
+    const phone = '12955554444';
+    const entry = await api.request('POST', '/api/waitlist', { body: { ...slot, name: 'Fila', phone } });
+    assert.equal(entry.status, 200);
+    const waitlistId = entry.body.entry.id;
+
+    const canceled = await api.request('DELETE', `/api/admin/reservations/${booked[0]}`, { token: await api.adminToken() });
+    assert.equal(canceled.status, 200);
+    await api.waitForOutput(/\[WhatsApp -> \d*12955554444\] Olá, Fila! A .* ficou livre/);
+
+    const { dataDir } = api;
+    await api.stop({ keepData: true });
+    api = await startServer(ENV, { dataDir });
+
+    const intruder = await api.request('POST', '/api/book', { body: { ...slot, name: 'Intruso', phone: '12933332222' } });
+    assert.equal(intruder.status, 409);
+
+    const phoneToken = await api.phoneToken(phone);
+    const claim = await api.request('POST', `/api/waitlist/${waitlistId}/claim`, { body: {}, headers: { 'X-Phone-Token': phoneToken } });
+    assert.equal(claim.status, 200);
+    assert.ok(claim.body.eventId);
+  }finally{
+    await api.stop();
+  }
+});